@@ -10,14 +10,12 @@ local API_TOKEN = HttpService:GetSecret("API_TOKEN")
 
 -- Group configuration
 local GROUP_ID = 0000000  -- Replace with your group ID
-local ADMIN_RANK = 254    -- Rank that bypasses cooldown
+local ADMIN_RANK = 254    -- Admin rank
 local MOD_RANK = 100      -- Minimum rank to use the command
 
--- Cooldown time in seconds (30 minutes)
-local COOLDOWN_TIME = 60 * 30
-
--- Cooldown storage - store player UserIds and their last command time
-local cooldowns = {}
+-- Cooldowns are enforced by the service (see "cooldowns" in its departments.json),
+-- so they apply across every game server and survive restarts. Admin tools skip them
+-- by calling the service with a token created with --bypass-cooldowns
 
 -- Team configuration - maps lowercase team codes to their full information
 local teamConfig = {
@@ -52,25 +50,6 @@ local function canUseCommand(player)
     -- return false, false
 end
 
--- Helper function to check cooldown
-local function checkCooldown(player)
-    local userId = player.UserId
-    local currentTime = os.time()
-    
-    if not cooldowns[userId] then
-        cooldowns[userId] = currentTime
-        return true
-    end
-    
-    local timeSinceLastUse = currentTime - cooldowns[userId]
-    if timeSinceLastUse < COOLDOWN_TIME then
-        return false, math.ceil((COOLDOWN_TIME - timeSinceLastUse) / 60)
-    end
-    
-    cooldowns[userId] = currentTime
-    return true
-end
-
 -- Helper function to get members of a team
 local function getTeamMembers(team)
     local members = {}
@@ -89,21 +68,12 @@ end
 -- Process the !activity command
 local function processActivityCommand(player, message)
     -- Check if user has permission
-    local canUse, isAdmin = canUseCommand(player)
+    local canUse = canUseCommand(player)
     if not canUse then
         print("[" .. player.Name .. "] You don't have permission to use this command.")
         return
     end
     
-    -- Check cooldown (skip for admins)
-    if not isAdmin then
-        local passedCooldown, minutesLeft = checkCooldown(player)
-        if not passedCooldown then
-            print("[" .. player.Name .. "] You need to wait " .. minutesLeft .. " more minutes to use this command again.")
-            return
-        end
-    end
-    
     -- Parse command
     -- Format: !points team field players
     local args = {}
@@ -161,11 +131,13 @@ local function processActivityCommand(player, message)
         return
     end
     
-    -- Build request payload
-    local payload = {invoker = player.Name, payloads = {}}
+    -- Build request payload (requestId lets the service ignore duplicates if this request is retried,
+    -- and invokerId/userId let the service recognise players after a username change)
+    local payload = {invoker = player.Name, invokerId = player.UserId, requestId = HttpService:GenerateGUID(false), payloads = {}}
     for _, targetPlayer in ipairs(targetPlayers) do
         table.insert(payload.payloads, {
             name = targetPlayer.Name,
+            userId = targetPlayer.UserId,
             department = teamInfo.Department,
             field = field,
             increment = increment
@@ -179,7 +151,7 @@ local function processActivityCommand(player, message)
             Method = "POST",
             Headers = {
                 ["Content-Type"] = "application/json",
-                ["Authorization"] = API_TOKEN
+                ["Authorization"] = "Bearer " .. API_TOKEN
             },
             Body = HttpService:JSONEncode(payload)
         })
@@ -208,6 +180,13 @@ local function processActivityCommand(player, message)
         else
             print("[" .. player.Name .. "] Failed to record activity: " .. (responseData.message or "Unknown error"))
         end
+    elseif success and result.StatusCode == 429 then
+        -- On cooldown or rate limited by the service
+        local decoded, responseData = pcall(function()
+            return HttpService:JSONDecode(result.Body)
+        end)
+        local retryAfter = decoded and responseData.retryAfter or 0
+        print("[" .. player.Name .. "] You need to wait " .. math.ceil(retryAfter / 60) .. " more minutes to use this command again.")
     else
         print("[" .. player.Name .. "] Failed to connect to the activity tracking system. Please try again later.")
         warn("API Request Failed:", result)
@@ -1,21 +1,168 @@
 /**
- * Script to generate a secure random API token
- * Run this with: node generate-token.js
+ * Script to manage the service's API tokens
+ * Run this with: node generate-token.js <command> [options]
+ *
+ * Commands:
+ *   create [--label name] [--departments FMB,BAF] [--routes "POST /update-fields,GET /departments"] [--expires 30d] [--bypass-cooldowns]
+ *   list
+ *   revoke <id or prefix>
+ *   rotate <id or prefix>
+ *
+ * --expires takes an ISO date or a duration in hours, days or weeks (e.g. 12h, 30d, 2w).
+ * --bypass-cooldowns lets requests made with the token skip field cooldowns (e.g. for admin tools).
+ * Tokens are stored hashed in data/tokens.jsonl; the plain token is only shown when it is created.
  */
 
-const crypto = require('crypto');
+const tokenStore = require('./src/auth/tokenStore');
 
-// Generate a secure random token 
-const generateToken = (bytes = 32) => {
-  const buffer = crypto.randomBytes(bytes);
-  return buffer.toString('hex');
+// Length of each --expires duration unit, in hours
+const DURATION_HOURS = { h: 1, d: 24, w: 24 * 7 };
+
+// Options that are switched on by being given, and take no value
+const FLAGS = ['bypass-cooldowns'];
+
+/**
+ * Split the command line into the command, positional arguments and --options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {{command: string, positional: Array<string>, options: Object}} - The parsed arguments
+ */
+const parseArgs = (args) => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const [name, inlineValue] = args[i].slice(2).split(/=(.*)/s);
+      if (FLAGS.includes(name) && inlineValue === undefined) {
+        options[name] = true;
+      } else {
+        options[name] = inlineValue !== undefined ? inlineValue : args[++i];
+      }
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  return { command: positional.shift() || 'help', positional, options };
+};
+
+/**
+ * Split a comma-separated option into a list
+ * @param {string} value - The option value
+ * @returns {Array<string>} - The trimmed, non-empty items
+ */
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Turn an --expires value into an ISO timestamp
+ * @param {string} value - An ISO date or a duration such as 30d
+ * @returns {string|null} - The expiry time, or null for no expiry
+ * @throws {Error} - If the value can't be understood
+ */
+const parseExpiry = (value) => {
+  if (!value) return null;
+
+  const duration = String(value).match(/^(\d+)([hdw])$/);
+  if (duration) {
+    return new Date(Date.now() + Number(duration[1]) * DURATION_HOURS[duration[2]] * 60 * 60 * 1000).toISOString();
+  }
+
+  const date = Date.parse(value);
+  if (isNaN(date)) {
+    throw new Error(`Invalid --expires value "${value}" (use an ISO date or a duration like 30d)`);
+  }
+  return new Date(date).toISOString();
+};
+
+/**
+ * Describe a token's scopes and status on one line
+ * @param {Object} record - The token record
+ * @returns {string} - The description
+ */
+const describe = (record) => {
+  let status = 'active';
+  if (record.revokedAt) status = `revoked ${record.revokedAt}`;
+  else if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) status = `expired ${record.expiresAt}`;
+  else if (record.expiresAt) status = `expires ${record.expiresAt}`;
+
+  return [
+    `${record.id}  ${record.prefix}…  ${record.label}`,
+    `  departments: ${record.departments.length > 0 ? record.departments.join(', ') : 'all'}`,
+    `  routes: ${record.routes.length > 0 ? record.routes.join(', ') : 'all'}`,
+    ...(record.bypassCooldowns ? ['  skips cooldowns'] : []),
+    `  created ${record.createdAt}, ${status}`
+  ].join('\n');
+};
+
+/**
+ * Show a newly created token
+ * @param {{token: string, record: Object}} created - The token and its record
+ */
+const showToken = ({ token, record }) => {
+  console.log('\nGenerated API Token:');
+  console.log('===================');
+  console.log(token);
+  console.log('\nStore it somewhere safe; it cannot be shown again.');
+  console.log(`\n${describe(record)}\n`);
+};
+
+const run = () => {
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+
+  switch (command) {
+    case 'create':
+      showToken(tokenStore.create({
+        label: options.label,
+        departments: parseList(options.departments),
+        routes: parseList(options.routes),
+        bypassCooldowns: options['bypass-cooldowns'] === true || options['bypass-cooldowns'] === 'true',
+        expiresAt: parseExpiry(options.expires)
+      }));
+      return 0;
+
+    case 'list': {
+      const tokens = tokenStore.list();
+      console.log(tokens.length > 0 ? tokens.map(describe).join('\n\n') : 'No API tokens have been created.');
+      return 0;
+    }
+
+    case 'revoke': {
+      const record = tokenStore.revoke(positional[0]);
+      if (!record) {
+        console.error(`Token not found: ${positional[0] || '(none given)'}`);
+        return 1;
+      }
+      console.log(`Revoked ${record.id} (${record.label})`);
+      return 0;
+    }
+
+    case 'rotate': {
+      const rotated = tokenStore.rotate(positional[0]);
+      if (!rotated) {
+        console.error(`Token not found: ${positional[0] || '(none given)'}`);
+        return 1;
+      }
+      console.log(`Revoked ${rotated.record.rotatedFrom} and replaced it:`);
+      showToken(rotated);
+      return 0;
+    }
+
+    default:
+      console.log([
+        'Usage: node generate-token.js <command> [options]',
+        '',
+        '  create [--label name] [--departments FMB,BAF] [--routes "POST /update-fields,GET /departments"] [--expires 30d] [--bypass-cooldowns]',
+        '  list',
+        '  revoke <id or prefix>',
+        '  rotate <id or prefix>'
+      ].join('\n'));
+      return command === 'help' ? 0 : 1;
+  }
 };
 
-// Generate and display a token
-const token = generateToken();
-console.log('\nGenerated API Token:');
-console.log('===================');
-console.log(token);
-console.log('\nAdd this to your .env file:');
-console.log('API_TOKEN=' + token);
-console.log('\n'); 
\ No newline at end of file
+try {
+  process.exitCode = run();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -1,15 +1,26 @@
 const { google } = require('googleapis');
 const dotenv = require('dotenv');
+const SheetCache = require('./sheetCache');
+const KeyedLock = require('./keyedLock');
+const a1 = require('../utils/a1Notation');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize the Google Sheets API
+// How long spreadsheet lookups are cached, in seconds (0 disables caching)
+const CACHE_TTL_SECONDS = Number(process.env.SHEETS_CACHE_TTL || 60);
+
+// How many times a batch is re-read and re-planned when its cells change before they are written
+const CONFLICT_RETRIES = Number(process.env.WRITE_CONFLICT_RETRIES || 3);
+
+// Storage backend for departments kept in Google Sheets (see api/index.js for the interface)
 class GoogleSheetsApi {
   constructor() {
     this.sheets = null;
     this.initialized = false;
     this.auth = null;
+    this.cache = new SheetCache(CACHE_TTL_SECONDS * 1000);
+    this.cellLocks = new KeyedLock();
   }
 
   /**
@@ -59,6 +70,140 @@ class GoogleSheetsApi {
     }
   }
 
+  /**
+   * Get data from several ranges of a Google Sheet in a single request
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} ranges - The ranges to read (e.g. ['Sheet1!A:Z', "'Sheet 2'!A:Z"])
+   * @returns {Promise<Array<Array>|null>} - The data for each range, in the same order, or null if error
+   */
+  async batchGetSheetData(spreadsheetId, ranges) {
+    if (!this.initialized) {
+      const initSuccess = this.init();
+      if (!initSuccess) return null;
+    }
+
+    try {
+      return await this.requestBatchGet(spreadsheetId, ranges);
+    } catch (error) {
+      console.error('Error batch fetching sheet data:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the sheet names of a spreadsheet, reading through the cache.
+   * Unlike getSheetNames, API errors are thrown so callers can tell transient failures apart.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Promise<Array<string>>} - Array of sheet names
+   */
+  async requestSheetNames(spreadsheetId) {
+    if (!this.initialized) this.init();
+
+    const cached = this.cache.getSheetNames(spreadsheetId);
+    if (cached) return cached;
+
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties'
+    });
+
+    const sheetNames = response.data.sheets.map(sheet => sheet.properties.title);
+    this.cache.setSheetNames(spreadsheetId, sheetNames);
+    return sheetNames;
+  }
+
+  /**
+   * Get the named ranges of a spreadsheet, reading through the cache. Throws on API errors.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Promise<Array<{name: string, sheetName: string, startRow: number, endRow: number, startColumn: number, endColumn: number}>>} - Each named range with its 0-indexed bounds (inclusive, Infinity when open-ended)
+   */
+  async requestNamedRanges(spreadsheetId) {
+    if (!this.initialized) this.init();
+
+    const cached = this.cache.getNamedRanges(spreadsheetId);
+    if (cached) return cached;
+
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'namedRanges,sheets.properties(sheetId,title)'
+    });
+
+    // Named ranges point at tabs by numeric ID, and leave out the bounds of open-ended ranges
+    const titles = new Map(response.data.sheets.map(sheet => [sheet.properties.sheetId || 0, sheet.properties.title]));
+    const namedRanges = (response.data.namedRanges || []).map(({ name, range }) => ({
+      name,
+      sheetName: titles.get(range.sheetId || 0),
+      startRow: range.startRowIndex || 0,
+      endRow: range.endRowIndex === undefined ? Infinity : range.endRowIndex - 1,
+      startColumn: range.startColumnIndex || 0,
+      endColumn: range.endColumnIndex === undefined ? Infinity : range.endColumnIndex - 1
+    }));
+
+    this.cache.setNamedRanges(spreadsheetId, namedRanges);
+    return namedRanges;
+  }
+
+  /**
+   * Read several ranges in a single request, throwing on API errors
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} ranges - The ranges to read
+   * @returns {Promise<Array<Array>>} - The data for each range, in the same order
+   */
+  async requestBatchGet(spreadsheetId, ranges) {
+    if (!this.initialized) this.init();
+
+    const response = await this.sheets.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges,
+    });
+
+    return (response.data.valueRanges || []).map(valueRange => valueRange.values || []);
+  }
+
+  /**
+   * Write several ranges in a single request, throwing on API errors
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<{range: string, values: Array}>} data - The ranges and values to update
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @returns {Promise<void>}
+   */
+  async requestBatchUpdate(spreadsheetId, data, valueInputOption = 'USER_ENTERED') {
+    if (!this.initialized) this.init();
+
+    await this.sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      resource: {
+        valueInputOption,
+        data,
+      },
+    });
+
+    this.cache.invalidateValues(spreadsheetId, data.map(item => this.sheetNameFromRange(item.range)));
+  }
+
+  /**
+   * Check whether a Sheets API error is worth retrying (rate limits, server errors, network errors)
+   * @param {Error} error - The error thrown by the API client
+   * @returns {boolean} - True if the same request may succeed later
+   */
+  isRetryableError(error) {
+    const status = error.response ? error.response.status : Number(error.code);
+    if (status === 429 || status >= 500) return true;
+
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+  }
+
+  /**
+   * Get the wait time the API asked for in a Retry-After header
+   * @param {Error} error - The error thrown by the API client
+   * @returns {number|null} - Milliseconds to wait, or null if the API didn't say
+   */
+  getRetryAfterMs(error) {
+    const headers = (error.response && error.response.headers) || {};
+    const retryAfter = Number(headers['retry-after']);
+    return isNaN(retryAfter) || retryAfter <= 0 ? null : retryAfter * 1000;
+  }
+
   /**
    * Update data in a Google Sheet
    * @param {string} spreadsheetId - The ID of the spreadsheet
@@ -83,6 +228,7 @@ class GoogleSheetsApi {
         },
       });
 
+      this.cache.invalidateValues(spreadsheetId, [this.sheetNameFromRange(range)]);
       return true;
     } catch (error) {
       console.error('Error updating sheet data:', error);
@@ -90,6 +236,28 @@ class GoogleSheetsApi {
     }
   }
 
+  /**
+   * Update several ranges of a Google Sheet in a single request
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<{range: string, values: Array}>} data - The ranges and values to update
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @returns {Promise<boolean>} - Success status
+   */
+  async batchUpdateSheetData(spreadsheetId, data, valueInputOption = 'USER_ENTERED') {
+    if (!this.initialized) {
+      const initSuccess = this.init();
+      if (!initSuccess) return false;
+    }
+
+    try {
+      await this.requestBatchUpdate(spreadsheetId, data, valueInputOption);
+      return true;
+    } catch (error) {
+      console.error('Error batch updating sheet data:', error);
+      return false;
+    }
+  }
+
   /**
    * Append data to a Google Sheet
    * @param {string} spreadsheetId - The ID of the spreadsheet
@@ -105,15 +273,7 @@ class GoogleSheetsApi {
     }
 
     try {
-      await this.sheets.spreadsheets.values.append({
-        spreadsheetId,
-        range,
-        valueInputOption,
-        resource: {
-          values,
-        },
-      });
-
+      await this.requestAppend(spreadsheetId, range, values, valueInputOption);
       return true;
     } catch (error) {
       console.error('Error appending sheet data:', error);
@@ -121,84 +281,278 @@ class GoogleSheetsApi {
     }
   }
 
+  /**
+   * Append rows after the table in a range, throwing on API errors
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} range - The range to append to (e.g. 'Sheet1!A1')
+   * @param {Array} values - The rows to append
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @returns {Promise<number|null>} - The 1-indexed row of the first appended row, if the API reported it
+   */
+  async requestAppend(spreadsheetId, range, values, valueInputOption = 'USER_ENTERED') {
+    if (!this.initialized) this.init();
+
+    const response = await this.sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range,
+      valueInputOption,
+      resource: {
+        values,
+      },
+    });
+
+    // New rows aren't in the username index yet
+    this.cache.invalidateSheet(spreadsheetId, this.sheetNameFromRange(range));
+
+    const updatedRange = response && response.data && response.data.updates && response.data.updates.updatedRange;
+    return updatedRange ? a1.parseRange(updatedRange).startRow + 1 : null;
+  }
+
+  /**
+   * Delete a row from a tab, shifting the rows below it up. Throws on API errors.
+   * With `expected`, the row is only deleted if it still holds that user. Writes to the tab wait
+   * for the delete (see writeChanges), so none of them lands on a row that has just moved.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab to delete from
+   * @param {number} row - The 1-indexed row to delete
+   * @param {{column: number, name: string}} expected - Optional 1-indexed username column and the username the row must hold
+   * @returns {Promise<boolean>} - False if the row no longer holds the expected user (nothing was deleted)
+   * @throws {Error} - If the tab doesn't exist or the API request fails
+   */
+  async deleteRow(spreadsheetId, sheetName, row, expected = null) {
+    const release = await this.lockRows(spreadsheetId, [sheetName]);
+    try {
+      if (expected) {
+        const [current] = await this.requestBatchGet(spreadsheetId, [a1.cellRange(sheetName, row, expected.column - 1)]);
+        const name = ((current || [])[0] || [])[0];
+        if (!this.sameName(name, expected.name)) {
+          console.log(`Row ${row} in sheet ${sheetName} no longer holds ${expected.name}, so it wasn't deleted`);
+          return false;
+        }
+      }
+
+      await this.requestDeleteRow(spreadsheetId, sheetName, row);
+    } finally {
+      release();
+    }
+
+    // Rows below the deleted one have moved, so the username index is stale
+    this.cache.invalidateSheet(spreadsheetId, sheetName);
+    return true;
+  }
+
+  /**
+   * Delete a row from a tab, throwing on API errors
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab to delete from
+   * @param {number} row - The 1-indexed row to delete
+   * @returns {Promise<void>}
+   * @throws {Error} - If the tab doesn't exist or the API request fails
+   */
+  async requestDeleteRow(spreadsheetId, sheetName, row) {
+    if (!this.initialized) this.init();
+
+    // Row deletion needs the tab's numeric ID rather than its name
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'sheets.properties'
+    });
+
+    const sheet = response.data.sheets.find(item => item.properties.title === sheetName);
+    if (!sheet) {
+      throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{
+          deleteDimension: {
+            range: {
+              sheetId: sheet.properties.sheetId,
+              dimension: 'ROWS',
+              startIndex: row - 1,
+              endIndex: row
+            }
+          }
+        }]
+      }
+    });
+  }
+
+  /**
+   * Compare a cell's text with a username, ignoring case and surrounding spaces
+   * @param {*} cell - The cell's value
+   * @param {string} name - The username
+   * @returns {boolean} - True if the cell holds the username
+   */
+  sameName(cell, name) {
+    return String(cell === null || cell === undefined ? '' : cell).toLowerCase().trim() === String(name).toLowerCase().trim();
+  }
+
   /**
    * Find a name in a spreadsheet table
    * @param {string} spreadsheetId - The ID of the spreadsheet
    * @param {string} name - The name to search for
    * @param {string} sheetName - Optional sheet name (default: 'Sheet1')
    * @param {string} nameColumn - Optional column to search in (default: 'A')
+   * @param {number} headerRow - Optional 1-indexed row holding the column headers (default: 1)
    * @returns {Promise<{found: boolean, row?: number, rowData?: Array, allData?: Array}>} - Result object with found status and data
    */
-  async findNameInSheet(spreadsheetId, name, sheetName = 'Events', nameColumn = 'A') {
+  async findNameInSheet(spreadsheetId, name, sheetName = 'Events', nameColumn = 'A', headerRow = 1) {
     if (!this.initialized) {
       const initSuccess = this.init();
       if (!initSuccess) return { found: false };
     }
 
     try {
-      // Standardize the name for case-insensitive comparison
-      const searchName = name.toLowerCase().trim();
-      
-      // Get all data from the sheet
-      const range = `${sheetName}!A:Z`;  // Fetch all columns to get complete row data
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId,
-        range,
-      });
+      // Get all data from the sheet (served from the cache when fresh)
+      const values = await this.getSheetValues(spreadsheetId, sheetName);
 
-      const values = response.data.values || [];
-      
-      if (values.length === 0) {
-        return { found: false, allData: [] };
-      }
+      return this.findNameInValues(values, name, nameColumn, headerRow);
+    } catch (error) {
+      console.error('Error finding name in sheet:', error);
+      return { found: false };
+    }
+  }
 
-      // Find the column index for the name column
-      const headerRow = values[0];
-      let nameColumnIndex = nameColumn.toUpperCase().charCodeAt(0) - 65; // Convert A->0, B->1, etc.
-      
-      // If nameColumn is a string like 'Name' or 'Username', find its index
-      if (nameColumn.length > 1) {
-        nameColumnIndex = headerRow.findIndex(
-          header => header.toLowerCase() === nameColumn.toLowerCase()
-        );
-        if (nameColumnIndex === -1) {
-          console.error(`Column "${nameColumn}" not found in sheet headers`);
-          return { found: false, allData: values };
-        }
+  /**
+   * Get all values of a tab, reading through the cache
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The name of the tab
+   * @returns {Promise<Array<Array>>} - The tab's values, starting at row 1
+   */
+  async getSheetValues(spreadsheetId, sheetName) {
+    const cached = this.cache.getTab(spreadsheetId, sheetName);
+    if (cached) return cached.values;
+
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: a1.range(sheetName),  // The whole tab, however many columns it has
+    });
+
+    const values = response.data.values || [];
+    this.cache.setTab(spreadsheetId, sheetName, values);
+    return values;
+  }
+
+  /**
+   * Get all values of several tabs, reading through the cache and fetching any misses in one request.
+   * The returned arrays may be shared with the cache, so callers must not modify them.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} sheetNames - The tabs to read
+   * @returns {Promise<Array<{sheetName: string, values: Array<Array>}>>} - Each tab's values, in the same order
+   * @throws {Error} - If the API request fails
+   */
+  async readTabs(spreadsheetId, sheetNames) {
+    const tabValues = new Map();
+    const missing = [];
+
+    for (const sheetName of sheetNames) {
+      const cached = this.cache.getTab(spreadsheetId, sheetName);
+      if (cached) {
+        tabValues.set(sheetName, cached.values);
+      } else {
+        missing.push(sheetName);
       }
+    }
 
-      // Search for the name in the specified column
-      for (let i = 1; i < values.length; i++) {
-        const row = values[i];
-        
-        // Skip empty rows
-        if (!row || row.length === 0) continue;
+    if (missing.length > 0) {
+      const sheetValues = await this.requestBatchGet(spreadsheetId, missing.map(sheetName => a1.range(sheetName)));
+      missing.forEach((sheetName, index) => {
+        tabValues.set(sheetName, sheetValues[index] || []);
+        this.cache.setTab(spreadsheetId, sheetName, sheetValues[index] || []);
+      });
+    }
+
+    return sheetNames.map(sheetName => ({ sheetName, values: tabValues.get(sheetName) }));
+  }
+
+  /**
+   * Get the sheet name part of an A1 range (e.g. 'Sheet 1' for "'Sheet 1'!A1:D10")
+   * @param {string} range - The A1 range
+   * @returns {string} - The sheet name
+   */
+  sheetNameFromRange(range) {
+    return a1.sheetNameFromRange(range);
+  }
+
+  /**
+   * Find the 0-indexed position of the name column in a header row.
+   * A header with that name wins, so short headers like 'ID' are found where they are; otherwise
+   * up to three letters are read as a column letter.
+   * @param {Array<string>} headers - The header row
+   * @param {string} nameColumn - Header name (e.g. 'USERNAME') or column letter (e.g. 'A')
+   * @returns {number} - The column index, or -1 if the header isn't found
+   */
+  findNameColumnIndex(headers, nameColumn) {
+    const searchName = String(nameColumn).toLowerCase().trim();
+    const index = headers.findIndex(
+      header => header && String(header).toLowerCase().trim() === searchName
+    );
+    if (index !== -1) return index;
+
+    if (/^[A-Za-z]{1,3}$/.test(searchName)) {
+      return a1.columnIndex(searchName); // Convert A->0, B->1, etc.
+    }
+
+    return -1;
+  }
+
+  /**
+   * Find a name in sheet data that has already been fetched
+   * @param {Array<Array>} values - The sheet's values, starting at row 1
+   * @param {string} name - The name to search for
+   * @param {string} nameColumn - Column letter or header name to search in
+   * @param {number} headerRow - Optional 1-indexed row holding the column headers (default: 1)
+   * @param {number} dataStartRow - Optional 1-indexed row the users start on (default: the row after the headers)
+   * @returns {{found: boolean, row?: number, rowData?: Array, headers?: Array, allData?: Array}} - Result object with found status and data
+   */
+  findNameInValues(values, name, nameColumn, headerRow = 1, dataStartRow = headerRow + 1) {
+    // Standardize the name for case-insensitive comparison
+    const searchName = name.toLowerCase().trim();
+
+    if (values.length < headerRow) {
+      return { found: false, allData: values };
+    }
+
+    // Find the column index for the name column
+    const headers = values[headerRow - 1] || [];
+    const nameColumnIndex = this.findNameColumnIndex(headers, nameColumn);
+    if (nameColumnIndex === -1) {
+      console.error(`Column "${nameColumn}" not found in sheet headers`);
+      return { found: false, allData: values };
+    }
+
+    // Search for the name in the specified column (rows from the first user row down)
+    for (let i = dataStartRow - 1; i < values.length; i++) {
+      const row = values[i];
+      
+      // Skip empty rows
+      if (!row || row.length === 0) continue;
+      
+      // Check if the column exists in this row
+      if (row.length > nameColumnIndex) {
+        const cellValue = row[nameColumnIndex];
         
-        // Check if the column exists in this row
-        if (row.length > nameColumnIndex) {
-          const cellValue = row[nameColumnIndex];
-          
-          // If cell value exists and matches the search name
-          if (cellValue && cellValue.toLowerCase().trim() === searchName) {
-            return {
-              found: true,
-              row: i + 1, // 1-indexed row number as used in Sheets
-              rowData: row,
-              allData: values
-            };
-          }
+        // If cell value exists and matches the search name
+        if (cellValue && cellValue.toLowerCase().trim() === searchName) {
+          return {
+            found: true,
+            row: i + 1, // 1-indexed row number as used in Sheets
+            rowData: row,
+            headers: headers,
+            allData: values
+          };
         }
       }
-
-      // Name not found
-      return { 
-        found: false, 
-        allData: values 
-      };
-    } catch (error) {
-      console.error('Error finding name in sheet:', error);
-      return { found: false };
     }
+
+    // Name not found
+    return { 
+      found: false, 
+      allData: values 
+    };
   }
 
   /**
@@ -224,11 +578,17 @@ class GoogleSheetsApi {
         return { found: false, message: `User "${name}" not found in the sheet` };
       }
 
-      // Get the header row to find the column index
-      const headerRow = userResult.allData[0];
-      const columnIndex = headerRow.findIndex(
-        header => header && header.toLowerCase().trim() === columnName.toLowerCase().trim()
-      );
+      // Find the column index, using the cached header index when we have one
+      const searchColumn = columnName.toLowerCase().trim();
+      const headerIndex = this.cache.getHeaderIndex(spreadsheetId, sheetName);
+      let columnIndex;
+      if (headerIndex) {
+        columnIndex = headerIndex.has(searchColumn) ? headerIndex.get(searchColumn) : -1;
+      } else {
+        columnIndex = userResult.headers.findIndex(
+          header => header && header.toLowerCase().trim() === searchColumn
+        );
+      }
 
       if (columnIndex === -1) {
         return { 
@@ -247,7 +607,7 @@ class GoogleSheetsApi {
         value: value,
         row: userResult.row,
         column: columnIndex + 1, // 1-indexed column number as used in Sheets
-        columnLetter: String.fromCharCode(65 + columnIndex), // Convert to column letter (A, B, C, etc.)
+        columnLetter: a1.columnLetter(columnIndex), // Convert to column letter (A, ..., Z, AA, etc.)
         user: { name, row: userResult.row, rowData: userResult.rowData }
       };
     } catch (error) {
@@ -273,6 +633,9 @@ class GoogleSheetsApi {
     }
 
     try {
+      // Never increment from cached values - always read the current sheet first
+      this.cache.invalidateValues(spreadsheetId, [sheetName]);
+
       // First, find the column value for the user
       const result = await this.findColumnValueForUser(spreadsheetId, name, columnName, sheetName, nameColumn);
       
@@ -300,7 +663,7 @@ class GoogleSheetsApi {
       const newValue = currentValue + incrementBy;
       
       // Update the cell with the new value
-      const cellAddress = `${sheetName}!${result.columnLetter}${result.row}`;
+      const cellAddress = a1.cellRange(sheetName, result.row, result.column - 1);
       const updateSuccess = await this.updateSheetData(
         spreadsheetId,
         cellAddress,
@@ -346,6 +709,8 @@ class GoogleSheetsApi {
         range,
       });
 
+      // Cleared usernames must drop out of the username index
+      this.cache.invalidateSheet(spreadsheetId, this.sheetNameFromRange(range));
       return true;
     } catch (error) {
       console.error('Error clearing sheet data:', error);
@@ -365,18 +730,211 @@ class GoogleSheetsApi {
     }
 
     try {
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId,
-        fields: 'sheets.properties'
-      });
-
-      return response.data.sheets.map(sheet => sheet.properties.title);
+      return await this.requestSheetNames(spreadsheetId);
     } catch (error) {
       console.error('Error fetching sheet names:', error);
       return [];
     }
   }
 
+  /**
+   * List a spreadsheet's tabs, limited to the ones a layout allows. Throws on API errors.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Object} layout - Optional sheet layout ({ includeTabs, excludeTabs }); every tab if not given
+   * @returns {Promise<Array<string>>} - The tab names, in spreadsheet order
+   */
+  async listTabs(spreadsheetId, layout = {}) {
+    return this.filterSheetNames(await this.requestSheetNames(spreadsheetId), layout);
+  }
+
+  /**
+   * Work out where a layout keeps its users: one table per named range when it lists any,
+   * otherwise one per tab it allows. Throws on API errors, or if a named range doesn't exist.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Object} layout - Optional sheet layout ({ headerRow, dataStartRow, includeTabs, excludeTabs, namedRanges })
+   * @returns {Promise<Array<{sheetName: string, headerRow: number, dataStartRow: number, endRow: number, startColumn: number, endColumn: number}>>} - The tables in search order (1-indexed rows, 0-indexed columns, Infinity when open-ended)
+   */
+  async listTables(spreadsheetId, layout = {}) {
+    const namedRanges = layout.namedRanges || [];
+
+    if (namedRanges.length === 0) {
+      const headerRow = layout.headerRow || 1;
+      const dataStartRow = layout.dataStartRow || headerRow + 1;
+
+      return (await this.listTabs(spreadsheetId, layout)).map(sheetName => ({
+        sheetName, headerRow, dataStartRow, endRow: Infinity, startColumn: 0, endColumn: Infinity
+      }));
+    }
+
+    // A named range holds its own table: headers on its first row, users on the rows below
+    const available = await this.requestNamedRanges(spreadsheetId);
+    return namedRanges.map(name => {
+      const namedRange = available.find(item => item.name.toLowerCase() === name.toLowerCase().trim());
+      if (!namedRange || !namedRange.sheetName) {
+        throw new Error(`Named range "${name}" not found in spreadsheet`);
+      }
+
+      return {
+        sheetName: namedRange.sheetName,
+        headerRow: namedRange.startRow + 1,
+        dataStartRow: namedRange.startRow + 2,
+        endRow: namedRange.endRow + 1,
+        startColumn: namedRange.startColumn,
+        endColumn: namedRange.endColumn
+      };
+    });
+  }
+
+  /**
+   * Limit a row to a table's columns, blanking the cells before it so column positions still match the tab
+   * @param {Array} row - The row's values, starting at column A
+   * @param {Object} table - The table (see listTables)
+   * @returns {Array} - The row's values within the table (the row itself when the table has every column)
+   */
+  clipRow(row, table) {
+    if (table.startColumn === 0 && table.endColumn === Infinity) return row;
+    return new Array(table.startColumn).fill('').concat(row.slice(table.startColumn, table.endColumn + 1));
+  }
+
+  /**
+   * Limit a tab's values to one table, blanking the cells outside it so row and column positions still match the tab
+   * @param {Array<Array>} values - The tab's values, starting at row 1
+   * @param {Object} table - The table (see listTables)
+   * @returns {Array<Array>} - The table's values (the tab's own arrays when the table is the whole tab)
+   */
+  clipToTable(values, table) {
+    if (table.startColumn === 0 && table.endColumn === Infinity && table.endRow === Infinity) {
+      return values;
+    }
+
+    return values.slice(0, table.endRow).map((row, index) =>
+      (index < table.headerRow - 1 || !row ? [] : this.clipRow(row, table)));
+  }
+
+  /**
+   * Read every table a layout keeps users in, reading through the cache. Throws on API errors.
+   * The returned arrays may be shared with the cache, so callers must not modify them.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Object} layout - Optional sheet layout (see listTables)
+   * @returns {Promise<Array<Object>>} - Each table (see listTables) with its `values`, starting at row 1 of the tab
+   */
+  async readTables(spreadsheetId, layout = {}) {
+    const tables = await this.listTables(spreadsheetId, layout);
+    const tabs = await this.readTabs(spreadsheetId, Array.from(new Set(tables.map(table => table.sheetName))));
+    const tabValues = new Map(tabs.map(({ sheetName, values }) => [sheetName, values]));
+
+    return tables.map(table => ({ ...table, values: this.clipToTable(tabValues.get(table.sheetName), table) }));
+  }
+
+  /**
+   * Find the first row holding a username, searching the tables a layout keeps users in, in order. Throws on API errors.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} name - The username to search for (case-insensitive)
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {Object} layout - Optional sheet layout ({ headerRow, dataStartRow, includeTabs, excludeTabs, namedRanges })
+   * @returns {Promise<{sheetName: string, row: number, headers: Array<string>, rowData: Array<string>}|null>} - The user's row, or null if not found
+   */
+  async findUser(spreadsheetId, name, nameColumn = 'USERNAME', layout = {}) {
+    const tables = await this.readTables(spreadsheetId, layout);
+
+    for (const { sheetName, values, headerRow, dataStartRow } of tables) {
+      const userResult = this.findNameInValues(values, name, nameColumn, headerRow, dataStartRow);
+      if (userResult.found) {
+        return { sheetName, row: userResult.row, headers: userResult.headers, rowData: userResult.rowData };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Overwrite individual cells in a single request, waiting for any update in flight on the
+   * same cells. Cells given an `original` are only written if they still hold that text, and cells
+   * given a `user` only if their row still holds that username (see writeChanges); the others are
+   * written as they are. Throws on API errors.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} cells - The cells to write ({ sheetName, row, column, value } with 1-indexed row and column,
+   *   and optionally original: the text the cell held when read, user: { column, name } the row's 1-indexed username column and username)
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @returns {Promise<Array<Object>>} - The cells that had changed since they were read, and weren't written
+   */
+  async writeCells(spreadsheetId, cells, valueInputOption = 'USER_ENTERED') {
+    const changes = new Map(cells.map(cell => [a1.cellRange(cell.sheetName, cell.row, cell.column - 1), {
+      value: cell.value,
+      original: cell.original,
+      guard: cell.user ? { address: a1.cellRange(cell.sheetName, cell.row, cell.user.column - 1), name: cell.user.name } : null
+    }]));
+
+    const release = await this.lockCells(spreadsheetId, Array.from(changes.keys()));
+    try {
+      const conflicts = await this.writeChanges(spreadsheetId, changes, true, valueInputOption);
+      return cells.filter(cell => conflicts.includes(a1.cellRange(cell.sheetName, cell.row, cell.column - 1)));
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Add rows after the last row of a tab. Throws on API errors.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab to append to
+   * @param {Array<Array>} rows - The rows to add, starting at the table's first column
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @param {Object} table - Optional table the rows belong to ({ headerRow, startColumn }, see listTables); the whole tab if not given
+   * @returns {Promise<number|null>} - The 1-indexed row of the first new row, if known
+   */
+  async appendRows(spreadsheetId, sheetName, rows, valueInputOption = 'USER_ENTERED', table = {}) {
+    const anchor = a1.cellRange(sheetName, table.headerRow || 1, table.startColumn || 0);
+    return this.requestAppend(spreadsheetId, anchor, rows, valueInputOption);
+  }
+
+  /**
+   * Forget every cached value of a spreadsheet, so the next read sees what is stored now
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   */
+  invalidate(spreadsheetId) {
+    this.cache.invalidateValues(spreadsheetId);
+  }
+
+  /**
+   * Build the username index cache key for a name column and set of tables
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {Array<Object>} tables - The tables searched (see listTables)
+   * @param {string|null} userIdColumn - Optional column letter or header name holding Roblox UserIds, also indexed
+   * @returns {string} - The cache key
+   */
+  nameIndexKey(nameColumn, tables, userIdColumn = null) {
+    const bounds = tables.map(table =>
+      `${table.sheetName}:${table.headerRow}:${table.dataStartRow}:${table.endRow}:${table.startColumn}:${table.endColumn}`);
+    return `${nameColumn}|${userIdColumn || ''}|${bounds.join('|')}`;
+  }
+
+  /**
+   * Build the username index key of a Roblox UserId. Usernames can't contain '#', so the two never clash.
+   * @param {string|number} userId - The UserId
+   * @returns {string} - The index key
+   */
+  userIdKey(userId) {
+    return `#${String(userId).trim()}`;
+  }
+
+  /**
+   * Filter sheet names down to the tabs a layout allows
+   * @param {Array<string>} sheetNames - All sheet names in the spreadsheet
+   * @param {Object} layout - Sheet layout ({ includeTabs, excludeTabs })
+   * @returns {Array<string>} - The sheet names to search, in spreadsheet order
+   */
+  filterSheetNames(sheetNames, layout = {}) {
+    const includeTabs = (layout.includeTabs || []).map(tab => tab.toLowerCase().trim());
+    const excludeTabs = (layout.excludeTabs || []).map(tab => tab.toLowerCase().trim());
+
+    return sheetNames.filter(sheetName => {
+      const tab = sheetName.toLowerCase().trim();
+      if (includeTabs.length > 0 && !includeTabs.includes(tab)) return false;
+      return !excludeTabs.includes(tab);
+    });
+  }
+
   /**
    * Find and increment a numeric column value for a user across all sheets in a spreadsheet
    * @param {string} spreadsheetId - The ID of the spreadsheet
@@ -384,105 +942,729 @@ class GoogleSheetsApi {
    * @param {string} columnName - The name of the column to increment (e.g. 'Points2')
    * @param {number} incrementBy - Amount to increment by (default: 1)
    * @param {string} nameColumn - Optional column to search for the name in (default: 'Username')
+   * @param {Object} layout - Optional sheet layout (see listTables)
    * @returns {Promise<{success: boolean, newValue?: number, previousValue?: number, message?: string, sheetName?: string}>} - Result object with success status and values
    */
-  async findAndIncrementColumnValueAcrossSheets(spreadsheetId, name, columnName, incrementBy = 1, nameColumn = 'USERNAME') {
+  async findAndIncrementColumnValueAcrossSheets(spreadsheetId, name, columnName, incrementBy = 1, nameColumn = 'USERNAME', layout = {}) {
     if (!this.initialized) {
       const initSuccess = this.init();
       if (!initSuccess) return { success: false, message: 'Failed to initialize Google Sheets API' };
     }
 
+    // A single increment is just a batch of one
+    const [result] = await this.findAndIncrementColumnValuesAcrossSheets(
+      spreadsheetId,
+      [{ name, columnName, incrementBy }],
+      nameColumn,
+      layout
+    );
+
+    return result;
+  }
+
+  /**
+   * Find and increment numeric column values for several users across all sheets in a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<{name: string, columnName: string, incrementBy: number}>} updates - The increments to apply
+   * @param {string} nameColumn - Optional column to search for the names in (default: 'USERNAME')
+   * @param {Object} layout - Optional sheet layout (see listTables)
+   * @returns {Promise<Array<Object>>} - One result per update, in the same order, shaped like findAndIncrementColumnValueAcrossSheets results
+   */
+  async findAndIncrementColumnValuesAcrossSheets(spreadsheetId, updates, nameColumn = 'USERNAME', layout = {}) {
+    return this.applyChanges(
+      spreadsheetId,
+      updates.map(({ name, columnName, incrementBy }) => ({
+        name,
+        columnName,
+        op: 'increment',
+        value: incrementBy !== undefined ? incrementBy : 1
+      })),
+      nameColumn,
+      layout
+    );
+  }
+
+  /**
+   * Find and update column values for several users across all sheets in a spreadsheet.
+   * Every tab is read once and all changes are written in a single batch, instead of
+   * searching and writing separately for each user.
+   * Writes never overwrite a value they didn't read: the changed cells are locked and read again
+   * just before writing, and if any of them changed in the meantime (another request, or someone
+   * editing the sheet) the whole batch is re-read and re-planned, up to WRITE_CONFLICT_RETRIES
+   * times. Updates whose cells still keep changing after that fail with `conflict` set.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} updates - The changes to apply ({ name, columnName, op, value, type, minValue, maxValue }, see planChange)
+   * @param {string} nameColumn - Optional column to search for the names in (default: 'USERNAME')
+   * @param {Object} layout - Optional sheet layout (see listTables)
+   * @param {Object} options - Optional settings ({ dryRun: true to work out the changes without writing them,
+   *   duplicates: the department's duplicate policy, see pickMatches,
+   *   userIdColumn: column holding Roblox UserIds, to match updates that carry a userId, see findUserMatches })
+   * @returns {Promise<Array<Object>>} - One result per update, in the same order, shaped like findAndIncrementColumnValueAcrossSheets results
+   */
+  async applyChanges(spreadsheetId, updates, nameColumn = 'USERNAME', layout = {}, options = {}) {
+    const failAll = message => updates.map(() => ({ success: false, message }));
+
+    if (!this.initialized) {
+      const initSuccess = this.init();
+      if (!initSuccess) return failAll('Failed to initialize Google Sheets API');
+    }
+
     try {
-      // Get all sheet names in the spreadsheet
-      const sheetNames = await this.getSheetNames(spreadsheetId);
-      
-      if (sheetNames.length === 0) {
-        return { 
-          success: false, 
-          message: 'No sheets found in spreadsheet'
-        };
+      // Get the tables users are kept in, limited to the tabs or named ranges the layout allows
+      const tables = await this.listTables(spreadsheetId, layout);
+
+      if (tables.length === 0) {
+        return failAll('No sheets found in spreadsheet');
       }
 
-      // Search for the user in each sheet
-      for (const sheetName of sheetNames) {
-        console.log(`Searching for user ${name} in sheet ${sheetName}...`);
-        
-        // Attempt to find the user in this sheet
-        const userResult = await this.findNameInSheet(spreadsheetId, name, sheetName, nameColumn);
-        
-        if (userResult.found) {
-          console.log(`Found user ${name} in sheet ${sheetName}, row ${userResult.row}`);
-          
-          // Get the header row to find the column index
-          const headerRow = userResult.allData[0];
-          const columnIndex = headerRow.findIndex(
-            header => header && header.toLowerCase().trim() === columnName.toLowerCase().trim()
-          );
-
-          if (columnIndex === -1) {
-            console.log(`Column "${columnName}" not found in sheet ${sheetName} headers`);
-            continue; // Try the next sheet
+      let { results, changes } = await this.planChanges(spreadsheetId, tables, updates, nameColumn, options);
+
+      if (changes.size === 0 || options.dryRun) {
+        return results;
+      }
+
+      // Hold the cells while checking and writing them, and while re-planning after a conflict,
+      // so other requests in this process wait for us instead of racing for the same cells
+      let locked = Array.from(changes.keys());
+      let release = await this.lockCells(spreadsheetId, locked);
+
+      try {
+        for (let attempt = 1; ; attempt++) {
+          // A re-plan can land on other cells (e.g. after the sheet was sorted), which must be held too
+          const unlocked = Array.from(changes.keys()).filter(address => !locked.includes(address));
+          if (unlocked.length > 0) {
+            release();
+            locked = locked.concat(unlocked);
+            release = await this.lockCells(spreadsheetId, locked);
           }
 
-          // Get the current value from the user's row at the column index
-          const userRow = userResult.rowData;
-          const value = columnIndex < userRow.length ? userRow[columnIndex] : null;
-          
-          // Get the current value, defaulting to 0 if not present or not a number
-          let currentValue = 0;
-          if (value !== null && value !== undefined) {
-            // Try to convert the value to a number
-            currentValue = Number(value);
-            if (isNaN(currentValue)) {
-              console.log(`Value '${value}' in ${columnName} for user ${name} in sheet ${sheetName} is not a number`);
-              continue; // Try the next sheet
-            }
+          // On the last attempt, write the cells that didn't change and give up on the rest
+          const lastAttempt = attempt > CONFLICT_RETRIES;
+
+          let conflicts;
+          try {
+            conflicts = await this.writeChanges(spreadsheetId, changes, lastAttempt);
+          } catch (error) {
+            console.error('Error batch updating sheet data:', error);
+
+            return results.map((result, index) => {
+              if (!result.success) return result;
+
+              const update = updates[index];
+              return {
+                success: false,
+                message: `Failed to update ${update.columnName} for user ${update.name} in sheet ${result.sheetName}`,
+                retryable: this.isRetryableError(error),
+                retryAfterMs: this.getRetryAfterMs(error)
+              };
+            });
           }
 
-          // Calculate the new value
-          const newValue = currentValue + incrementBy;
-          
-          // Update the cell with the new value
-          const columnLetter = String.fromCharCode(65 + columnIndex);
-          const cellAddress = `${sheetName}!${columnLetter}${userResult.row}`;
-          
-          console.log(`Updating cell ${cellAddress} from ${currentValue} to ${newValue}`);
-          
-          const updateSuccess = await this.updateSheetData(
-            spreadsheetId,
-            cellAddress,
-            [[newValue.toString()]]  // Wrap in double array for Google Sheets API format
-          );
-
-          if (!updateSuccess) {
-            return { 
-              success: false, 
-              message: `Failed to update ${columnName} for user ${name} in sheet ${sheetName}`
-            };
+          if (conflicts.length === 0) {
+            return results;
           }
 
-          return {
-            success: true,
-            previousValue: currentValue,
-            newValue: newValue,
-            row: userResult.row,
-            column: columnIndex + 1,
-            columnLetter: columnLetter,
-            sheetName: sheetName
-          };
+          if (lastAttempt) {
+            return results.map((result, index) => {
+              if (!result.success) return result;
+
+              const conflicted = (result.matches || [result]).some(
+                match => conflicts.includes(a1.cellRange(match.sheetName, match.row, match.column - 1))
+              );
+              if (!conflicted) return result;
+
+              const update = updates[index];
+              return {
+                success: false,
+                conflict: true,
+                message: `${update.columnName} for user ${update.name} in sheet ${result.sheetName} kept changing while it was being updated, so it was left alone`,
+                retryable: true
+              };
+            });
+          }
+
+          console.log(`${conflicts.length} cell(s) in spreadsheet ${spreadsheetId} changed before they were written (${conflicts.join(', ')}), re-planning (attempt ${attempt + 1})`);
+
+          ({ results, changes } = await this.planChanges(spreadsheetId, tables, updates, nameColumn, options));
+
+          if (changes.size === 0) {
+            return results;
+          }
+        }
+      } finally {
+        release();
+      }
+    } catch (error) {
+      console.error('Error finding and updating column values across sheets:', error);
+      return updates.map(() => ({
+        success: false,
+        error: error.message,
+        message: error.message,
+        retryable: this.isRetryableError(error),
+        retryAfterMs: this.getRetryAfterMs(error)
+      }));
+    }
+  }
+
+  /**
+   * Read the rows a batch needs and work out every cell change in memory
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} tables - The tables to search, in search order (see listTables)
+   * @param {Array<Object>} updates - The changes to apply (see planChange)
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {Object} options - Optional matching settings ({ duplicates, userIdColumn }, see applyChanges)
+   * @returns {Promise<{results: Array<Object>, changes: Map<string, {value: number|string, original: string}>}>} - One result per update, and the cells to write
+   * @throws {Error} - If the API request fails
+   */
+  async planChanges(spreadsheetId, tables, updates, nameColumn, options = {}) {
+    const userIdColumn = options.userIdColumn || null;
+
+    // Use the username index to read only the rows we need, falling back to reading every tab
+    let sheets = await this.readIndexedRows(spreadsheetId, tables, updates, nameColumn, userIdColumn);
+    if (!sheets) {
+      sheets = await this.readAllTabs(spreadsheetId, tables, nameColumn, userIdColumn);
+    }
+
+    // Later updates to the same cell build on earlier ones
+    const changes = new Map();
+    const results = updates.map(update => this.planChange(sheets, update, nameColumn, changes, options));
+    return { results, changes };
+  }
+
+  /**
+   * Write planned cell changes, checking first that no cell has changed since it was read and that
+   * its row still holds the same user (rows move when one above them is deleted).
+   * The caller must hold the cells (see lockCells), so nothing in this process writes them in between,
+   * and row deletes in the same tabs wait until the cells are written (see deleteRow).
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Map<string, {value: number|string, original?: string, guard?: Object}>} changes - The cells to write
+   *   (see planCell); cells without an `original` aren't compared, and cells without a `guard` aren't tied to a user
+   * @param {boolean} partial - True to still write the cells that haven't changed when others have
+   * @param {string} valueInputOption - How to interpret the values (RAW or USER_ENTERED)
+   * @returns {Promise<Array<string>>} - The addresses of the cells that changed (and weren't written)
+   * @throws {Error} - If the API request fails
+   */
+  async writeChanges(spreadsheetId, changes, partial = false, valueInputOption = 'USER_ENTERED') {
+    const addresses = Array.from(changes.keys());
+    const sheetNames = Array.from(new Set(addresses.map(address => a1.parseRange(address).sheetName)));
+
+    const release = await this.lockRows(spreadsheetId, sheetNames);
+    try {
+      // Read the cells and the username cells of their rows together
+      const checked = addresses.filter(address => changes.get(address).original !== undefined);
+      const guards = Array.from(new Set(addresses
+        .map(address => changes.get(address).guard)
+        .filter(Boolean)
+        .map(guard => guard.address)));
+
+      const ranges = checked.concat(guards);
+      const current = ranges.length > 0 ? await this.requestBatchGet(spreadsheetId, ranges) : [];
+      const textOf = address => {
+        const cell = ((current[ranges.indexOf(address)] || [])[0] || [])[0];
+        return cell === undefined || cell === null ? '' : String(cell);
+      };
+
+      const conflicts = addresses.filter(address => {
+        const { original, guard } = changes.get(address);
+        return (original !== undefined && textOf(address) !== original) ||
+          (guard && !this.sameName(textOf(guard.address), guard.name));
+      });
+
+      if (conflicts.length > 0 && !partial) {
+        return conflicts;
+      }
+
+      const data = addresses
+        .filter(address => !conflicts.includes(address))
+        .map(address => ({
+          range: address,
+          values: [[changes.get(address).value.toString()]]  // Wrap in double array for Google Sheets API format
+        }));
+
+      if (data.length > 0) {
+        console.log(`Writing ${data.length} cell(s) to spreadsheet ${spreadsheetId}`);
+        await this.requestBatchUpdate(spreadsheetId, data, valueInputOption);
+      }
+
+      return conflicts;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait until no other write in this process holds any of the cells, then hold them all
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} addresses - The cells to lock (as built by a1.cellRange)
+   * @returns {Promise<Function>} - Call it to release the cells
+   */
+  lockCells(spreadsheetId, addresses) {
+    return this.cellLocks.acquire(addresses.map(address => `${spreadsheetId}|${address}`));
+  }
+
+  /**
+   * Hold the row order of tabs while checking and writing them, so no row is deleted in between.
+   * Always taken after any cell locks (see lockCells), never before, so the two can't deadlock.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} sheetNames - The tabs
+   * @returns {Promise<Function>} - Call it to release the tabs
+   */
+  lockRows(spreadsheetId, sheetNames) {
+    return this.cellLocks.acquire(sheetNames.map(sheetName => `${spreadsheetId}|rows|${sheetName}`));
+  }
+
+  /**
+   * Read every tab in one request and rebuild the username index from them
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} tables - The tables to read, in search order (see listTables)
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {string|null} userIdColumn - Optional column letter or header name holding Roblox UserIds, indexed too
+   * @returns {Promise<Array<Object>>} - The tables with their `values`
+   * @throws {Error} - If the API request fails
+   */
+  async readAllTabs(spreadsheetId, tables, nameColumn, userIdColumn = null) {
+    const sheetNames = Array.from(new Set(tables.map(table => table.sheetName)));
+    const sheetValues = await this.requestBatchGet(spreadsheetId, sheetNames.map(sheetName => a1.range(sheetName)));
+
+    const sheets = tables.map(table => ({
+      ...table,
+      values: this.clipToTable(sheetValues[sheetNames.indexOf(table.sheetName)] || [], table)
+    }));
+
+    // Rebuild the username index (username, and UserId if there's a column for it -> every sheet/row it appears in)
+    const users = new Map();
+    const addLocation = (key, location) => {
+      if (!users.has(key)) users.set(key, []);
+      users.get(key).push(location);
+    };
+
+    for (const { sheetName, values, headerRow, dataStartRow } of sheets) {
+      const headers = values[headerRow - 1] || [];
+      const nameColumnIndex = this.findNameColumnIndex(headers, nameColumn);
+      if (nameColumnIndex === -1) continue;
+
+      const userIdColumnIndex = userIdColumn ? this.findNameColumnIndex(headers, userIdColumn) : -1;
+
+      for (let i = dataStartRow - 1; i < values.length; i++) {
+        const row = values[i] || [];
+
+        const cellValue = row[nameColumnIndex];
+        if (cellValue) addLocation(cellValue.toLowerCase().trim(), { sheetName, row: i + 1 });
+
+        const userId = userIdColumnIndex === -1 ? '' : String(row[userIdColumnIndex] || '').trim();
+        if (userId) addLocation(this.userIdKey(userId), { sheetName, row: i + 1 });
+      }
+    }
+
+    this.cache.setNameIndex(spreadsheetId, this.nameIndexKey(nameColumn, tables, userIdColumn), users, sheetNames);
+    return sheets;
+  }
+
+  /**
+   * Read only the header rows and the rows the username index points at (by UserId as well as by
+   * username, for updates that carry a userId). Gives up (returns null) when there is no index, a user
+   * isn't in it, or a row no longer holds the expected username or UserId (e.g. after someone sorted
+   * the sheet), so the caller re-scans.
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} tables - The tables to search, in search order (see listTables)
+   * @param {Array<{name: string, userId?: string|number}>} lookups - The users to look up
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {string|null} userIdColumn - Optional column letter or header name holding Roblox UserIds
+   * @returns {Promise<Array<Object>|null>} - The tables with sparse `values` holding just those rows, or null to re-scan
+   */
+  async readIndexedRows(spreadsheetId, tables, lookups, nameColumn, userIdColumn = null) {
+    const users = this.cache.getNameIndex(spreadsheetId, this.nameIndexKey(nameColumn, tables, userIdColumn));
+    if (!users) return null;
+
+    // Collect the rows to read, per table
+    const rowsByTable = new Map();
+    for (const { name, userId } of lookups) {
+      const locations = (users.get(name.toLowerCase().trim()) || [])
+        .concat(userIdColumn && this.hasUserId(userId) ? users.get(this.userIdKey(userId)) || [] : []);
+      if (locations.length === 0) return null;
+
+      for (const { sheetName, row } of locations) {
+        const table = tables.find(item => item.sheetName === sheetName && row >= item.dataStartRow && row <= item.endRow);
+        if (!table) return null;
+
+        if (!rowsByTable.has(table)) rowsByTable.set(table, new Set());
+        rowsByTable.get(table).add(row);
+      }
+    }
+
+    // Read the header row and the indexed rows of every table involved in one request
+    const ranges = [];
+    const targets = [];
+    for (const [table, rows] of rowsByTable) {
+      for (const row of [table.headerRow, ...rows]) {
+        ranges.push(a1.rowRange(table.sheetName, row));
+        targets.push({ table, row });
+      }
+    }
+
+    const rangeValues = await this.requestBatchGet(spreadsheetId, ranges);
+
+    const valuesByTable = new Map();
+    targets.forEach(({ table, row }, index) => {
+      if (!valuesByTable.has(table)) valuesByTable.set(table, []);
+
+      valuesByTable.get(table)[row - 1] = this.clipRow((rangeValues[index] || [])[0] || [], table);
+    });
+
+    // Make sure every indexed row still holds the username or UserId we expect
+    for (const [table, rows] of rowsByTable) {
+      const values = valuesByTable.get(table);
+      const headers = values[table.headerRow - 1] || [];
+      const nameColumnIndex = this.findNameColumnIndex(headers, nameColumn);
+      const userIdColumnIndex = userIdColumn ? this.findNameColumnIndex(headers, userIdColumn) : -1;
+      const isIndexedAt = (key, row) =>
+        (users.get(key) || []).some(location => location.sheetName === table.sheetName && location.row === row);
+
+      for (const row of rows) {
+        const cellValue = nameColumnIndex === -1 ? null : values[row - 1][nameColumnIndex];
+        const userId = userIdColumnIndex === -1 ? '' : String(values[row - 1][userIdColumnIndex] || '').trim();
+
+        if (!isIndexedAt(cellValue ? cellValue.toLowerCase().trim() : '', row) &&
+            !(userId && isIndexedAt(this.userIdKey(userId), row))) {
+          console.log(`Cached row ${row} in sheet ${table.sheetName} no longer holds the expected user, re-scanning`);
+          return null;
+        }
+      }
+    }
+
+    // Keep the search order so the first match wins as before
+    return tables
+      .filter(table => valuesByTable.has(table))
+      .map(table => ({ ...table, values: valuesByTable.get(table) }));
+  }
+
+  /**
+   * Work out the new value of a cell for an operation
+   * @param {string} op - The operation ('increment', 'decrement', 'set', 'max', 'min' or 'clear')
+   * @param {number|string} currentValue - The cell's current value (a number for numeric operations)
+   * @param {number|string} value - The operation's value (the amount for increment/decrement)
+   * @param {{minValue?: number, maxValue?: number}} bounds - Optional limits numeric results are clamped to
+   * @returns {{newValue: number|string, clamped: boolean}} - The new value, and whether a bound changed it
+   */
+  applyOperation(op, currentValue, value, bounds = {}) {
+    let newValue;
+
+    switch (op) {
+      case 'increment': newValue = currentValue + value; break;
+      case 'decrement': newValue = currentValue - value; break;
+      case 'max': newValue = Math.max(currentValue, value); break;
+      case 'min': newValue = Math.min(currentValue, value); break;
+      case 'clear': return { newValue: '', clamped: false };
+      default: return { newValue: value, clamped: false }; // set
+    }
+
+    let clamped = newValue;
+    if (bounds.minValue !== undefined) clamped = Math.max(clamped, bounds.minValue);
+    if (bounds.maxValue !== undefined) clamped = Math.min(clamped, bounds.maxValue);
+
+    return { newValue: clamped, clamped: clamped !== newValue };
+  }
+
+  /**
+   * Check whether an update carries a Roblox UserId
+   * @param {string|number|undefined} userId - The update's userId
+   * @returns {boolean} - True if there is a UserId to match on
+   */
+  hasUserId(userId) {
+    return userId !== undefined && userId !== null && String(userId).trim() !== '';
+  }
+
+  /**
+   * Find every row holding a user in tables that have already been fetched.
+   * With a UserId (and a column for it), rows holding that UserId are matched first. Only when none
+   * does are rows matched by username, skipping any that hold a different UserId (another player
+   * who has since taken the name).
+   * @param {Array<Object>} sheets - The fetched tables with their `values`, in search order (see listTables)
+   * @param {{name: string, userId?: string|number}} user - The username, and optionally the Roblox UserId
+   * @param {string} nameColumn - Column letter or header name holding usernames
+   * @param {string|null} userIdColumn - Optional column letter or header name holding UserIds
+   * @returns {{matches: Array<Object>, matchedBy: string, mismatched: Array<Object>}} - The matching rows in search order
+   *   ({ sheetName, row, rowData, headers, nameColumnIndex, userIdColumnIndex, storedUserId }), whether they were
+   *   matched by 'userId' or 'name', and the rows holding the username but another UserId
+   */
+  findUserMatches(sheets, user, nameColumn, userIdColumn = null) {
+    const searchName = user.name.toLowerCase().trim();
+    const searchId = userIdColumn && this.hasUserId(user.userId) ? String(user.userId).trim() : null;
+
+    const byUserId = [];
+    const byName = [];
+    const mismatched = [];
+
+    for (const { sheetName, values, headerRow, dataStartRow } of sheets) {
+      const headers = values[headerRow - 1] || [];
+      const nameColumnIndex = this.findNameColumnIndex(headers, nameColumn);
+      if (nameColumnIndex === -1) continue;
+
+      const userIdColumnIndex = searchId ? this.findNameColumnIndex(headers, userIdColumn) : -1;
+
+      for (let i = dataStartRow - 1; i < values.length; i++) {
+        const row = values[i];
+        if (!row) continue;
+
+        const cellValue = row[nameColumnIndex];
+        const storedUserId = userIdColumnIndex === -1 ? '' : String(row[userIdColumnIndex] || '').trim();
+        const match = { sheetName, row: i + 1, rowData: row, headers, nameColumnIndex, userIdColumnIndex, storedUserId };
+
+        if (searchId && storedUserId === searchId) {
+          byUserId.push(match);
+        } else if (cellValue && cellValue.toLowerCase().trim() === searchName) {
+          (storedUserId ? mismatched : byName).push(match);
         }
       }
+    }
+
+    return byUserId.length > 0
+      ? { matches: byUserId, matchedBy: 'userId', mismatched }
+      : { matches: byName, matchedBy: 'name', mismatched };
+  }
+
+  /**
+   * Pick which of a user's rows an update changes, following the department's duplicate policy
+   * @param {Array<Object>} matches - Every row holding the user, in search order (see findUserMatches)
+   * @param {string} sheetName - Optional tab the update is tied to (e.g. the tab an earlier change was made in)
+   * @param {{policy: string, tabOrder: Array<string>}} duplicates - The department's duplicate policy:
+   *   'first' (the first row in search order), 'preferred' (the first row in the tabs listed in tabOrder),
+   *   'all' (every row) or 'error' (none, when the user appears more than once)
+   * @param {number|null} row - Optional row in `sheetName` the update is tied to (e.g. the row of a recorded change)
+   * @returns {Array<Object>|null} - The rows to change, or null if the policy refuses duplicates
+   *   (or the tied row no longer holds the user and the tab has several rows that do)
+   */
+  pickMatches(matches, sheetName, duplicates = {}, row = null) {
+    if (sheetName && row) {
+      // An update tied to a row (e.g. undoing a recorded change) changes that row if it still holds the user
+      const exact = matches.find(match => match.sheetName === sheetName && match.row === row);
+      if (exact) return [exact];
 
-      // If we get here, the user was not found in any sheet
-      return { 
-        success: false, 
+      // Rows move when a row above them is deleted, so only follow the user within the tab if there's no doubt which row it is
+      if (matches.filter(match => match.sheetName === sheetName).length > 1) return null;
+    }
+
+    // An update tied to a tab changes the user's row there, whatever the policy
+    const pinned = sheetName && matches.find(match => match.sheetName === sheetName);
+    if (pinned) return [pinned];
+
+    if (matches.length <= 1) return matches;
+
+    switch (duplicates.policy) {
+      case 'all':
+        return matches;
+      case 'error':
+        return null;
+      case 'preferred': {
+        // Tabs missing from tabOrder come after the listed ones
+        const tabOrder = (duplicates.tabOrder || []).map(tab => tab.toLowerCase().trim());
+        const rank = match => {
+          const index = tabOrder.indexOf(match.sheetName.toLowerCase().trim());
+          return index === -1 ? tabOrder.length : index;
+        };
+        return [matches.reduce((best, match) => (rank(match) < rank(best) ? match : best))];
+      }
+      default:
+        return [matches[0]];
+    }
+  }
+
+  /**
+   * Record a planned cell change, keeping the in-memory row in sync for later updates
+   * @param {Map<string, {value: number|string, original: string}>} changes - Pending cell changes keyed by cell address
+   * @param {string} sheetName - The tab the cell is in
+   * @param {number} row - The 1-indexed row
+   * @param {Array} rowData - The row's in-memory values
+   * @param {number} columnIndex - The 0-indexed column
+   * @param {number|string} newValue - The value to write
+   * @param {number} nameColumnIndex - The 0-indexed username column, whose cell must still hold the user when the change is written
+   * @returns {string} - The cell's address
+   */
+  planCell(changes, sheetName, row, rowData, columnIndex, newValue, nameColumnIndex) {
+    const textOf = value => (value === null || value === undefined ? '' : String(value));
+    const cellAddress = a1.cellRange(sheetName, row, columnIndex);
+    const nameAddress = a1.cellRange(sheetName, row, nameColumnIndex);
+
+    // Compare with what the sheet holds, not with changes planned earlier in the batch
+    const originalOf = (address, index) =>
+      (changes.has(address) ? changes.get(address).original : textOf(index < rowData.length ? rowData[index] : null));
+
+    changes.set(cellAddress, {
+      value: newValue,
+      original: originalOf(cellAddress, columnIndex),
+      guard: { address: nameAddress, name: originalOf(nameAddress, nameColumnIndex) }
+    });
+
+    while (rowData.length <= columnIndex) rowData.push('');
+    rowData[columnIndex] = newValue.toString();
+
+    return cellAddress;
+  }
+
+  /**
+   * Work out a single user's cell changes against sheet data that has already been fetched.
+   * The user is found by UserId first when the update carries one (see findUserMatches), and the rows
+   * changed are picked by the department's duplicate policy (see pickMatches); if any of them can't be
+   * changed (missing column, value that isn't a number) the update fails without changing any.
+   * Rows found by UserId whose username differs get the new username, and rows found by username
+   * with a blank UserId cell get the UserId (both listed in `identityChanges`).
+   * New values are written back into the in-memory rows and recorded in `changes`.
+   * @param {Array<Object>} sheets - The fetched tables with their `values`, in search order (see listTables)
+   * @param {Object} update - The change to apply:
+   *   name, userId (optional Roblox UserId), columnName, op (default 'increment'), value (default 1 for increment/decrement),
+   *   type ('number', 'text' or 'date'; default 'number'), minValue/maxValue (bounds numeric results are clamped to),
+   *   sheetName (a tab the update is tied to, e.g. the tab an earlier change was made in),
+   *   row (a row in that tab the update is tied to, e.g. the row of a recorded change)
+   * @param {string} nameColumn - Column letter or header name to search for the name in
+   * @param {Map<string, {value: number|string, original: string}>} changes - Pending cell changes keyed by cell address,
+   *   with the text each cell held when it was read
+   * @param {Object} options - Optional matching settings ({ duplicates, userIdColumn }, see applyChanges)
+   * @returns {Object} - Result object shaped like findAndIncrementColumnValueAcrossSheets results, plus
+   *   `duplicates` (every row holding the user, when there's more than one), `matches` (each row changed, when there's more than one),
+   *   `matchedBy` ('userId' or 'name', for updates with a userId), `renamedFrom` and `identityChanges`
+   */
+  planChange(sheets, update, nameColumn, changes, options = {}) {
+    const { name, columnName } = update;
+    const op = update.op || 'increment';
+    const type = update.type || 'number';
+    const value = update.value !== undefined ? update.value : 1;
+    const userIdColumn = options.userIdColumn || null;
+    const userId = userIdColumn && this.hasUserId(update.userId) ? String(update.userId).trim() : null;
+
+    // Only arithmetic needs the current value to be a number
+    const numeric = ['increment', 'decrement', 'max', 'min'].includes(op);
+
+    const { matches, matchedBy, mismatched } = this.findUserMatches(sheets, { name, userId }, nameColumn, userIdColumn);
+    if (matches.length === 0) {
+      if (mismatched.length > 0) {
+        const { sheetName, row, storedUserId } = mismatched[0];
+        console.log(`Row ${row} in sheet ${sheetName} holds ${name} with UserId ${storedUserId}, not ${userId}`);
+        return {
+          success: false,
+          message: `User "${name}" in sheet ${sheetName} row ${row} has UserId ${storedUserId}, not ${userId}, so it wasn't changed`
+        };
+      }
+
+      return {
+        success: false,
         message: `User "${name}" not found in any sheet in the spreadsheet`
       };
-    } catch (error) {
-      console.error('Error finding and incrementing column value across sheets:', error);
-      return { success: false, error: error.message };
     }
+
+    // Report every row holding the user whenever there's more than one
+    const duplicateRows = matches.length > 1 ? matches.map(({ sheetName, row }) => ({ sheetName, row })) : null;
+    const withDuplicates = result => (duplicateRows ? { ...result, duplicates: duplicateRows } : result);
+
+    const targets = this.pickMatches(matches, update.sheetName, options.duplicates, update.row);
+    if (!targets) {
+      const places = duplicateRows.map(({ sheetName, row }) => `${sheetName} row ${row}`).join(', ');
+      console.log(`User ${name} appears more than once (${places}), refusing to pick one`);
+      return withDuplicates({
+        success: false,
+        duplicate: true,
+        message: `User "${name}" appears more than once (${places}), so no row was changed`
+      });
+    }
+
+    // Work out every row's new value before changing any, so the update applies to all of them or none
+    const planned = [];
+    for (const target of targets) {
+      const { sheetName, row, rowData, headers } = target;
+      console.log(`Found user ${name} in sheet ${sheetName}, row ${row}${matchedBy === 'userId' ? ` by UserId ${userId}` : ''}`);
+
+      // Get the header row to find the column index
+      const columnIndex = headers.findIndex(
+        header => header && header.toLowerCase().trim() === columnName.toLowerCase().trim()
+      );
+
+      if (columnIndex === -1) {
+        console.log(`Column "${columnName}" not found in sheet ${sheetName} headers`);
+        return withDuplicates({
+          success: false,
+          message: `Column "${columnName}" not found in sheet ${sheetName}, where user "${name}" is`
+        });
+      }
+
+      // Get the current value from the user's row at the column index
+      const cellValue = columnIndex < rowData.length ? rowData[columnIndex] : null;
+      const isBlank = cellValue === null || cellValue === undefined || cellValue === '';
+
+      // Number columns report blank cells as 0 and numeric text as numbers; other columns report the raw text
+      let currentValue;
+      if (type !== 'number') {
+        currentValue = isBlank ? '' : cellValue;
+      } else if (isBlank) {
+        currentValue = 0;
+      } else {
+        currentValue = isNaN(Number(cellValue)) ? cellValue : Number(cellValue);
+      }
+
+      if (numeric && typeof currentValue !== 'number') {
+        console.log(`Value '${cellValue}' in ${columnName} for user ${name} in sheet ${sheetName} is not a number`);
+        return withDuplicates({
+          success: false,
+          message: `Value '${cellValue}' in ${columnName} for user "${name}" in sheet ${sheetName} is not a number`
+        });
+      }
+
+      const { newValue, clamped } = this.applyOperation(op, currentValue, value, update);
+      planned.push({ target, columnIndex, currentValue, newValue, clamped });
+    }
+
+    const identityChanges = [];
+    const cells = planned.map(({ target, columnIndex, currentValue, newValue, clamped }) => {
+      const { sheetName, row, rowData, headers, nameColumnIndex, userIdColumnIndex, storedUserId } = target;
+
+      const cellAddress = this.planCell(changes, sheetName, row, rowData, columnIndex, newValue, nameColumnIndex);
+      console.log(`Planning ${op} of cell ${cellAddress} from '${currentValue}' to '${newValue}'${clamped ? ' (clamped)' : ''}`);
+
+      // Keep the row's identity in step with Roblox: the current username, and the UserId once it's known
+      const storedName = String(rowData[nameColumnIndex] || '').trim();
+      const identityChange = matchedBy === 'userId' && storedName.toLowerCase() !== name.toLowerCase().trim()
+        ? { operation: 'rename', columnIndex: nameColumnIndex, previousValue: storedName, newValue: name.trim() }
+        : (userId && userIdColumnIndex !== -1 && !storedUserId
+          ? { operation: 'link-user-id', columnIndex: userIdColumnIndex, previousValue: '', newValue: userId }
+          : null);
+
+      if (identityChange) {
+        const identityAddress = this.planCell(changes, sheetName, row, rowData, identityChange.columnIndex, identityChange.newValue, nameColumnIndex);
+        console.log(`Planning ${identityChange.operation} of cell ${identityAddress} from '${identityChange.previousValue}' to '${identityChange.newValue}'`);
+
+        identityChanges.push({
+          operation: identityChange.operation,
+          field: headers[identityChange.columnIndex],
+          sheetName,
+          row,
+          column: identityChange.columnIndex + 1,
+          columnLetter: a1.columnLetter(identityChange.columnIndex),
+          previousValue: identityChange.previousValue,
+          newValue: identityChange.newValue
+        });
+      }
+
+      return {
+        previousValue: currentValue,
+        newValue: newValue,
+        ...(clamped && { clamped }),
+        row: row,
+        column: columnIndex + 1,
+        columnLetter: a1.columnLetter(columnIndex),
+        sheetName: sheetName
+      };
+    });
+
+    const rename = identityChanges.find(change => change.operation === 'rename');
+
+    return withDuplicates({
+      success: true,
+      ...cells[0],
+      ...(cells.length > 1 && { matches: cells }),
+      ...(userId && { matchedBy }),
+      ...(rename && { renamedFrom: rename.previousValue }),
+      ...(identityChanges.length > 0 && { identityChanges })
+    });
   }
 }
 
-module.exports = new GoogleSheetsApi(); 
\ No newline at end of file
+module.exports = new GoogleSheetsApi();
+module.exports.GoogleSheetsApi = GoogleSheetsApi; 
\ No newline at end of file
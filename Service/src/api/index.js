@@ -0,0 +1,52 @@
+const googleSheetsApi = require('./googleSheetsApi');
+const localSheetsApi = require('./localSheetsApi');
+
+/**
+ * Storage backends
+ *
+ * Each department keeps its users in one of these backends, chosen with `backend` in
+ * config/departments.json. A backend stores spreadsheets made of named tabs. Users are kept in
+ * tables: by default each tab the layout allows, with the column headers on the layout's headerRow
+ * and users from its dataStartRow down, or the named ranges the layout lists instead.
+ * Every backend provides (all async, throwing on storage errors unless noted):
+ *   - listTabs(spreadsheetId, layout): The tab names in order, limited to the ones the layout allows
+ *   - listTables(spreadsheetId, layout): Where the layout keeps users ([{ sheetName, headerRow, dataStartRow, ... }])
+ *   - readTabs(spreadsheetId, sheetNames): Each tab's rows of cell text ([{ sheetName, values }]).
+ *     The arrays may be shared with a cache, so callers must not modify them
+ *   - readTables(spreadsheetId, layout): Each table with its rows of cell text (blank outside the table)
+ *   - findUser(spreadsheetId, name, nameColumn, layout): The first row holding the username
+ *     ({ sheetName, row, headers, rowData }), or null
+ *   - applyChanges(spreadsheetId, updates, nameColumn, layout, options): Find each user and apply an
+ *     operation to one of their cells, returning one result per update (never throws; see planChange).
+ *     Cells are locked while written and re-read first, so changes made since they were read aren't overwritten
+ *   - writeCells(spreadsheetId, cells, valueInputOption): Overwrite cells ({ sheetName, row, column, value, original?, user? }),
+ *     skipping those that changed since they were read and returning them
+ *   - appendRows(spreadsheetId, sheetName, rows, valueInputOption, table): Add rows after a tab's last row,
+ *     starting at the table's first column, returning the first new row's number
+ *   - deleteRow(spreadsheetId, sheetName, row, expected): Delete a row, moving the rows below it up,
+ *     unless it no longer holds the expected user ({ column, name })
+ *   - invalidate(spreadsheetId): Drop cached values, so the next read sees what is stored
+ * They also share the helpers for working with fetched rows (findNameColumnIndex, clipRow, ...).
+ * Ranges are built with utils/a1Notation, so any column and any tab name work.
+ */
+const BACKENDS = {
+  sheets: googleSheetsApi,
+  local: localSheetsApi
+};
+
+// Backend names a department can choose
+const BACKEND_TYPES = Object.keys(BACKENDS);
+
+/**
+ * Get the storage backend a department keeps its users in
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {Object} - The backend (Google Sheets unless the department chose another)
+ */
+function forDepartment(departmentConfig) {
+  return BACKENDS[departmentConfig.backend] || googleSheetsApi;
+}
+
+module.exports = {
+  BACKEND_TYPES,
+  forDepartment
+};
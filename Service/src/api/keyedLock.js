@@ -0,0 +1,48 @@
+/**
+ * In-process locks keyed by name (e.g. a spreadsheet cell), so async work on the same key runs
+ * one at a time. Waiters get the lock in the order they asked for it.
+ */
+class KeyedLock {
+  constructor() {
+    // Key -> promise that settles when the last holder or waiter for that key releases it
+    this.tails = new Map();
+  }
+
+  /**
+   * Wait for a single key and hold it
+   * @param {string} key - The key to lock
+   * @returns {Promise<Function>} - Call it to release the key
+   */
+  async acquireOne(key) {
+    const previous = this.tails.get(key) || Promise.resolve();
+
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => held);
+    this.tails.set(key, tail);
+
+    await previous;
+
+    return () => {
+      release();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    };
+  }
+
+  /**
+   * Wait for every key and hold them all. Keys are taken in sorted order, so two callers
+   * locking overlapping sets can't each end up waiting for the other.
+   * @param {Array<string>} keys - The keys to lock
+   * @returns {Promise<Function>} - Call it to release every key
+   */
+  async acquire(keys) {
+    const releases = [];
+    for (const key of Array.from(new Set(keys)).sort()) {
+      releases.push(await this.acquireOne(key));
+    }
+
+    return () => releases.reverse().forEach(release => release());
+  }
+}
+
+module.exports = KeyedLock;
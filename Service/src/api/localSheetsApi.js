@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { GoogleSheetsApi } = require('./googleSheetsApi');
+const a1 = require('../utils/a1Notation');
+
+// Load environment variables
+dotenv.config();
+
+// Folder holding local spreadsheets, one sub-folder per spreadsheet with one CSV file per tab
+const LOCAL_SHEETS_DIR = process.env.LOCAL_SHEETS_DIR ||
+  path.join(process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data'), 'sheets');
+
+// Spreadsheet IDs are used as folder names, so keep them to safe characters
+const SPREADSHEET_ID_PATTERN = /^[\w-][\w.-]*$/;
+
+// File in a spreadsheet's folder that defines its named ranges, e.g. { "Roster": "Members!B3:F" }
+const NAMED_RANGES_FILE = 'namedRanges.json';
+
+/**
+ * Parse CSV text into rows of strings (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} - The rows
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialize rows as CSV, quoting only the fields that need it
+ * @param {Array<Array>} rows - The rows
+ * @returns {string} - The CSV text
+ */
+function toCsv(rows) {
+  const quote = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(quote).join(',')).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
+/**
+ * Drop trailing empty cells and rows, as the Sheets API does
+ * @param {Array<Array<string>>} rows - The rows
+ * @returns {Array<Array<string>>} - The trimmed rows
+ */
+function trimRows(rows) {
+  const trimmed = rows.map(row => {
+    let length = row.length;
+    while (length > 0 && row[length - 1] === '') length--;
+    return row.slice(0, length);
+  });
+
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) trimmed.pop();
+  return trimmed;
+}
+
+/**
+ * Storage backend that keeps a department's tabs in CSV files instead of Google Sheets, so the
+ * service can run offline and departments without a Google sheet can still use it.
+ * The search, planning and caching logic is shared with GoogleSheetsApi; only the calls that
+ * read and write the spreadsheet itself are replaced.
+ * Tabs are listed in file name order, and appending to a tab that doesn't exist yet creates it.
+ */
+class LocalSheetsApi extends GoogleSheetsApi {
+  constructor() {
+    super();
+    this.initialized = true;
+  }
+
+  /**
+   * Nothing to set up for local files
+   * @returns {boolean} - Always true
+   */
+  init() {
+    this.initialized = true;
+    return true;
+  }
+
+  /**
+   * Get the folder holding a spreadsheet's tabs
+   * @param {string} spreadsheetId - The ID of the spreadsheet (its folder name)
+   * @returns {string} - The folder path
+   * @throws {Error} - If the ID isn't a safe folder name
+   */
+  spreadsheetDir(spreadsheetId) {
+    if (!SPREADSHEET_ID_PATTERN.test(spreadsheetId)) {
+      throw new Error(`Invalid local spreadsheet ID: ${spreadsheetId}`);
+    }
+
+    return path.join(LOCAL_SHEETS_DIR, spreadsheetId);
+  }
+
+  /**
+   * Get the CSV file holding a tab
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab name
+   * @returns {string} - The file path
+   */
+  tabPath(spreadsheetId, sheetName) {
+    return path.join(this.spreadsheetDir(spreadsheetId), `${encodeURIComponent(sheetName)}.csv`);
+  }
+
+  /**
+   * Read a tab's rows from disk
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab name
+   * @returns {Array<Array<string>>|null} - The rows, or null if the tab doesn't exist
+   */
+  readTabFile(spreadsheetId, sheetName) {
+    const filePath = this.tabPath(spreadsheetId, sheetName);
+    if (!fs.existsSync(filePath)) return null;
+    return parseCsv(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Write a tab's rows to disk (through a temporary file, so a crash never leaves half a tab)
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab name
+   * @param {Array<Array>} rows - The rows
+   */
+  writeTabFile(spreadsheetId, sheetName, rows) {
+    const filePath = this.tabPath(spreadsheetId, sheetName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, toCsv(trimRows(rows)));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Get a spreadsheet's tab names
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Promise<Array<string>>} - The tab names, in file name order
+   * @throws {Error} - If the spreadsheet folder doesn't exist
+   */
+  async requestSheetNames(spreadsheetId) {
+    const dir = this.spreadsheetDir(spreadsheetId);
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Local spreadsheet not found: ${dir}`);
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.csv'))
+      .sort()
+      .map(file => decodeURIComponent(file.slice(0, -'.csv'.length)));
+  }
+
+  /**
+   * Get a spreadsheet's named ranges, from the namedRanges.json file in its folder
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Promise<Array<Object>>} - Each named range with its 0-indexed bounds (see GoogleSheetsApi.requestNamedRanges)
+   * @throws {Error} - If the file isn't valid JSON or holds an invalid range
+   */
+  async requestNamedRanges(spreadsheetId) {
+    const filePath = path.join(this.spreadsheetDir(spreadsheetId), NAMED_RANGES_FILE);
+    if (!fs.existsSync(filePath)) return [];
+
+    const namedRanges = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Object.entries(namedRanges).map(([name, range]) => ({ name, ...a1.parseRange(range) }));
+  }
+
+  /**
+   * Read several ranges
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} ranges - The ranges to read
+   * @returns {Promise<Array<Array>>} - The data for each range, in the same order
+   * @throws {Error} - If a tab doesn't exist
+   */
+  async requestBatchGet(spreadsheetId, ranges) {
+    return ranges.map(range => {
+      const { sheetName, startRow, endRow, startColumn, endColumn } = a1.parseRange(range);
+
+      const rows = this.readTabFile(spreadsheetId, sheetName);
+      if (!rows) throw new Error(`Unable to parse range: ${range}`);
+
+      return trimRows(rows
+        .slice(startRow, endRow + 1)
+        .map(row => row.slice(startColumn, endColumn + 1)));
+    });
+  }
+
+  /**
+   * Write several ranges
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<{range: string, values: Array}>} data - The ranges and values to update
+   * @returns {Promise<void>}
+   * @throws {Error} - If a tab doesn't exist
+   */
+  async requestBatchUpdate(spreadsheetId, data) {
+    const tabs = new Map();
+
+    for (const { range, values } of data) {
+      const { sheetName, startRow, startColumn } = a1.parseRange(range);
+
+      if (!tabs.has(sheetName)) {
+        const rows = this.readTabFile(spreadsheetId, sheetName);
+        if (!rows) throw new Error(`Unable to parse range: ${range}`);
+        tabs.set(sheetName, rows);
+      }
+
+      const rows = tabs.get(sheetName);
+      values.forEach((valueRow, i) => {
+        while (rows.length <= startRow + i) rows.push([]);
+        const row = rows[startRow + i];
+
+        valueRow.forEach((value, j) => {
+          while (row.length <= startColumn + j) row.push('');
+          row[startColumn + j] = value === null || value === undefined ? '' : String(value);
+        });
+      });
+    }
+
+    for (const [sheetName, rows] of tabs) {
+      this.writeTabFile(spreadsheetId, sheetName, rows);
+    }
+
+    this.cache.invalidateValues(spreadsheetId, Array.from(tabs.keys()));
+  }
+
+  /**
+   * Append rows after a tab's last row, creating the tab if it doesn't exist
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} range - The range to append to (e.g. 'Sheet1!A1'); its column is where the new rows start
+   * @param {Array} values - The rows to append
+   * @returns {Promise<number>} - The 1-indexed row of the first appended row
+   */
+  async requestAppend(spreadsheetId, range, values) {
+    const { sheetName, startColumn } = a1.parseRange(range);
+    const rows = trimRows(this.readTabFile(spreadsheetId, sheetName) || []);
+    const firstRow = rows.length + 1;
+
+    const padding = new Array(startColumn).fill('');
+    this.writeTabFile(spreadsheetId, sheetName, rows.concat(values.map(row => padding.concat(row.map(value => String(value))))));
+
+    // New rows aren't in the username index yet
+    this.cache.invalidateSheet(spreadsheetId, sheetName);
+    return firstRow;
+  }
+
+  /**
+   * Delete a row from a tab's file, shifting the rows below it up
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab to delete from
+   * @param {number} row - The 1-indexed row to delete
+   * @returns {Promise<void>}
+   * @throws {Error} - If the tab doesn't exist
+   */
+  async requestDeleteRow(spreadsheetId, sheetName, row) {
+    const rows = this.readTabFile(spreadsheetId, sheetName);
+    if (!rows) {
+      throw new Error(`Sheet "${sheetName}" not found`);
+    }
+
+    rows.splice(row - 1, 1);
+    this.writeTabFile(spreadsheetId, sheetName, rows);
+  }
+}
+
+module.exports = new LocalSheetsApi();
+module.exports.SPREADSHEET_ID_PATTERN = SPREADSHEET_ID_PATTERN;
+module.exports.parseCsv = parseCsv;
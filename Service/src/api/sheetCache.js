@@ -0,0 +1,209 @@
+/**
+ * In-memory read-through cache for spreadsheet lookups.
+ *
+ * For each spreadsheet it keeps:
+ *   - the list of sheet names, and the named ranges
+ *   - the values of each tab, with a header name -> column index map
+ *   - a username index (username -> list of { sheetName, row }) per name column and set of tables searched
+ *
+ * Every entry expires after the TTL. Cached tab values are dropped after writes; the username
+ * index survives writes because row positions don't change when cell values do, and callers
+ * verify an index hit against the live row before using it.
+ */
+class SheetCache {
+  /**
+   * @param {number} ttlMs - How long entries stay valid, in milliseconds (0 disables caching)
+   */
+  constructor(ttlMs) {
+    this.ttlMs = ttlMs;
+    this.spreadsheets = new Map();
+  }
+
+  /**
+   * Get (or create) the cache entry for a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Object} - The spreadsheet's cache entry
+   */
+  entry(spreadsheetId) {
+    if (!this.spreadsheets.has(spreadsheetId)) {
+      this.spreadsheets.set(spreadsheetId, {
+        sheetNames: null,
+        namedRanges: null,
+        tabs: new Map(),
+        nameIndexes: new Map()
+      });
+    }
+
+    return this.spreadsheets.get(spreadsheetId);
+  }
+
+  /**
+   * Check whether a cached item is still valid
+   * @param {Object|null} item - An item with an `expiresAt` timestamp
+   * @returns {boolean} - True if the item exists and hasn't expired
+   */
+  isFresh(item) {
+    return Boolean(item) && item.expiresAt > Date.now();
+  }
+
+  /**
+   * Get the cached sheet names of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Array<string>|null} - The sheet names, or null on a cache miss
+   */
+  getSheetNames(spreadsheetId) {
+    const sheetNames = this.entry(spreadsheetId).sheetNames;
+    return this.isFresh(sheetNames) ? sheetNames.value : null;
+  }
+
+  /**
+   * Cache the sheet names of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>} sheetNames - The sheet names
+   */
+  setSheetNames(spreadsheetId, sheetNames) {
+    if (this.ttlMs <= 0) return;
+    this.entry(spreadsheetId).sheetNames = { value: sheetNames, expiresAt: Date.now() + this.ttlMs };
+  }
+
+  /**
+   * Get the cached named ranges of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @returns {Array<Object>|null} - The named ranges, or null on a cache miss
+   */
+  getNamedRanges(spreadsheetId) {
+    const namedRanges = this.entry(spreadsheetId).namedRanges;
+    return this.isFresh(namedRanges) ? namedRanges.value : null;
+  }
+
+  /**
+   * Cache the named ranges of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<Object>} namedRanges - The named ranges
+   */
+  setNamedRanges(spreadsheetId, namedRanges) {
+    if (this.ttlMs <= 0) return;
+    this.entry(spreadsheetId).namedRanges = { value: namedRanges, expiresAt: Date.now() + this.ttlMs };
+  }
+
+  /**
+   * Get the cached values of a tab
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The name of the tab
+   * @returns {{values: Array<Array>, headerIndexes: Map}|null} - The cached tab, or null on a cache miss
+   */
+  getTab(spreadsheetId, sheetName) {
+    const tab = this.entry(spreadsheetId).tabs.get(sheetName);
+    return this.isFresh(tab) ? tab : null;
+  }
+
+  /**
+   * Cache the values of a tab
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The name of the tab
+   * @param {Array<Array>} values - The tab's values, starting at row 1
+   */
+  setTab(spreadsheetId, sheetName, values) {
+    if (this.ttlMs <= 0) return;
+    this.entry(spreadsheetId).tabs.set(sheetName, {
+      values,
+      headerIndexes: new Map(),
+      expiresAt: Date.now() + this.ttlMs
+    });
+  }
+
+  /**
+   * Get the header name -> column index map of a cached tab
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The name of the tab
+   * @param {number} headerRow - 1-indexed row holding the column headers
+   * @returns {Map<string, number>|null} - Map of lowercase header to 0-indexed column, or null on a cache miss
+   */
+  getHeaderIndex(spreadsheetId, sheetName, headerRow = 1) {
+    const tab = this.getTab(spreadsheetId, sheetName);
+    if (!tab) return null;
+
+    if (!tab.headerIndexes.has(headerRow)) {
+      const headerIndex = new Map();
+      (tab.values[headerRow - 1] || []).forEach((header, index) => {
+        const key = header ? header.toLowerCase().trim() : '';
+        if (key && !headerIndex.has(key)) headerIndex.set(key, index);
+      });
+      tab.headerIndexes.set(headerRow, headerIndex);
+    }
+
+    return tab.headerIndexes.get(headerRow);
+  }
+
+  /**
+   * Get the cached username index of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} key - The name column and tables the index was built from (see GoogleSheetsApi.nameIndexKey)
+   * @returns {Map<string, Array<{sheetName: string, row: number}>>|null} - Map of lowercase username to locations, or null on a cache miss
+   */
+  getNameIndex(spreadsheetId, key) {
+    const index = this.entry(spreadsheetId).nameIndexes.get(key);
+    return this.isFresh(index) ? index.users : null;
+  }
+
+  /**
+   * Cache the username index of a spreadsheet
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} key - The name column and tables the index was built from (see GoogleSheetsApi.nameIndexKey)
+   * @param {Map<string, Array<{sheetName: string, row: number}>>} users - Map of lowercase username to locations
+   * @param {Array<string>} sheetNames - The tabs the index was built from
+   */
+  setNameIndex(spreadsheetId, key, users, sheetNames) {
+    if (this.ttlMs <= 0) return;
+    this.entry(spreadsheetId).nameIndexes.set(key, {
+      users,
+      sheetNames,
+      expiresAt: Date.now() + this.ttlMs
+    });
+  }
+
+  /**
+   * Drop cached tab values after a write, keeping the username index
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {Array<string>|null} sheetNames - The tabs that were written to (null for all tabs)
+   */
+  invalidateValues(spreadsheetId, sheetNames = null) {
+    const tabs = this.entry(spreadsheetId).tabs;
+
+    if (!sheetNames) {
+      tabs.clear();
+      return;
+    }
+
+    for (const sheetName of sheetNames) {
+      tabs.delete(sheetName);
+    }
+  }
+
+  /**
+   * Drop a tab's cached values and any username index built from it (e.g. after rows were added)
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   * @param {string} sheetName - The tab whose rows changed
+   */
+  invalidateSheet(spreadsheetId, sheetName) {
+    const entry = this.entry(spreadsheetId);
+    entry.tabs.delete(sheetName);
+
+    // Named ranges grow and shrink with the rows inside them
+    entry.namedRanges = null;
+
+    for (const [key, index] of entry.nameIndexes) {
+      if (index.sheetNames.includes(sheetName)) entry.nameIndexes.delete(key);
+    }
+  }
+
+  /**
+   * Drop everything cached for a spreadsheet (e.g. after rows were added or removed)
+   * @param {string} spreadsheetId - The ID of the spreadsheet
+   */
+  invalidate(spreadsheetId) {
+    this.spreadsheets.delete(spreadsheetId);
+  }
+}
+
+module.exports = SheetCache;
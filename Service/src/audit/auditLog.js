@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+
+// Column order used when copying audit entries into a department's audit tab
+const AUDIT_TAB_COLUMNS = [
+  'timestamp', 'requestId', 'invoker', 'department', 'user', 'field',
+  'sheetName', 'cell', 'previousValue', 'newValue', 'operation', 'batchId'
+];
+
+/**
+ * Audit trail of every cell change the service makes.
+ * Entries are kept in a local append-only file, and copied to the department's
+ * audit tab in its spreadsheet when one is configured (`auditTab` in departments.json).
+ */
+class AuditLog {
+  constructor() {
+    this.store = new AppendOnlyStore('audit.jsonl');
+  }
+
+  /**
+   * Record a list of cell changes
+   * @param {Array<Object>} changes - Changes ({ requestId, batchId, invoker, department, user, field, sheetName, cell, previousValue, newValue, operation })
+   * @returns {Promise<Array<Object>>} - The stored audit entries
+   */
+  async record(changes) {
+    if (changes.length === 0) return [];
+
+    const timestamp = new Date().toISOString();
+    const entries = changes.map(change => this.store.save({
+      id: crypto.randomUUID(),
+      timestamp,
+      requestId: null,
+      batchId: null,
+      invoker: 'Unknown',
+      operation: 'increment',
+      ...change
+    }));
+
+    // Copy the entries into each department's audit tab (if it has one)
+    const byDepartment = new Map();
+    for (const entry of entries) {
+      if (!byDepartment.has(entry.department)) byDepartment.set(entry.department, []);
+      byDepartment.get(entry.department).push(entry);
+    }
+
+    for (const [department, departmentEntries] of byDepartment) {
+      const departmentConfig = departmentRegistry.get(department);
+      if (!departmentConfig || !departmentConfig.auditTab) continue;
+
+      const rows = departmentEntries.map(entry => AUDIT_TAB_COLUMNS.map(column => {
+        const value = entry[column];
+        return value === null || value === undefined ? '' : String(value);
+      }));
+
+      // RAW so usernames and values are never interpreted as formulas
+      try {
+        await backends.forDepartment(departmentConfig).appendRows(departmentConfig.spreadsheetId, departmentConfig.auditTab, rows, 'RAW');
+      } catch (error) {
+        console.error(`Failed to copy ${rows.length} audit entry(s) to the ${department} audit tab:`, error.message);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get every entry recorded for a batch, oldest first
+   * @param {string} batchId - The batch ID
+   * @returns {Array<Object>} - The batch's audit entries
+   */
+  forBatch(batchId) {
+    return this.store.values().filter(entry => entry.batchId === batchId);
+  }
+
+  /**
+   * Work out what the user an entry changed is called now, by following the username changes
+   * recorded for the same row after it (see the `rename` operation)
+   * @param {Object} entry - The audit entry
+   * @returns {string} - The user's current username (the entry's own if it hasn't changed since)
+   */
+  currentName(entry) {
+    const rowOf = cell => String(cell || '').replace(/^[A-Za-z]+/, '');
+    const entries = this.store.values();
+    const row = rowOf(entry.cell);
+
+    let name = entry.user;
+    for (const later of entries.slice(entries.findIndex(other => other.id === entry.id) + 1)) {
+      if (later.operation === 'rename' && later.department === entry.department &&
+          later.sheetName === entry.sheetName && rowOf(later.cell) === row &&
+          String(later.previousValue).toLowerCase().trim() === name.toLowerCase().trim()) {
+        name = String(later.newValue);
+      }
+    }
+
+    return name;
+  }
+
+  /**
+   * Search the audit trail, newest first
+   * @param {Object} filters - Optional filters ({ department, departments, user, invoker, field, requestId, batchId, from, to });
+   * `departments` limits the search to a list of departments (empty for all)
+   * @param {number} limit - Maximum number of entries to return
+   * @param {number} offset - Number of matching entries to skip
+   * @returns {{total: number, entries: Array<Object>}} - Matching entries and the total number of matches
+   */
+  query(filters = {}, limit = 50, offset = 0) {
+    const matches = (value, filter) => !filter || String(value || '').toLowerCase() === String(filter).toLowerCase();
+    const from = filters.from ? Date.parse(filters.from) : null;
+    const to = filters.to ? Date.parse(filters.to) : null;
+
+    const results = this.store.values()
+      .filter(entry =>
+        matches(entry.department, filters.department) &&
+        (!filters.departments || filters.departments.length === 0 || filters.departments.includes(entry.department)) &&
+        matches(entry.user, filters.user) &&
+        matches(entry.invoker, filters.invoker) &&
+        matches(entry.field, filters.field) &&
+        matches(entry.requestId, filters.requestId) &&
+        matches(entry.batchId, filters.batchId) &&
+        (from === null || Date.parse(entry.timestamp) >= from) &&
+        (to === null || Date.parse(entry.timestamp) <= to)
+      )
+      .reverse();
+
+    return {
+      total: results.length,
+      entries: results.slice(offset, offset + limit)
+    };
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+
+// Random bytes in a new token (hex encoded, so tokens are twice this many characters)
+const TOKEN_BYTES = 32;
+
+// Characters of each token kept in plain text, so tokens can be told apart in listings
+const PREFIX_LENGTH = 8;
+
+/**
+ * Hash a token for storage and comparison
+ * @param {string} token - The plain token
+ * @returns {Buffer} - SHA-256 digest of the token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Check whether a route pattern from a token's `routes` list allows a request.
+ * Patterns are an optional method followed by a path (e.g. "POST /update-fields" or
+ * "GET /departments/*\/leaderboard"). `*` matches one path segment, and a pattern
+ * also allows every path below it.
+ * @param {string} pattern - The route pattern
+ * @param {string} method - The request method
+ * @param {string} requestPath - The request path
+ * @returns {boolean} - True if the pattern allows the request
+ */
+function routeMatches(pattern, method, requestPath) {
+  const parts = pattern.trim().split(/\s+/);
+  const patternMethod = parts.length > 1 ? parts[0].toUpperCase() : '*';
+  const patternPath = parts[parts.length - 1];
+
+  if (patternMethod !== '*' && patternMethod !== method.toUpperCase()) return false;
+
+  const patternSegments = patternPath.split('/').filter(Boolean);
+  const pathSegments = requestPath.split('/').filter(Boolean);
+  if (pathSegments.length < patternSegments.length) return false;
+
+  return patternSegments.every((segment, index) =>
+    segment === '*' || segment.toLowerCase() === pathSegments[index].toLowerCase()
+  );
+}
+
+/**
+ * Store of the API tokens allowed to call the service.
+ * Only a SHA-256 hash of each token is kept (in data/tokens.jsonl), so a token can't be recovered
+ * once it has been shown. Each token has a label, and can be limited to some departments and
+ * routes and given an expiry. Tokens are managed with `node generate-token.js`; the file is
+ * re-read when it changes, so the running service picks up new and revoked tokens straight away.
+ */
+class TokenStore {
+  constructor() {
+    this.store = new AppendOnlyStore('tokens.jsonl');
+    this.loadedVersion = null;
+  }
+
+  /**
+   * Re-read the token file if it changed since it was last loaded
+   */
+  refresh() {
+    let version = 'missing';
+    try {
+      const stats = fs.statSync(this.store.filePath);
+      version = `${stats.mtimeMs}:${stats.size}`;
+    } catch (error) {
+      // No tokens have been created yet
+    }
+
+    if (version !== this.loadedVersion) {
+      this.store.load();
+      this.loadedVersion = version;
+    }
+  }
+
+  /**
+   * Create a new token
+   * @param {Object} options - Token settings ({ label, departments, routes, bypassCooldowns, expiresAt, rotatedFrom })
+   * @returns {{token: string, record: Object}} - The plain token (only available now) and its stored record
+   */
+  create(options = {}) {
+    this.refresh();
+
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const record = this.store.save({
+      id: crypto.randomUUID(),
+      label: options.label || 'Unnamed token',
+      hash: hashToken(token).toString('hex'),
+      prefix: token.slice(0, PREFIX_LENGTH),
+      departments: options.departments || [],
+      routes: options.routes || [],
+      bypassCooldowns: options.bypassCooldowns || false,
+      createdAt: new Date().toISOString(),
+      expiresAt: options.expiresAt || null,
+      revokedAt: null,
+      rotatedFrom: options.rotatedFrom || null
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Get every token record (without hashes), oldest first
+   * @returns {Array<Object>} - The tokens
+   */
+  list() {
+    this.refresh();
+    return this.store.values().map(({ hash, ...record }) => record);
+  }
+
+  /**
+   * Find a token by its ID or its plain-text prefix
+   * @param {string} idOrPrefix - The token ID or prefix
+   * @returns {Object|null} - The token record, or null if none (or more than one) matches
+   */
+  find(idOrPrefix) {
+    this.refresh();
+
+    const search = String(idOrPrefix || '').trim();
+    if (!search) return null;
+
+    const byId = this.store.get(search);
+    if (byId) return byId;
+
+    const byPrefix = this.store.values().filter(record => record.prefix === search);
+    return byPrefix.length === 1 ? byPrefix[0] : null;
+  }
+
+  /**
+   * Revoke a token so it can no longer be used
+   * @param {string} idOrPrefix - The token ID or prefix
+   * @returns {Object|null} - The revoked token record, or null if the token wasn't found
+   */
+  revoke(idOrPrefix) {
+    const record = this.find(idOrPrefix);
+    if (!record) return null;
+    if (record.revokedAt) return record;
+
+    return this.store.save({ ...record, revokedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Replace a token with a new one that has the same label, scopes and expiry, revoking the old one
+   * @param {string} idOrPrefix - The token ID or prefix
+   * @returns {{token: string, record: Object}|null} - The new token, or null if the old one wasn't found
+   */
+  rotate(idOrPrefix) {
+    const record = this.find(idOrPrefix);
+    if (!record) return null;
+
+    const rotated = this.create({
+      label: record.label,
+      departments: record.departments,
+      routes: record.routes,
+      bypassCooldowns: record.bypassCooldowns,
+      expiresAt: record.expiresAt,
+      rotatedFrom: record.id
+    });
+
+    this.revoke(record.id);
+    return rotated;
+  }
+
+  /**
+   * Look up the token a request was made with.
+   * Every stored hash is compared in constant time, so response times don't reveal how much of a token matched.
+   * @param {string} token - The plain token sent by the client
+   * @returns {{status: string, record?: Object}} - 'valid' (with the record), 'expired', 'revoked' or 'unknown'
+   */
+  verify(token) {
+    this.refresh();
+
+    const hash = hashToken(token);
+    let match = null;
+
+    for (const record of this.store.values()) {
+      if (crypto.timingSafeEqual(hash, Buffer.from(record.hash, 'hex')) && !match) {
+        match = record;
+      }
+    }
+
+    if (!match) return { status: 'unknown' };
+    if (match.revokedAt) return { status: 'revoked' };
+    if (match.expiresAt && Date.parse(match.expiresAt) <= Date.now()) return { status: 'expired' };
+
+    return { status: 'valid', record: match };
+  }
+}
+
+module.exports = new TokenStore();
+module.exports.hashToken = hashToken;
+module.exports.routeMatches = routeMatches;
@@ -0,0 +1,25 @@
+/**
+ * Bureau of Applied Forces (BAF)
+ */
+module.exports = {
+  department: 'BAF',
+
+  layout: {
+    nameColumn: 'USERNAME',
+    headerRow: 1,
+    includeTabs: [],
+    excludeTabs: []
+  },
+
+  fieldAliases: {
+    'ev': 'EVENTS',
+    'st': 'STRIKES'
+  },
+
+  fields: {
+    // Events are logged one at a time, and a mistaken one can be taken back
+    'EVENTS': { ops: ['increment', 'decrement'], minIncrement: -1, maxIncrement: 1, minValue: 0 },
+    // Three strikes is the most a member can hold
+    'STRIKES': { ops: ['increment', 'decrement', 'set', 'clear'], minValue: 0, maxValue: 3 }
+  }
+};
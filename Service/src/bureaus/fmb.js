@@ -0,0 +1,19 @@
+/**
+ * Facility Maintenance Bureau (FMB)
+ */
+module.exports = {
+  department: 'FMB',
+
+  layout: {
+    nameColumn: 'USERNAME',
+    headerRow: 1,
+    includeTabs: [],
+    excludeTabs: []
+  },
+
+  fieldAliases: {
+    'ft': 'FUNDA. TRAINING(S)'
+  },
+
+  fields: {}
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Bureau plugins
+ *
+ * Every other .js file in this folder is a bureau plugin and is loaded automatically at boot.
+ * A plugin exports an object with:
+ *   - department: (Required) Department code the plugin applies to (e.g. 'FMB')
+ *   - layout: (Optional) { nameColumn, userIdColumn, headerRow, dataStartRow, includeTabs, excludeTabs, namedRanges }.
+ *     A department's `layout` in config/departments.json replaces these settings one by one
+ *   - fieldAliases: (Optional) Short names that map to real column headers
+ *   - fields: (Optional) Per-field rules keyed by column header, e.g. { 'EVENTS': { maxIncrement: 2 } }.
+ *     Rules: type ('number', 'text' or 'date'), ops (allowed operations), minValue/maxValue (bounds
+ *     for numeric results), minIncrement/maxIncrement (limits on increment/decrement amounts)
+ *   - beforeUpdate(update): (Optional) Called before a write. Throw to reject the update,
+ *     or return an object to replace it (e.g. with a different increment). Also called for
+ *     dry runs (with `update.dryRun` set), so it shouldn't have side effects then
+ *   - afterUpdate(update, result): (Optional) Called after a write attempt
+ */
+
+// Operations a payload can apply to a cell
+const OPERATIONS = ['increment', 'decrement', 'set', 'max', 'min', 'clear'];
+
+// Text that a spreadsheet would turn into a formula when typed in
+const FORMULA_PATTERN = /^[=+\-@]/;
+
+// Column types a field rule can declare, and the operations each one supports
+const FIELD_TYPES = {
+  number: OPERATIONS,
+  text: ['set', 'clear'],
+  date: ['set', 'clear']
+};
+
+// Default plugin used for departments without their own module
+const DEFAULT_BUREAU = {
+  department: null,
+  layout: {},
+  fieldAliases: {},
+  fields: {}
+};
+
+class BureauRegistry {
+  constructor() {
+    this.bureaus = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Validate a bureau plugin module
+   * @param {Object} bureau - The exported plugin object
+   * @returns {Array<string>} - List of validation errors (empty if the plugin is valid)
+   */
+  validate(bureau) {
+    const errors = [];
+
+    if (!bureau || typeof bureau !== 'object') {
+      return ['Plugin must export an object'];
+    }
+
+    if (typeof bureau.department !== 'string' || bureau.department.trim() === '') {
+      errors.push('department must be a non-empty string');
+    }
+
+    if (bureau.layout !== undefined && (typeof bureau.layout !== 'object' || Array.isArray(bureau.layout))) {
+      errors.push('layout must be an object');
+    }
+
+    if (bureau.fieldAliases !== undefined && (typeof bureau.fieldAliases !== 'object' || Array.isArray(bureau.fieldAliases))) {
+      errors.push('fieldAliases must be an object');
+    }
+
+    if (bureau.fields !== undefined && (typeof bureau.fields !== 'object' || Array.isArray(bureau.fields))) {
+      errors.push('fields must be an object');
+    } else if (bureau.fields) {
+      for (const [field, rules] of Object.entries(bureau.fields)) {
+        errors.push(...this.validateFieldRules(rules).map(error => `fields.${field}.${error}`));
+      }
+    }
+
+    for (const hook of ['beforeUpdate', 'afterUpdate']) {
+      if (bureau[hook] !== undefined && typeof bureau[hook] !== 'function') {
+        errors.push(`${hook} must be a function`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate the rules for a single field
+   * @param {Object} rules - The field's rules
+   * @returns {Array<string>} - List of validation errors, relative to the field (empty if the rules are valid)
+   */
+  validateFieldRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['rules must be an object'];
+    }
+
+    if (rules.type !== undefined && !FIELD_TYPES[rules.type]) {
+      errors.push(`type must be one of: ${Object.keys(FIELD_TYPES).join(', ')}`);
+    }
+
+    if (rules.ops !== undefined &&
+        (!Array.isArray(rules.ops) || rules.ops.some(op => !OPERATIONS.includes(op)))) {
+      errors.push(`ops must be an array of: ${OPERATIONS.join(', ')}`);
+    }
+
+    for (const key of ['minValue', 'maxValue', 'minIncrement', 'maxIncrement']) {
+      if (rules[key] !== undefined && !Number.isFinite(rules[key])) {
+        errors.push(`${key} must be a number`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Discover and load every plugin module in this folder
+   * @returns {boolean} - Success status
+   * @throws {Error} - If a plugin is invalid or two plugins claim the same department
+   */
+  load() {
+    const bureaus = {};
+    const files = fs.readdirSync(__dirname)
+      .filter(file => file.endsWith('.js') && file !== path.basename(__filename));
+
+    for (const file of files) {
+      const bureau = require(path.join(__dirname, file));
+
+      const errors = this.validate(bureau);
+      if (errors.length > 0) {
+        throw new Error(`Invalid bureau plugin ${file}:\n  - ${errors.join('\n  - ')}`);
+      }
+
+      if (bureaus[bureau.department]) {
+        throw new Error(`Bureau plugin ${file} redefines department ${bureau.department}`);
+      }
+
+      bureaus[bureau.department] = {
+        ...DEFAULT_BUREAU,
+        ...bureau,
+        file
+      };
+    }
+
+    this.bureaus = bureaus;
+    this.loaded = true;
+
+    console.log(`Loaded ${files.length} bureau plugin(s): ${Object.keys(bureaus).join(', ') || 'none'}`);
+    return true;
+  }
+
+  /**
+   * Get the plugin for a department
+   * @param {string} code - The department code
+   * @returns {Object} - The department's plugin, or the default plugin if it has none
+   */
+  get(code) {
+    if (!this.loaded) this.load();
+    return this.bureaus[code] || DEFAULT_BUREAU;
+  }
+
+  /**
+   * Get all loaded plugins keyed by department code
+   * @returns {Object} - Plugins keyed by department code
+   */
+  list() {
+    if (!this.loaded) this.load();
+    return this.bureaus;
+  }
+
+  /**
+   * Get the plugin's rules for a field
+   * @param {Object} bureau - The department's plugin
+   * @param {string} field - The resolved column name
+   * @returns {Object} - The field's rules with its type filled in (defaults to a number field with no limits)
+   */
+  getFieldRules(bureau, field) {
+    const searchField = field.toLowerCase().trim();
+    const ruleKey = Object.keys(bureau.fields).find(key => key.toLowerCase().trim() === searchField);
+    const rules = ruleKey ? bureau.fields[ruleKey] : {};
+
+    return { type: 'number', ...rules, field: ruleKey || field };
+  }
+
+  /**
+   * Check an update against the plugin's per-field rules
+   * @param {Object} bureau - The department's plugin
+   * @param {string} field - The resolved column name
+   * @param {string} op - The operation (e.g. 'increment' or 'set')
+   * @param {number|string} value - The operation's value (the amount for increment/decrement)
+   * @returns {string|null} - An error message, or null if the update is allowed
+   */
+  checkFieldRules(bureau, field, op, value) {
+    const rules = this.getFieldRules(bureau, field);
+    const allowedOps = rules.ops || FIELD_TYPES[rules.type];
+
+    if (!allowedOps.includes(op) || !FIELD_TYPES[rules.type].includes(op)) {
+      return `Operation "${op}" is not allowed for ${rules.field}`;
+    }
+
+    if (op === 'clear') return null;
+
+    return this.checkValue(rules, op, value);
+  }
+
+  /**
+   * Check a value written straight into a new or moved user's row against the plugin's rules for its column.
+   * Columns with rules take the values a `set` would (whatever operations they allow); other columns
+   * take any value that can't become a formula.
+   * @param {Object} bureau - The department's plugin
+   * @param {string} field - The resolved column name
+   * @param {number|string|boolean} value - The value
+   * @returns {string|null} - An error message, or null if the value is allowed
+   */
+  checkFieldValue(bureau, field, value) {
+    const rules = this.getFieldRules(bureau, field);
+    const searchField = field.toLowerCase().trim();
+
+    if (Object.keys(bureau.fields).some(key => key.toLowerCase().trim() === searchField)) {
+      return this.checkValue(rules, 'set', value);
+    }
+
+    return typeof value === 'string' && FORMULA_PATTERN.test(value)
+      ? `Values for ${rules.field} can't start with =, +, - or @`
+      : null;
+  }
+
+  /**
+   * Check an operation's value against a field's rules (see checkFieldRules)
+   * @param {Object} rules - The field's rules (see getFieldRules)
+   * @param {string} op - The operation (anything but 'clear')
+   * @param {number|string} value - The operation's value
+   * @returns {string|null} - An error message, or null if the value is allowed
+   */
+  checkValue(rules, op, value) {
+    if (rules.type === 'number') {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${rules.field} needs a numeric value for "${op}"`;
+      }
+    } else {
+      if (typeof value !== 'string') {
+        return `${rules.field} is a ${rules.type} column and needs a string value`;
+      }
+
+      // Values are written as if typed into the sheet, so never let one become a formula
+      if (FORMULA_PATTERN.test(value)) {
+        return `Values for ${rules.field} can't start with =, +, - or @`;
+      }
+
+      if (rules.type === 'date' && isNaN(Date.parse(value))) {
+        return `"${value}" is not a valid date for ${rules.field}`;
+      }
+
+      return null;
+    }
+
+    if (op === 'increment' || op === 'decrement') {
+      const increment = op === 'decrement' ? -value : value;
+
+      if (rules.maxIncrement !== undefined && increment > rules.maxIncrement) {
+        return `Increment ${increment} exceeds the maximum of ${rules.maxIncrement} for ${rules.field}`;
+      }
+
+      if (rules.minIncrement !== undefined && increment < rules.minIncrement) {
+        return `Increment ${increment} is below the minimum of ${rules.minIncrement} for ${rules.field}`;
+      }
+    }
+
+    // Arithmetic results are clamped to the bounds when written, but an explicit value must fit them
+    if (op === 'set') {
+      if (rules.minValue !== undefined && value < rules.minValue) {
+        return `Value ${value} is below the minimum of ${rules.minValue} for ${rules.field}`;
+      }
+
+      if (rules.maxValue !== undefined && value > rules.maxValue) {
+        return `Value ${value} exceeds the maximum of ${rules.maxValue} for ${rules.field}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = new BureauRegistry();
+module.exports.OPERATIONS = OPERATIONS;
@@ -0,0 +1,582 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const bureauRegistry = require('../bureaus');
+const cron = require('../jobs/cron');
+const { BACKEND_TYPES } = require('../api');
+const { SPREADSHEET_ID_PATTERN } = require('../api/localSheetsApi');
+
+// Load environment variables
+dotenv.config();
+
+// When a rule is checked: after every update batch, or when a quota period closes
+const RULE_TRIGGERS = ['update', 'period-close'];
+
+// Comparisons a rule condition can make
+const RULE_COMPARISONS = ['>=', '>', '<=', '<', '==', '!='];
+
+// Which row an update changes when a username appears more than once (see GoogleSheetsApi.pickMatches)
+const DUPLICATE_POLICIES = ['first', 'preferred', 'all', 'error'];
+
+// What list() shows in place of a department's signing secret; sent back, it keeps the secret as it is
+const SECRET_SET = 'set';
+
+// Default location of the department config file (relative to the Service folder)
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'departments.json');
+
+// Registry of departments, loaded from a JSON config file and reloaded when it changes
+class DepartmentRegistry {
+  constructor() {
+    this.configPath = process.env.DEPARTMENTS_CONFIG || DEFAULT_CONFIG_PATH;
+    this.departments = {};
+    this.loaded = false;
+    this.watching = false;
+  }
+
+  /**
+   * Validate a department config object
+   * @param {Object} config - The parsed config (must have a `departments` object)
+   * @returns {Array<string>} - List of validation errors (empty if the config is valid)
+   */
+  validate(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['Config must be an object'];
+    }
+
+    const departments = config.departments;
+    if (!departments || typeof departments !== 'object' || Array.isArray(departments)) {
+      return ['Config must contain a "departments" object'];
+    }
+
+    for (const [code, department] of Object.entries(departments)) {
+      const prefix = `departments.${code}`;
+
+      if (!department || typeof department !== 'object' || Array.isArray(department)) {
+        errors.push(`${prefix} must be an object`);
+        continue;
+      }
+
+      if (department.backend !== undefined && !BACKEND_TYPES.includes(department.backend)) {
+        errors.push(`${prefix}.backend must be one of: ${BACKEND_TYPES.join(', ')}`);
+      }
+
+      // Local spreadsheets default to a folder named after the department
+      if (department.backend === 'local') {
+        const folder = department.spreadsheetId === undefined ? code : department.spreadsheetId;
+        if (typeof folder !== 'string' || !SPREADSHEET_ID_PATTERN.test(folder.trim())) {
+          errors.push(`${prefix}.spreadsheetId must be a folder name (letters, numbers, ".", "_" and "-") for a local backend`);
+        }
+      } else if (typeof department.spreadsheetId !== 'string' || department.spreadsheetId.trim() === '') {
+        errors.push(`${prefix}.spreadsheetId must be a non-empty string`);
+      }
+
+      if (department.name !== undefined && typeof department.name !== 'string') {
+        errors.push(`${prefix}.name must be a string`);
+      }
+
+      if (department.webhookUrl !== undefined && typeof department.webhookUrl !== 'string') {
+        errors.push(`${prefix}.webhookUrl must be a string`);
+      }
+
+      if (department.signingSecret !== undefined && typeof department.signingSecret !== 'string') {
+        errors.push(`${prefix}.signingSecret must be a string`);
+      }
+
+      if (department.requireSignature !== undefined && typeof department.requireSignature !== 'boolean') {
+        errors.push(`${prefix}.requireSignature must be true or false`);
+      } else if (department.requireSignature && !department.signingSecret && !process.env.SIGNING_SECRET) {
+        errors.push(`${prefix}.requireSignature needs a signingSecret (or SIGNING_SECRET in the environment)`);
+      }
+
+      if (department.auditTab !== undefined && typeof department.auditTab !== 'string') {
+        errors.push(`${prefix}.auditTab must be a string`);
+      }
+
+      if (department.archiveTab !== undefined && typeof department.archiveTab !== 'string') {
+        errors.push(`${prefix}.archiveTab must be a string`);
+      }
+
+      if (department.nameColumn !== undefined &&
+          (typeof department.nameColumn !== 'string' || department.nameColumn.trim() === '')) {
+        errors.push(`${prefix}.nameColumn must be a non-empty string`);
+      }
+
+      if (department.userIdColumn !== undefined &&
+          (typeof department.userIdColumn !== 'string' || department.userIdColumn.trim() === '')) {
+        errors.push(`${prefix}.userIdColumn must be a non-empty string`);
+      }
+
+      if (department.layout !== undefined) {
+        if (!department.layout || typeof department.layout !== 'object' || Array.isArray(department.layout)) {
+          errors.push(`${prefix}.layout must be an object`);
+        } else {
+          errors.push(...this.validateLayout(department.layout, `${prefix}.layout`));
+        }
+      }
+
+      if (department.duplicates !== undefined) {
+        if (!department.duplicates || typeof department.duplicates !== 'object' || Array.isArray(department.duplicates)) {
+          errors.push(`${prefix}.duplicates must be an object`);
+        } else {
+          errors.push(...this.validateDuplicates(department.duplicates, `${prefix}.duplicates`));
+        }
+      }
+
+      if (department.fieldAliases !== undefined) {
+        if (!department.fieldAliases || typeof department.fieldAliases !== 'object' || Array.isArray(department.fieldAliases)) {
+          errors.push(`${prefix}.fieldAliases must be an object`);
+        } else {
+          for (const [alias, field] of Object.entries(department.fieldAliases)) {
+            if (typeof field !== 'string' || field.trim() === '') {
+              errors.push(`${prefix}.fieldAliases.${alias} must be a non-empty string`);
+            }
+          }
+        }
+      }
+
+      if (department.allowedFields !== undefined) {
+        if (!Array.isArray(department.allowedFields) ||
+            department.allowedFields.some(field => typeof field !== 'string' || field.trim() === '')) {
+          errors.push(`${prefix}.allowedFields must be an array of non-empty strings`);
+        }
+      }
+
+      if (department.defaultValues !== undefined) {
+        if (!department.defaultValues || typeof department.defaultValues !== 'object' || Array.isArray(department.defaultValues)) {
+          errors.push(`${prefix}.defaultValues must be an object`);
+        } else {
+          for (const [column, value] of Object.entries(department.defaultValues)) {
+            if (!['string', 'number', 'boolean'].includes(typeof value)) {
+              errors.push(`${prefix}.defaultValues.${column} must be a string, number or boolean`);
+            }
+          }
+        }
+      }
+
+      if (department.cooldowns !== undefined) {
+        if (!department.cooldowns || typeof department.cooldowns !== 'object' || Array.isArray(department.cooldowns)) {
+          errors.push(`${prefix}.cooldowns must be an object`);
+        } else {
+          for (const [field, seconds] of Object.entries(department.cooldowns)) {
+            if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0) {
+              errors.push(`${prefix}.cooldowns.${field} must be a number of seconds (0 or more)`);
+            }
+          }
+        }
+      }
+
+      if (department.periods !== undefined) {
+        if (!Array.isArray(department.periods)) {
+          errors.push(`${prefix}.periods must be an array`);
+        } else {
+          errors.push(...this.validatePeriods(department.periods, `${prefix}.periods`));
+        }
+      }
+
+      if (department.rules !== undefined) {
+        if (!Array.isArray(department.rules)) {
+          errors.push(`${prefix}.rules must be an array`);
+        } else {
+          errors.push(...this.validateRules(department.rules, `${prefix}.rules`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a department's sheet layout
+   * @param {Object} layout - The department's `layout` object
+   * @param {string} prefix - Path of the object in the config, for error messages
+   * @returns {Array<string>} - List of validation errors (empty if the layout is valid)
+   */
+  validateLayout(layout, prefix) {
+    const errors = [];
+    const isRow = value => Number.isInteger(value) && value >= 1;
+    const isNameList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+
+    if (layout.headerRow !== undefined && !isRow(layout.headerRow)) {
+      errors.push(`${prefix}.headerRow must be a row number (1 or more)`);
+    }
+
+    if (layout.dataStartRow !== undefined) {
+      if (!isRow(layout.dataStartRow)) {
+        errors.push(`${prefix}.dataStartRow must be a row number (1 or more)`);
+      } else if (layout.dataStartRow <= (layout.headerRow || 1)) {
+        errors.push(`${prefix}.dataStartRow must be below the header row`);
+      }
+    }
+
+    for (const key of ['includeTabs', 'excludeTabs', 'namedRanges']) {
+      if (layout[key] !== undefined && !isNameList(layout[key])) {
+        errors.push(`${prefix}.${key} must be an array of non-empty strings`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a department's duplicate username policy
+   * @param {Object} duplicates - The department's `duplicates` object
+   * @param {string} prefix - Path of the object in the config, for error messages
+   * @returns {Array<string>} - List of validation errors (empty if the policy is valid)
+   */
+  validateDuplicates(duplicates, prefix) {
+    const errors = [];
+
+    if (duplicates.policy !== undefined && !DUPLICATE_POLICIES.includes(duplicates.policy)) {
+      errors.push(`${prefix}.policy must be one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+
+    if (duplicates.tabOrder !== undefined &&
+        (!Array.isArray(duplicates.tabOrder) || duplicates.tabOrder.some(tab => typeof tab !== 'string' || tab.trim() === ''))) {
+      errors.push(`${prefix}.tabOrder must be an array of non-empty strings`);
+    } else if (duplicates.policy === 'preferred' && !(duplicates.tabOrder && duplicates.tabOrder.length > 0)) {
+      errors.push(`${prefix}.tabOrder must list at least one tab for the "preferred" policy`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a department's quota periods
+   * @param {Array<Object>} periods - The department's `periods` array
+   * @param {string} prefix - Path of the array in the config, for error messages
+   * @returns {Array<string>} - List of validation errors (empty if the periods are valid)
+   */
+  validatePeriods(periods, prefix) {
+    const errors = [];
+    const names = new Set();
+
+    periods.forEach((period, index) => {
+      const periodPrefix = `${prefix}[${index}]`;
+
+      if (!period || typeof period !== 'object' || Array.isArray(period)) {
+        errors.push(`${periodPrefix} must be an object`);
+        return;
+      }
+
+      if (typeof period.name !== 'string' || period.name.trim() === '') {
+        errors.push(`${periodPrefix}.name must be a non-empty string`);
+      } else if (names.has(period.name.toLowerCase().trim())) {
+        errors.push(`${periodPrefix}.name "${period.name}" is used by more than one period`);
+      } else {
+        names.add(period.name.toLowerCase().trim());
+      }
+
+      if (period.schedule !== undefined) {
+        try {
+          cron.parse(period.schedule);
+        } catch (error) {
+          errors.push(`${periodPrefix}.schedule is not a valid cron expression: ${error.message}`);
+        }
+      }
+
+      if (!Array.isArray(period.columns) || period.columns.length === 0 ||
+          period.columns.some(column => typeof column !== 'string' || column.trim() === '')) {
+        errors.push(`${periodPrefix}.columns must be a non-empty array of non-empty strings`);
+      }
+
+      if (period.historyTab !== undefined && typeof period.historyTab !== 'string') {
+        errors.push(`${periodPrefix}.historyTab must be a string`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a department's promotion and quota rules
+   * @param {Array<Object>} rules - The department's `rules` array
+   * @param {string} prefix - Path of the array in the config, for error messages
+   * @returns {Array<string>} - List of validation errors (empty if the rules are valid)
+   */
+  validateRules(rules, prefix) {
+    const errors = [];
+    const names = new Set();
+
+    rules.forEach((rule, index) => {
+      const rulePrefix = `${prefix}[${index}]`;
+
+      if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        errors.push(`${rulePrefix} must be an object`);
+        return;
+      }
+
+      if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+        errors.push(`${rulePrefix}.name must be a non-empty string`);
+      } else if (names.has(rule.name.toLowerCase().trim())) {
+        errors.push(`${rulePrefix}.name "${rule.name}" is used by more than one rule`);
+      } else {
+        names.add(rule.name.toLowerCase().trim());
+      }
+
+      if (rule.on !== undefined && !RULE_TRIGGERS.includes(rule.on)) {
+        errors.push(`${rulePrefix}.on must be one of: ${RULE_TRIGGERS.join(', ')}`);
+      }
+
+      if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+        errors.push(`${rulePrefix}.match must be "all" or "any"`);
+      }
+
+      for (const key of ['description', 'period', 'statusColumn', 'statusValue']) {
+        if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+          errors.push(`${rulePrefix}.${key} must be a string`);
+        }
+      }
+
+      if (rule.tabs !== undefined &&
+          (!Array.isArray(rule.tabs) || rule.tabs.some(tab => typeof tab !== 'string'))) {
+        errors.push(`${rulePrefix}.tabs must be an array of strings`);
+      }
+
+      if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+        errors.push(`${rulePrefix}.conditions must be a non-empty array`);
+        return;
+      }
+
+      rule.conditions.forEach((condition, conditionIndex) => {
+        const conditionPrefix = `${rulePrefix}.conditions[${conditionIndex}]`;
+
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+          errors.push(`${conditionPrefix} must be an object`);
+          return;
+        }
+
+        if (typeof condition.field !== 'string' || condition.field.trim() === '') {
+          errors.push(`${conditionPrefix}.field must be a non-empty string`);
+        }
+
+        if (!RULE_COMPARISONS.includes(condition.op)) {
+          errors.push(`${conditionPrefix}.op must be one of: ${RULE_COMPARISONS.join(', ')}`);
+        } else if (typeof condition.value === 'string' ? !['==', '!='].includes(condition.op) : !Number.isFinite(condition.value)) {
+          errors.push(`${conditionPrefix}.value must be a number (or a string for == and !=)`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults for optional department settings
+   * @param {Object} departments - The validated `departments` object
+   * @returns {Object} - Departments keyed by code with all settings present
+   */
+  normalize(departments) {
+    const normalized = {};
+
+    for (const [code, department] of Object.entries(departments)) {
+      normalized[code] = {
+        code,
+        name: department.name || code,
+        backend: department.backend || 'sheets',
+        spreadsheetId: (department.spreadsheetId || code).trim(),
+        webhookUrl: department.webhookUrl || '',
+        signingSecret: department.signingSecret || '',
+        requireSignature: department.requireSignature || false,
+        auditTab: department.auditTab || '',
+        archiveTab: department.archiveTab || '',
+        nameColumn: department.nameColumn || null,
+        userIdColumn: department.userIdColumn || null,
+        layout: department.layout || {},
+        duplicates: {
+          policy: (department.duplicates && department.duplicates.policy) || 'first',
+          tabOrder: (department.duplicates && department.duplicates.tabOrder) || []
+        },
+        fieldAliases: department.fieldAliases || {},
+        allowedFields: department.allowedFields || [],
+        defaultValues: department.defaultValues || {},
+        cooldowns: department.cooldowns || {},
+        periods: (department.periods || []).map(period => ({
+          name: period.name.trim(),
+          schedule: period.schedule || '',
+          columns: period.columns,
+          historyTab: period.historyTab || ''
+        })),
+        rules: (department.rules || []).map(rule => ({
+          name: rule.name.trim(),
+          description: rule.description || rule.name.trim(),
+          on: rule.on || 'update',
+          period: rule.period || '',
+          match: rule.match || 'all',
+          conditions: rule.conditions,
+          tabs: rule.tabs || [],
+          statusColumn: rule.statusColumn || '',
+          statusValue: rule.statusValue || rule.name.trim()
+        }))
+      };
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Load (or reload) the department config from disk
+   * @returns {boolean} - Success status
+   * @throws {Error} - If the file cannot be read or is invalid
+   */
+  load() {
+    const raw = fs.readFileSync(this.configPath, 'utf8');
+    const config = JSON.parse(raw);
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid department config in ${this.configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.departments = this.normalize(config.departments);
+    this.loaded = true;
+
+    console.log(`Loaded ${Object.keys(this.departments).length} department(s) from ${this.configPath}`);
+    return true;
+  }
+
+  /**
+   * Watch the config file and reload it whenever it changes.
+   * An invalid file is logged and ignored, keeping the last good config.
+   */
+  watch() {
+    if (this.watching) return;
+
+    fs.watchFile(this.configPath, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      try {
+        this.load();
+      } catch (error) {
+        console.error('Failed to reload department config, keeping previous config:', error.message);
+      }
+    });
+
+    this.watching = true;
+  }
+
+  /**
+   * Replace the whole department config and persist it to disk
+   * @param {Object} config - The new config (must have a `departments` object)
+   * @returns {{success: boolean, errors?: Array<string>}} - Result object with success status
+   */
+  replace(config) {
+    if (!this.loaded) this.load();
+
+    // A config read back from list() has its signing secrets hidden, so keep the ones already set
+    const secretErrors = [];
+    if (config && config.departments && typeof config.departments === 'object') {
+      const departments = {};
+      for (const [code, department] of Object.entries(config.departments)) {
+        departments[code] = department;
+        if (!department || department.signingSecret !== SECRET_SET) continue;
+
+        const current = this.departments[code];
+        if (current && current.signingSecret) {
+          departments[code] = { ...department, signingSecret: current.signingSecret };
+        } else {
+          secretErrors.push(`departments.${code}.signingSecret is "${SECRET_SET}", but the department has no signing secret to keep`);
+        }
+      }
+      config = { ...config, departments };
+    }
+
+    const errors = secretErrors.concat(this.validate(config));
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    // Write to a temporary file first so a crash can't leave a half-written config
+    const tempPath = `${this.configPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(config, null, 2) + '\n');
+    fs.renameSync(tempPath, this.configPath);
+
+    this.departments = this.normalize(config.departments);
+    this.loaded = true;
+
+    console.log(`Department config updated (${Object.keys(this.departments).length} department(s))`);
+    return { success: true };
+  }
+
+  /**
+   * Get the settings for a department, merged with its bureau plugin.
+   * Values from the config file take precedence over the plugin's defaults.
+   * @param {string} code - The department code (e.g. 'FMB')
+   * @returns {Object|null} - The department settings or null if unknown
+   */
+  get(code) {
+    if (!this.loaded) this.load();
+
+    const department = this.departments[code];
+    if (!department) return null;
+
+    const bureau = bureauRegistry.get(code);
+    const layout = { ...bureau.layout, ...department.layout };
+    const headerRow = layout.headerRow || 1;
+
+    return {
+      ...department,
+      nameColumn: department.nameColumn || layout.nameColumn || 'USERNAME',
+      // Without a UserId column, users are only matched by username
+      userIdColumn: department.userIdColumn || layout.userIdColumn || null,
+      layout: {
+        headerRow,
+        // Users can't start above the row after the headers
+        dataStartRow: Math.max(layout.dataStartRow || 0, headerRow + 1),
+        namedRanges: layout.namedRanges || [],
+        includeTabs: layout.includeTabs || [],
+        // Never search the audit, archive or history tabs for usernames
+        excludeTabs: (layout.excludeTabs || [])
+          .concat(department.auditTab ? [department.auditTab] : [])
+          .concat(department.archiveTab ? [department.archiveTab] : [])
+          .concat(department.periods.map(period => period.historyTab).filter(Boolean))
+      },
+      fieldAliases: { ...bureau.fieldAliases, ...department.fieldAliases },
+      bureau
+    };
+  }
+
+  /**
+   * Get all departments keyed by code, with each signing secret shown only as "set" or ""
+   * @returns {Object} - Departments keyed by code
+   */
+  list() {
+    if (!this.loaded) this.load();
+
+    const departments = {};
+    for (const [code, department] of Object.entries(this.departments)) {
+      departments[code] = { ...department, signingSecret: department.signingSecret ? SECRET_SET : '' };
+    }
+    return departments;
+  }
+
+  /**
+   * Resolve a field alias to the real column name for a department
+   * @param {string} code - The department code
+   * @param {string} field - The field name or alias
+   * @returns {string} - The mapped column name, or the original field if it isn't an alias
+   */
+  resolveField(code, field) {
+    const department = this.get(code);
+    if (!department || !field) return field;
+    return department.fieldAliases[field] || field;
+  }
+
+  /**
+   * Check whether a (resolved) field may be updated for a department
+   * @param {string} code - The department code
+   * @param {string} field - The resolved column name
+   * @returns {boolean} - True if the department has no allow list or the field is on it
+   */
+  isFieldAllowed(code, field) {
+    const department = this.get(code);
+    if (!department) return false;
+    if (department.allowedFields.length === 0) return true;
+
+    const searchField = field.toLowerCase().trim();
+    return department.allowedFields.some(allowed => allowed.toLowerCase().trim() === searchField);
+  }
+}
+
+module.exports = new DepartmentRegistry();
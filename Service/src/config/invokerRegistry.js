@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const departmentRegistry = require('./departmentRegistry');
+
+// Load environment variables
+dotenv.config();
+
+// Default location of the invoker roster (relative to the Service folder)
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', '..', 'config', 'invokers.json');
+
+// Roster key whose permissions apply to invokers that aren't listed
+const DEFAULT_KEY = '*';
+
+// Roster of the invokers allowed to update spreadsheets, loaded from a JSON file and reloaded when it changes.
+// Without a roster file (or with an empty roster) every invoker may update every department.
+class InvokerRegistry {
+  constructor() {
+    this.configPath = process.env.INVOKERS_CONFIG || DEFAULT_CONFIG_PATH;
+    this.invokers = {};
+    this.loaded = false;
+    this.watching = false;
+  }
+
+  /**
+   * Validate an invoker roster object
+   * @param {Object} config - The parsed roster (must have an `invokers` object)
+   * @returns {Array<string>} - List of validation errors (empty if the roster is valid)
+   */
+  validate(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['Roster must be an object'];
+    }
+
+    const invokers = config.invokers;
+    if (!invokers || typeof invokers !== 'object' || Array.isArray(invokers)) {
+      return ['Roster must contain an "invokers" object'];
+    }
+
+    for (const [key, invoker] of Object.entries(invokers)) {
+      const prefix = `invokers.${key}`;
+
+      if (!invoker || typeof invoker !== 'object' || Array.isArray(invoker)) {
+        errors.push(`${prefix} must be an object`);
+        continue;
+      }
+
+      for (const list of ['departments', 'fields']) {
+        if (invoker[list] !== undefined &&
+            (!Array.isArray(invoker[list]) || invoker[list].some(item => typeof item !== 'string' || item.trim() === ''))) {
+          errors.push(`${prefix}.${list} must be an array of non-empty strings`);
+        }
+      }
+
+      if (invoker.maxIncrement !== undefined &&
+          (typeof invoker.maxIncrement !== 'number' || !(invoker.maxIncrement > 0))) {
+        errors.push(`${prefix}.maxIncrement must be a positive number`);
+      }
+
+      if (invoker.maxTargets !== undefined &&
+          (!Number.isInteger(invoker.maxTargets) || invoker.maxTargets < 1)) {
+        errors.push(`${prefix}.maxTargets must be a positive whole number`);
+      }
+
+      // Invokers are named by the caller, so skipping cooldowns belongs to the API token instead
+      if (invoker.bypassCooldowns !== undefined) {
+        errors.push(`${prefix}.bypassCooldowns isn't supported; create the caller's token with --bypass-cooldowns instead`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults for optional invoker settings
+   * @param {Object} invokers - The validated `invokers` object
+   * @returns {Object} - Invokers keyed by lowercase username or UserId, with all settings present
+   */
+  normalize(invokers) {
+    const normalized = {};
+
+    for (const [key, invoker] of Object.entries(invokers)) {
+      normalized[key.toLowerCase().trim()] = {
+        key,
+        departments: invoker.departments || [],
+        fields: invoker.fields || [],
+        maxIncrement: invoker.maxIncrement || null,
+        maxTargets: invoker.maxTargets || null
+      };
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Load (or reload) the roster from disk. A missing file is treated as an empty roster.
+   * @returns {boolean} - Success status
+   * @throws {Error} - If the file cannot be parsed or is invalid
+   */
+  load() {
+    if (!fs.existsSync(this.configPath)) {
+      this.invokers = {};
+      this.loaded = true;
+      return true;
+    }
+
+    const config = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+
+    const errors = this.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid invoker roster in ${this.configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    this.invokers = this.normalize(config.invokers);
+    this.loaded = true;
+
+    console.log(`Loaded ${Object.keys(this.invokers).length} invoker(s) from ${this.configPath}`);
+    return true;
+  }
+
+  /**
+   * Watch the roster file and reload it whenever it changes.
+   * An invalid file is logged and ignored, keeping the last good roster.
+   */
+  watch() {
+    if (this.watching) return;
+
+    fs.watchFile(this.configPath, { interval: 1000 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+
+      try {
+        this.load();
+      } catch (error) {
+        console.error('Failed to reload invoker roster, keeping previous roster:', error.message);
+      }
+    });
+
+    this.watching = true;
+  }
+
+  /**
+   * Check whether invokers' permissions are being enforced
+   * @returns {boolean} - True if the roster has at least one entry
+   */
+  isEnforced() {
+    if (!this.loaded) this.load();
+    return Object.keys(this.invokers).length > 0;
+  }
+
+  /**
+   * Find an invoker's permissions, by Roblox UserId first and then by username
+   * @param {string} invoker - The invoker's username
+   * @param {string|number} invokerId - The invoker's UserId (optional)
+   * @returns {Object|null} - The permissions (the `*` entry for unlisted invokers), or null if the invoker may not update anything
+   */
+  find(invoker, invokerId) {
+    if (!this.loaded) this.load();
+
+    const keys = [invokerId, invoker, DEFAULT_KEY]
+      .filter(key => key !== undefined && key !== null && String(key).trim() !== '')
+      .map(key => String(key).toLowerCase().trim());
+
+    for (const key of keys) {
+      if (this.invokers[key]) return this.invokers[key];
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether an invoker may update a department's field
+   * @param {Object} permissions - The invoker's permissions from find()
+   * @param {string} code - The department code
+   * @param {string} field - The resolved column name
+   * @returns {string|null} - Why the update is forbidden, or null if it is allowed
+   */
+  checkField(permissions, code, field) {
+    if (permissions.departments.length > 0 && !permissions.departments.includes(code)) {
+      return `Not allowed to update department ${code}`;
+    }
+
+    const searchField = field.toLowerCase().trim();
+    if (permissions.fields.length > 0 &&
+        !permissions.fields.some(allowed => departmentRegistry.resolveField(code, allowed).toLowerCase().trim() === searchField)) {
+      return `Not allowed to update field "${field}"`;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new InvokerRegistry();
@@ -1,137 +1,190 @@
 const express = require('express');
-const sheetsApi = require('./api/googleSheetsApi');
+const crypto = require('crypto');
+const departmentRegistry = require('./config/departmentRegistry');
+const bureauRegistry = require('./bureaus');
+const adminRoutes = require('./routes/admin');
+const jobRoutes = require('./routes/jobs');
+const auditRoutes = require('./routes/audit');
+const batchRoutes = require('./routes/batches');
+const departmentRoutes = require('./routes/departments');
+const jobQueue = require('./jobs/jobQueue');
+const periodScheduler = require('./jobs/periodScheduler');
+const idempotency = require('./middleware/idempotency');
+const { verifyApiToken, allowsDepartment, requireAllDepartments } = require('./middleware/auth');
+const { verifyRequestSignature, meetsSignatureRequirement } = require('./middleware/signature');
+const rateLimit = require('./middleware/rateLimit');
+const validateRequest = require('./middleware/validate');
+const routes = require('./schemas/routes');
+const { buildOpenApi } = require('./schemas/openapi');
+const rateLimiter = require('./limits/rateLimiter');
+const invokerRegistry = require('./config/invokerRegistry');
+const tokenStore = require('./auth/tokenStore');
+const updateService = require('./services/updateService');
+const { sendToDiscord } = require('./utils/discord');
 const dotenv = require('dotenv');
-const axios = require('axios');
 
 // Load environment variables
 dotenv.config();
 
+// Load the bureau plugins and department config (throws on invalid files so we never start half-configured)
+bureauRegistry.load();
+departmentRegistry.load();
+departmentRegistry.watch();
+invokerRegistry.load();
+invokerRegistry.watch();
+
 // Initialize Express app
 const app = express();
-app.use(express.json());
-
-// API Authentication token
-// In production, this should be stored in environment variables
-const API_TOKEN = process.env.API_TOKEN || 'YOUR_SECURE_API_TOKEN_HERE';
-const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
-
-// Function to send messages to Discord webhook
-async function sendToDiscord(title, description, fields, department) {
-  const webhookUrl = departmentToWebhook[department];
-  if (!webhookUrl) {
-    console.warn('Discord webhook URL not configured. Skipping webhook notification.');
-    return;
-  }
-
-  try {
-    const embed = {
-      title: title,
-      description: description,
-      color: 3447003, // Blue color
-      fields: fields,
-      timestamp: new Date().toISOString()
-    };
-    
-    const data = {
-      embeds: [embed]
-    };
-    
-    await axios.post(webhookUrl, data, {
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    console.log('Discord webhook notification sent successfully');
-  } catch (error) {
-    console.error('Failed to send Discord webhook notification:', error.message);
-  }
-}
-
-// Middleware to verify API token
-function verifyApiToken(req, res, next) {
-  // Get token from Authorization header (Bearer token) or query parameter
-  const authHeader = req.headers.authorization;
-  const tokenFromHeader = authHeader && authHeader.startsWith('Bearer ') 
-    ? authHeader.substring(7) 
-    : null;
-  const tokenFromQuery = req.query.api_token;
-  
-  // Use token from header or query parameter
-  const token = tokenFromHeader || tokenFromQuery;
-
-  // If no token provided
-  if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'API token is required. Provide it as a Bearer token in Authorization header or as api_token query parameter.' 
-    });
-  }
-
-  // If token doesn't match
-  if (token !== API_TOKEN) {
-    return res.status(403).json({ 
-      success: false, 
-      message: 'Invalid API token' 
-    });
+// Keep the raw body so signed requests can be checked byte for byte
+app.use(express.json({
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
   }
-
-  // Token is valid, proceed to the next middleware/route handler
-  next();
-}
-
-
-const departmentToSpreadsheetId = {
-  'FMB': '1hfqaBA_a0jr9iJLKmQ_xZ5kiwP5XL-3eXK9uE_bCx_o',
-};
-
-const departmentToWebhook = {
-  'FMB': ''
-}
-
-const fieldMappings = {
-  'ft': 'FUNDA. TRAINING(S)'
-}
+}));
 
 // Example route to test API is running
 app.get('/', (req, res) => {
   res.json({ message: 'SpreadsheetRanker API is running' });
 });
 
+// Machine-readable description of every route, built from the schemas requests are validated against
+const openApiDocument = buildOpenApi();
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.use(verifyRequestSignature);
 app.use(verifyApiToken);
+app.use(rateLimit);
+
+app.use('/admin', requireAllDepartments, adminRoutes);
+app.use('/jobs', jobRoutes);
+app.use('/audit', auditRoutes);
+app.use('/batches', batchRoutes);
+app.use('/departments', departmentRoutes);
+
+/**
+ * Describe an update's operation for Discord
+ * @param {Object} update - The update object ({ op, value, increment })
+ * @returns {string} - e.g. 'increment 1', 'set 5' or 'clear'
+ */
+function describeOperation(update) {
+  const op = update.op || 'increment';
+  if (op === 'clear') return op;
+
+  return `${op} ${update.value !== undefined ? update.value : update.increment}`;
+}
 
 /**
  * POST route for updating user fields in spreadsheets
- * Body format: 
- * [
- *   {
- *     "name": "username",
- *     "department": "department_code",
- *     "field": "field_name",
- *     "increment": number_value
- *   },
- *   ...
- * ]
+ * Body format (see routes.updateFields in schemas/routes.js):
+ * {
+ *   "invoker": "username",
+ *   "invokerId": 12345,
+ *   "requestId": "unique-id",    // Optional
+ *   "payloads": [
+ *     {
+ *       "name": "username",
+ *       "userId": 67890,           // Optional: the player's Roblox UserId, matched before the name
+ *       "department": "department_code",
+ *       "field": "field_name",
+ *       "increment": number_value, // Amount for increment/decrement (or send "value")
+ *       "op": "increment",         // Optional: increment, decrement, set, max, min or clear
+ *       "value": number_or_text    // Optional: the operation's value (increment/decrement fall back to "increment")
+ *     },
+ *     ...
+ *   ]
+ * }
+ * Add ?async=true to queue the update and get a job ID back instead of waiting for the results
+ * Add ?dryRun=true to preview the changes: every check runs, but nothing is written, announced or put on cooldown
+ * Send an Idempotency-Key header (or "requestId" in the body) to make retries safe
+ * Send "invokerId" (the invoker's Roblox UserId) with "invoker" so the invoker roster can match it by UserId
  */
-app.post('/update-fields', async (req, res) => {
+app.post('/update-fields', validateRequest(routes.updateFields), idempotency, async (req, res) => {
+  // Used for the error notification too, so it's set before anything can throw
+  const departmentName = req.body.payloads[0].department;
+
+  // Cooldowns this request started and still owns, lifted again if it fails
+  let startedCooldowns = [];
+
   try {
     const caller = req.body.invoker || 'Unknown';
-    // Validate request body
- 
-    if (!Array.isArray(req.body.payloads) || req.body.payloads.length === 0) {
-      return res.status(400).json({
+    const callerId = req.body.invokerId;
+    const requestId = req.get('Idempotency-Key') || req.body.requestId || crypto.randomUUID();
+
+    const forbidden = req.body.payloads.find(update => !allowsDepartment(req, update.department));
+    if (forbidden) {
+      return res.status(403).json({
         success: false,
-        message: 'Request body must be a non-empty array of update objects'
+        message: `API token is not allowed to update department ${forbidden.department}`
+      });
+    }
+
+    const unsigned = req.body.payloads.find(update => !meetsSignatureRequirement(req, update.department));
+    if (unsigned) {
+      return res.status(403).json({
+        success: false,
+        message: `Department ${unsigned.department} only accepts signed updates`
+      });
+    }
+
+    // Start the invoker's cooldowns on every department field being updated, unless one is still running
+    const cooldownTargets = req.body.payloads
+      .map(update => ({ departmentConfig: departmentRegistry.get(update.department), field: update.field }))
+      .filter(target => target.departmentConfig)
+      .map(target => ({ ...target, field: departmentRegistry.resolveField(target.departmentConfig.code, target.field) }));
+
+    // Tokens created with --bypass-cooldowns (e.g. for admin tools) skip them. The invoker named in the
+    // body can't, since any token holder can name any invoker
+    const cooldowns = req.apiToken && req.apiToken.bypassCooldowns
+      ? { allowed: true, started: [] }
+      : rateLimiter.claimCooldowns(caller, cooldownTargets, { dryRun: req.query.dryRun });
+    if (!cooldowns.allowed) {
+      return rateLimit.sendLimited(
+        res,
+        `${caller} is on cooldown for ${cooldowns.blocked.field} in ${cooldowns.blocked.department}`,
+        cooldowns
+      );
+    }
+    startedCooldowns = cooldowns.started;
+
+    // Preview the batch without writing it (always synchronous, even with ?async=true)
+    if (req.query.dryRun) {
+      const results = await updateService.processUpdates(req.body.payloads, caller, { requestId, invokerId: callerId, dryRun: true });
+
+      return res.json({
+        success: true,
+        dryRun: true,
+        requestId: requestId,
+        // An update that changes several rows (the "all" duplicate policy) lists each of them
+        changes: results.filter(result => result.success).flatMap(result => (result.matches || [result]).map(match => ({
+          name: result.name,
+          department: result.department,
+          field: result.field,
+          sheetName: match.sheetName,
+          cell: `${match.columnLetter}${match.row}`,
+          previousValue: match.previousValue,
+          newValue: match.newValue,
+          ...(match.clamped && { clamped: true }),
+          ...(result.duplicates && { duplicates: result.duplicates }),
+          ...(result.renamedFrom && { renamedFrom: result.renamedFrom })
+        }))),
+        failures: results.filter(result => !result.success).map(result => ({
+          name: result.name,
+          department: result.department,
+          field: result.field,
+          message: result.message,
+          ...(result.forbidden && { forbidden: true }),
+          ...(result.duplicates && { duplicates: result.duplicates })
+        }))
       });
     }
 
     // Send initial webhook notification about command usage
     const targetNames = req.body.payloads.map(update => update.name).join(', ');
-    const departmentName = req.body.payloads[0]?.department || 'Unknown';
+    const firstUpdate = req.body.payloads[0];
+    const fieldName = departmentRegistry.resolveField(departmentName, firstUpdate.field);
 
-    const fieldName = fieldMappings[req.body.payloads[0]?.field] || req.body.payloads[0]?.field || 'Unknown';
-    const incrementValue = req.body.payloads[0]?.increment || 1;
-    
     await sendToDiscord(
       'Activity Command Used',
       `A staff member is recording activity in the spreadsheet.`,
@@ -139,122 +192,51 @@ app.post('/update-fields', async (req, res) => {
         { name: 'Command Issuer', value: caller, inline: true },
         { name: 'Department', value: departmentName, inline: true },
         { name: 'Field', value: fieldName, inline: true },
-        { name: 'Increment', value: String(incrementValue), inline: true },
+        { name: 'Operation', value: describeOperation(firstUpdate), inline: true },
         { name: 'Target Players', value: targetNames, inline: false }
       ],
       departmentName
     );
 
-    // Process each update request
-    const results = [];
-    for (const update of req.body.payloads) {
-      // Validate required fields
-      if (!update.name || !update.department || !update.field) {
-        results.push({
-          success: false,
-          name: update.name || 'unknown',
-          department: update.department || 'unknown',
-          field: fieldName || 'unknown',
-          message: 'Missing required fields (name, department, or field)'
-        });
-        continue;
-      }
-
-      // Get spreadsheet ID for the department
-      const spreadsheetId = departmentToSpreadsheetId[update.department];
-      if (!spreadsheetId) {
-        results.push({
-          success: false,
-          name: update.name,
-          department: update.department,
-          field: fieldName,
-          message: `Unknown department: ${update.department}`
-        });
-        continue;
-      }
-
-      // Set default increment to 1 if not specified
-      const increment = update.increment !== undefined ? update.increment : 1;
-
-      // Get the mapped field name or use the original
-      const mappedFieldName = fieldMappings[update.field] || update.field;
-
-      // Perform the increment operation - search across all sheets
-      const incrementResult = await sheetsApi.findAndIncrementColumnValueAcrossSheets(
-        spreadsheetId,
-        update.name,
-        mappedFieldName,
-        increment,
-        'USERNAME'  // Name column to search for
-      );
+    // Queue the update for the worker when asked to, so transient Sheets errors are retried
+    if (req.query.async) {
+      // The worker lifts the cooldowns of fields the job doesn't update once it finishes
+      const job = jobQueue.enqueue(req.body.payloads, caller, requestId, callerId, startedCooldowns);
+      startedCooldowns = [];
 
-      // Add the result to the results array
-      results.push({
-        ...incrementResult,
-        name: update.name,
-        department: update.department,
-        field: mappedFieldName,
-        increment: increment
+      return res.status(202).json({
+        success: true,
+        requestId: requestId,
+        batchId: job.id,
+        jobId: job.id,
+        status: job.status
       });
-
-      let logMessage = '';
-      if (incrementResult.success) {
-        logMessage = `Successfully incremented ${mappedFieldName} for user ${update.name} in department ${update.department}, sheet ${incrementResult.sheetName}`;
-      } else {
-        logMessage = `Failed to increment ${mappedFieldName} for user ${update.name} in department ${update.department}: ${incrementResult.message}`;
-      }
-      console.log(logMessage);
     }
 
-    // Count successful and failed updates
-    const successfulUpdates = results.filter(result => result.success).length;
-    const failedUpdates = results.filter(result => !result.success).length;
+    // Process the update requests, batched per department spreadsheet
+    const batchId = crypto.randomUUID();
+    const results = await updateService.processUpdates(req.body.payloads, caller, { requestId, batchId, invokerId: callerId });
+
+    // Don't hold the invoker to a cooldown for a field that wasn't updated at all
+    rateLimiter.releaseUnusedCooldowns(startedCooldowns, results);
+    startedCooldowns = [];
 
     // Send results to Discord webhook
-    if (successfulUpdates > 0) {
-      // const successDetails = results
-      //   .filter(result => result.success)
-      //   .map(result => `${result.name}: ${result.field} in ${result.sheetName || 'unknown sheet'} (${result.previousValue} → ${result.newValue})`)
-      //   .join('\n');
-        
-      // await sendToDiscord(
-      //   'Activity Command Results',
-      //   `Successfully updated ${successfulUpdates} player(s), ${failedUpdates} failed.`,
-      //   [
-      //     { name: 'Command Issuer', value: caller, inline: true },
-      //     { name: 'Status', value: 'Success', inline: true },
-      //     { name: 'Department', value: departmentName, inline: true },
-      //     { name: 'Details', value: successDetails, inline: false }
-      //   ],
-      //   departmentName
-      // );
-    } else {
-      // All updates failed
-      const errorMessages = results
-        .filter(result => !result.success)
-        .map(result => `${result.name}: ${result.message}`)
-        .join('\n');
-      
-      await sendToDiscord(
-        'Activity Command Failed',
-        `Failed to record activity in the spreadsheet.`,
-        [
-          { name: 'Command Issuer', value: caller, inline: true },
-          { name: 'Department', value: departmentName, inline: true },
-          { name: 'Errors', value: errorMessages || 'Unknown error', inline: false }
-        ],
-        departmentName
-      );
-    }
+    await updateService.notifyResults(results, caller, departmentName);
 
     // Return the results
     return res.json({
       success: true,
+      requestId: requestId,
+      batchId: batchId,
       results: results
     });
   } catch (error) {
     console.error('Error in update-fields endpoint:', error);
-    
+
+    // Nothing is known to have been updated, so don't leave the invoker on cooldown
+    rateLimiter.clearCooldowns(startedCooldowns);
+
     // Send error to Discord webhook
     await sendToDiscord(
       'Activity Command Error',
@@ -277,4 +259,14 @@ app.post('/update-fields', async (req, res) => {
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`SpreadsheetRanker API server running on port ${PORT}`);
+
+  if (!process.env.API_TOKEN && tokenStore.list().length === 0) {
+    console.warn('No API tokens exist yet, so every request will be rejected. Create one with: node generate-token.js create');
+  }
+
+  // Start applying queued jobs (including any left pending before a restart)
+  jobQueue.start();
+
+  // Start closing quota periods on their schedules
+  periodScheduler.start();
 });
\ No newline at end of file
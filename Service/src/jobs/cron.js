@@ -0,0 +1,114 @@
+/**
+ * Minimal cron expressions for scheduled jobs.
+ *
+ * Supports the standard five fields (minute hour day-of-month month day-of-week) with
+ * `*`, lists (`1,15`), ranges (`1-5`) and steps (`*\/15`, `0-30/10`), plus the
+ * @hourly, @daily, @weekly and @monthly shortcuts. Day-of-week 0 and 7 are both Sunday.
+ * As in standard cron, when both day fields are restricted a day matching either one matches.
+ */
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Allowed range of each field, in expression order
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+/**
+ * Parse one field of a cron expression into the set of values it matches
+ * @param {string} text - The field (e.g. '*\/15' or '1-5')
+ * @param {{name: string, min: number, max: number}} field - The field's allowed range
+ * @returns {Set<number>} - The matching values
+ * @throws {Error} - If the field is malformed or out of range
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    let [start, end] = [field.min, field.max];
+    if (match[1] !== '*') {
+      [start, end] = match[1].split('-').map(Number);
+      if (end === undefined) end = match[2] ? field.max : start;
+    }
+
+    const step = match[2] ? Number(match[2]) : 1;
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`${field.name} "${part}" is out of range (${field.min}-${field.max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - The expression (e.g. '0 0 * * 1' for every Monday at midnight)
+ * @returns {Object} - The parsed schedule, for use with matches()
+ * @throws {Error} - If the expression is invalid
+ */
+function parse(expression) {
+  const text = String(expression || '').trim();
+  const parts = (SHORTCUTS[text] || text).split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Expected ${FIELDS.length} fields but got ${parts.length}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (schedule.dayOfWeek.has(7)) schedule.dayOfWeek.add(0);
+
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+}
+
+/**
+ * Check whether a time falls on a schedule (to the minute, in the server's local time)
+ * @param {Object} schedule - A schedule from parse()
+ * @param {Date} date - The time to check
+ * @returns {boolean} - True if the schedule fires at that minute
+ */
+function matches(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+
+  let day;
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    day = dayOfMonth && dayOfWeek;
+  } else {
+    day = dayOfMonth || dayOfWeek;
+  }
+
+  return day &&
+    schedule.minute.has(date.getMinutes()) &&
+    schedule.hour.has(date.getHours()) &&
+    schedule.month.has(date.getMonth() + 1);
+}
+
+module.exports = {
+  parse,
+  matches
+};
@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+const updateService = require('../services/updateService');
+const rateLimiter = require('../limits/rateLimiter');
+
+// Load environment variables
+dotenv.config();
+
+// Retry settings
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 2000);
+const RETRY_MAX_MS = Number(process.env.JOB_RETRY_MAX_MS || 5 * 60 * 1000);
+
+// Finished jobs are dropped from the store after this many hours
+const RETENTION_HOURS = Number(process.env.JOB_RETENTION_HOURS || 72);
+
+/**
+ * Persistent queue of /update-fields jobs.
+ *
+ * Jobs are stored in an append-only file so pending work survives a restart. A single worker
+ * applies one job at a time through updateService. Payloads that fail with a transient Sheets
+ * error (rate limit, server or network error) are retried with exponential backoff; when the
+ * API asks us to slow down (Retry-After), the whole queue pauses for that long.
+ */
+class JobQueue {
+  constructor() {
+    this.store = new AppendOnlyStore('jobs.jsonl');
+    this.timer = null;
+    this.working = false;
+    this.pausedUntil = 0;
+    this.started = false;
+  }
+
+  /**
+   * Load jobs from disk, requeue jobs interrupted by a restart and drop old finished jobs
+   */
+  load() {
+    this.store.load();
+
+    const cutoff = Date.now() - RETENTION_HOURS * 60 * 60 * 1000;
+    this.store.compact(job => job.status !== 'completed' || Date.parse(job.updatedAt) >= cutoff);
+
+    for (const job of this.store.values()) {
+      if (job.status === 'running') {
+        console.log(`Requeueing job ${job.id} interrupted by a restart`);
+        job.status = 'pending';
+        job.nextAttemptAt = new Date().toISOString();
+        this.save(job);
+      }
+    }
+
+    const pendingCount = this.store.values().filter(job => job.status === 'pending').length;
+    console.log(`Loaded job queue (${pendingCount} pending job(s))`);
+  }
+
+  /**
+   * Start the worker
+   */
+  start() {
+    if (this.started) return;
+
+    this.load();
+    this.started = true;
+    this.schedule(0);
+  }
+
+  /**
+   * Save a job, stamping its update time
+   * @param {Object} job - The job to save
+   */
+  save(job) {
+    job.updatedAt = new Date().toISOString();
+    this.store.save(job);
+  }
+
+  /**
+   * Add a batch of updates to the queue
+   * @param {Array<Object>} payloads - Update objects ({ name, department, field, increment })
+   * @param {string} invoker - The user who initiated the update
+   * @param {string} requestId - ID of the request that queued the job (recorded in the audit trail)
+   * @param {string|number} invokerId - The invoker's Roblox UserId, for the invoker roster (optional)
+   * @param {Array<Object>} cooldowns - Cooldowns the request started, lifted for fields the job doesn't update (optional)
+   * @returns {Object} - The new job
+   */
+  enqueue(payloads, invoker, requestId = null, invokerId = null, cooldowns = []) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      invoker,
+      invokerId,
+      requestId,
+      department: payloads[0]?.department || 'Unknown',
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null,
+      cooldowns: cooldowns.map(({ invoker: cooldownInvoker, department, field }) => ({ invoker: cooldownInvoker, department, field })),
+      payloads: payloads.map(payload => ({
+        payload,
+        status: 'pending',
+        result: null
+      }))
+    };
+
+    this.save(job);
+    console.log(`Queued job ${job.id} with ${payloads.length} payload(s)`);
+
+    if (this.started) this.schedule(0);
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - The job ID
+   * @returns {Object|null} - The job or null if not found
+   */
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Summarize a job for API responses
+   * @param {Object} job - The job
+   * @returns {Object} - The job with per-payload statuses and counts
+   */
+  describe(job) {
+    const counts = { pending: 0, succeeded: 0, failed: 0 };
+    job.payloads.forEach(entry => { counts[entry.status]++; });
+
+    return {
+      id: job.id,
+      status: job.status,
+      invoker: job.invoker,
+      requestId: job.requestId,
+      attempts: job.attempts,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      nextAttemptAt: job.status === 'pending' ? job.nextAttemptAt : null,
+      lastError: job.lastError,
+      counts,
+      payloads: job.payloads.map(entry => ({
+        ...entry.payload,
+        status: entry.status,
+        result: entry.result
+      }))
+    };
+  }
+
+  /**
+   * Wake the worker after a delay
+   * @param {number} delayMs - Milliseconds to wait
+   */
+  schedule(delayMs) {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.work(), Math.max(0, delayMs));
+  }
+
+  /**
+   * Get the pending job that is due first
+   * @returns {Object|null} - The next job to run, or null if none are pending
+   */
+  nextJob() {
+    return this.store.values()
+      .filter(job => job.status === 'pending')
+      .sort((a, b) => Date.parse(a.nextAttemptAt) - Date.parse(b.nextAttemptAt))[0] || null;
+  }
+
+  /**
+   * Run every job that is due, then sleep until the next one
+   */
+  async work() {
+    if (this.working) return;
+    this.working = true;
+
+    try {
+      let job = this.nextJob();
+      while (job && Date.parse(job.nextAttemptAt) <= Date.now() && this.pausedUntil <= Date.now()) {
+        await this.runJob(job);
+        job = this.nextJob();
+      }
+    } catch (error) {
+      console.error('Error in job worker:', error);
+    } finally {
+      this.working = false;
+    }
+
+    const job = this.nextJob();
+    if (job) {
+      this.schedule(Math.max(Date.parse(job.nextAttemptAt), this.pausedUntil) - Date.now());
+    }
+  }
+
+  /**
+   * Calculate the backoff before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Milliseconds to wait
+   */
+  backoff(attempts) {
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, attempts - 1), RETRY_MAX_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2)); // Add jitter so retries don't line up
+  }
+
+  /**
+   * Apply a job's pending payloads
+   * @param {Object} job - The job to run
+   */
+  async runJob(job) {
+    const pending = job.payloads.filter(entry => entry.status === 'pending');
+
+    job.status = 'running';
+    job.attempts++;
+    this.save(job);
+
+    console.log(`Running job ${job.id} (attempt ${job.attempts}, ${pending.length} payload(s))`);
+
+    let results;
+    try {
+      results = await updateService.processUpdates(
+        pending.map(entry => entry.payload),
+        job.invoker,
+        { requestId: job.requestId || job.id, batchId: job.id, invokerId: job.invokerId }
+      );
+    } catch (error) {
+      console.error(`Error running job ${job.id}:`, error);
+      results = pending.map(() => ({ success: false, message: error.message, retryable: true }));
+    }
+
+    let retryAfterMs = 0;
+    pending.forEach((entry, index) => {
+      const result = results[index];
+      entry.result = result;
+
+      if (result.success) {
+        entry.status = 'succeeded';
+      } else if (result.retryable && job.attempts < MAX_ATTEMPTS) {
+        entry.status = 'pending';
+        job.lastError = result.message;
+        retryAfterMs = Math.max(retryAfterMs, result.retryAfterMs || 0);
+      } else {
+        entry.status = 'failed';
+      }
+    });
+
+    if (job.payloads.some(entry => entry.status === 'pending')) {
+      const delay = Math.max(this.backoff(job.attempts), retryAfterMs);
+      job.status = 'pending';
+      job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+      // The API asked us to slow down - hold back every job, not just this one
+      if (retryAfterMs > 0) {
+        this.pausedUntil = Date.now() + retryAfterMs;
+      }
+
+      console.log(`Job ${job.id} will retry in ${Math.round(delay / 1000)}s: ${job.lastError}`);
+      this.save(job);
+      return;
+    }
+
+    job.status = 'completed';
+    this.save(job);
+    console.log(`Job ${job.id} completed`);
+
+    // Don't hold the invoker to a cooldown for a field the job didn't update at all
+    rateLimiter.releaseUnusedCooldowns(job.cooldowns || [], job.payloads.map(entry => entry.result));
+
+    await updateService.notifyResults(job.payloads.map(entry => entry.result), job.invoker, job.department);
+  }
+}
+
+module.exports = new JobQueue();
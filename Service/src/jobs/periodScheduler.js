@@ -0,0 +1,89 @@
+const departmentRegistry = require('../config/departmentRegistry');
+const periodService = require('../services/periodService');
+const cron = require('./cron');
+const { sendToDiscord } = require('../utils/discord');
+
+/**
+ * Closes departments' quota periods on their cron schedules.
+ *
+ * Checks every department's `periods` once a minute (re-reading the config each time, so
+ * schedule changes apply without a restart). Schedules use the server's local time. A period
+ * is closed at most once per scheduled minute; runs missed while the service was down are skipped.
+ */
+class PeriodScheduler {
+  constructor() {
+    this.timer = null;
+    this.started = false;
+  }
+
+  /**
+   * Start checking schedules
+   */
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.schedule();
+    console.log('Started quota period scheduler');
+  }
+
+  /**
+   * Wait for the start of the next minute, then check the schedules
+   */
+  schedule() {
+    const delayMs = 60 * 1000 - (Date.now() % (60 * 1000));
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  /**
+   * Close every period whose schedule fires this minute
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    const now = new Date();
+    const minute = Math.floor(now.getTime() / (60 * 1000));
+
+    try {
+      for (const code of Object.keys(departmentRegistry.list())) {
+        const departmentConfig = departmentRegistry.get(code);
+
+        for (const period of departmentConfig.periods) {
+          if (!period.schedule || !cron.matches(cron.parse(period.schedule), now)) continue;
+
+          // Don't close twice in the same minute (e.g. after a quick restart)
+          const lastClose = periodService.lastScheduledClose(code, period.name);
+          if (lastClose && Math.floor(Date.parse(lastClose) / (60 * 1000)) === minute) continue;
+
+          try {
+            const outcome = await periodService.closePeriod(departmentConfig, period.name, {
+              invoker: 'Scheduler',
+              trigger: 'schedule'
+            });
+
+            if (outcome.status !== 'closed') {
+              console.error(`Scheduled close of ${period.name} for ${code} did not run: ${outcome.message}`);
+            }
+          } catch (error) {
+            console.error(`Scheduled close of ${period.name} for ${code} failed:`, error);
+
+            await sendToDiscord(
+              'Quota Period Close Failed',
+              `The ${period.name} period could not be closed automatically. Close it with POST /departments/${code}/periods/close once the problem is fixed.`,
+              [
+                { name: 'Department', value: code, inline: true },
+                { name: 'Error', value: error.message || 'Unknown error', inline: false }
+              ],
+              code
+            );
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error checking quota period schedules:', error);
+    }
+
+    this.schedule();
+  }
+}
+
+module.exports = new PeriodScheduler();
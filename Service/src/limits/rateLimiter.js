@@ -0,0 +1,234 @@
+const dotenv = require('dotenv');
+const departmentRegistry = require('../config/departmentRegistry');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+
+// Load environment variables
+dotenv.config();
+
+// Expired records are dropped from the file after this many saves
+const COMPACT_EVERY = 1000;
+
+/**
+ * Rate limits and cooldowns, kept in data/limits.jsonl so they survive restarts and
+ * apply to every game server that calls the service.
+ *
+ * Rate limits count requests per invoker and per API token in fixed windows.
+ * Cooldowns stop an invoker from updating the same department field again until
+ * the field's cooldown (from the department's `cooldowns` setting) has passed.
+ */
+class RateLimiter {
+  constructor() {
+    this.store = new AppendOnlyStore('limits.jsonl', 'key');
+    this.loaded = false;
+    this.savesSinceCompact = 0;
+  }
+
+  /**
+   * Load stored limits, dropping the ones that have expired
+   */
+  load() {
+    this.store.load();
+    this.compact();
+    this.loaded = true;
+  }
+
+  /**
+   * Rewrite the file without expired records
+   */
+  compact() {
+    this.store.compact(record => Date.parse(record.until) > Date.now());
+    this.savesSinceCompact = 0;
+  }
+
+  /**
+   * Save a record, compacting the file now and then
+   * @param {Object} record - The record to save
+   * @returns {Object} - The saved record
+   */
+  save(record) {
+    if (!this.loaded) this.load();
+
+    this.store.save(record);
+    if (++this.savesSinceCompact >= COMPACT_EVERY) this.compact();
+    return record;
+  }
+
+  /**
+   * Get a record if it hasn't expired
+   * @param {string} key - The record key
+   * @returns {Object|null} - The record, or null if there is none or it has expired
+   */
+  getActive(key) {
+    if (!this.loaded) this.load();
+
+    const record = this.store.get(key);
+    return record && Date.parse(record.until) > Date.now() ? record : null;
+  }
+
+  /**
+   * Count a request against a rate limit
+   * @param {string} key - What is being limited (e.g. 'invoker|username')
+   * @param {number} limit - Requests allowed per window (0 for no limit)
+   * @param {number} windowSeconds - Length of the window
+   * @returns {{allowed: boolean, retryAfter?: number, retryAt?: string}} - Whether the request may go ahead, and if not when to retry
+   */
+  hit(key, limit, windowSeconds) {
+    if (!limit) return { allowed: true };
+
+    const now = Date.now();
+    const recordKey = `rate|${key}`;
+    const window = this.getActive(recordKey);
+
+    if (window && window.count >= limit) {
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((Date.parse(window.until) - now) / 1000),
+        retryAt: window.until
+      };
+    }
+
+    this.save(window
+      ? { ...window, count: window.count + 1 }
+      : { key: recordKey, type: 'rate', count: 1, until: new Date(now + windowSeconds * 1000).toISOString() });
+
+    return { allowed: true };
+  }
+
+  /**
+   * Get a department field's cooldown
+   * @param {Object} departmentConfig - The department settings from the registry
+   * @param {string} field - The resolved column header
+   * @returns {number} - Cooldown in seconds (0 for none)
+   */
+  getCooldownSeconds(departmentConfig, field) {
+    const searchField = field.toLowerCase().trim();
+
+    for (const [name, seconds] of Object.entries(departmentConfig.cooldowns)) {
+      if (name === '*') continue;
+
+      const column = departmentRegistry.resolveField(departmentConfig.code, name);
+      if (column.toLowerCase().trim() === searchField) return seconds;
+    }
+
+    return departmentConfig.cooldowns['*'] || 0;
+  }
+
+  /**
+   * Build the key of an invoker's cooldown on a field
+   * @param {string} invoker - The invoker
+   * @param {string} department - The department code
+   * @param {string} field - The resolved column header
+   * @returns {string} - The key
+   */
+  cooldownKey(invoker, department, field) {
+    return `cooldown|${invoker.toLowerCase().trim()}|${department}|${field.toLowerCase().trim()}`;
+  }
+
+  /**
+   * Check an invoker's cooldowns on a set of fields and, if none are active, start them all
+   * @param {string} invoker - The invoker
+   * @param {Array<{departmentConfig: Object, field: string}>} targets - The department fields being updated
+   * @returns {{allowed: boolean, started: Array<Object>, blocked?: Object, retryAfter?: number, retryAt?: string}} - The started cooldowns, or the one that blocked the request
+   */
+  claimCooldowns(invoker, targets, options = {}) {
+    const now = Date.now();
+    const pending = [];
+
+    for (const { departmentConfig, field } of targets) {
+      const seconds = this.getCooldownSeconds(departmentConfig, field);
+      if (seconds <= 0) continue;
+
+      const key = this.cooldownKey(invoker, departmentConfig.code, field);
+      const active = this.getActive(key);
+      if (active) {
+        return {
+          allowed: false,
+          started: [],
+          blocked: active,
+          retryAfter: Math.ceil((Date.parse(active.until) - now) / 1000),
+          retryAt: active.until
+        };
+      }
+
+      if (!pending.some(record => record.key === key)) {
+        pending.push({
+          key,
+          type: 'cooldown',
+          invoker,
+          department: departmentConfig.code,
+          field,
+          startedAt: new Date(now).toISOString(),
+          until: new Date(now + seconds * 1000).toISOString()
+        });
+      }
+    }
+
+    if (options.dryRun) return { allowed: true, started: [] };
+
+    return { allowed: true, started: pending.map(record => this.save(record)) };
+  }
+
+  /**
+   * List active cooldowns, soonest to expire first
+   * @param {Object} filters - Optional filters ({ invoker, department, field }, case-insensitive)
+   * @returns {Array<Object>} - The matching cooldowns
+   */
+  listCooldowns(filters = {}) {
+    if (!this.loaded) this.load();
+
+    const matches = (value, filter) => !filter || String(value).toLowerCase().trim() === String(filter).toLowerCase().trim();
+    const now = Date.now();
+
+    return this.store.values()
+      .filter(record =>
+        record.type === 'cooldown' &&
+        Date.parse(record.until) > now &&
+        matches(record.invoker, filters.invoker) &&
+        matches(record.department, filters.department) &&
+        matches(record.field, filters.field)
+      )
+      .sort((a, b) => Date.parse(a.until) - Date.parse(b.until))
+      .map(({ key, type, ...cooldown }) => ({
+        ...cooldown,
+        retryAfter: Math.ceil((Date.parse(cooldown.until) - now) / 1000)
+      }));
+  }
+
+  /**
+   * End cooldowns early
+   * @param {Array<Object>} cooldowns - Cooldowns from listCooldowns or claimCooldowns
+   * @returns {number} - Number of cooldowns cleared (ones that had already ended aren't counted)
+   */
+  clearCooldowns(cooldowns) {
+    const clearedAt = new Date().toISOString();
+    let cleared = 0;
+
+    for (const cooldown of cooldowns) {
+      const key = this.cooldownKey(cooldown.invoker, cooldown.department, cooldown.field);
+      const active = this.getActive(key);
+      if (!active) continue;
+
+      this.save({ ...active, until: clearedAt });
+      cleared++;
+    }
+
+    return cleared;
+  }
+
+  /**
+   * End the cooldowns a request started on fields that none of its updates changed,
+   * so an invoker isn't held to a cooldown for work that didn't happen
+   * @param {Array<Object>} cooldowns - The cooldowns the request started (see claimCooldowns)
+   * @param {Array<Object>} results - The request's update results ({ success, department, field })
+   * @returns {number} - Number of cooldowns cleared
+   */
+  releaseUnusedCooldowns(cooldowns, results) {
+    return this.clearCooldowns(cooldowns.filter(cooldown => !results.some(result =>
+      result && result.success &&
+      result.department === cooldown.department &&
+      String(result.field).toLowerCase().trim() === cooldown.field.toLowerCase().trim()
+    )));
+  }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const tokenStore = require('../auth/tokenStore');
+
+// Load environment variables
+dotenv.config();
+
+// Optional single token with access to everything (from before the token store existed)
+const API_TOKEN = process.env.API_TOKEN || '';
+
+// Tokens in URLs end up in logs and browser history, so they must be enabled explicitly
+const ALLOW_QUERY_TOKENS = process.env.ALLOW_QUERY_TOKENS === 'true';
+
+// Messages for tokens the store recognises but won't accept
+const REJECTED_MESSAGES = {
+  'unknown': 'Invalid API token',
+  'revoked': 'API token has been revoked',
+  'expired': 'API token has expired'
+};
+
+/**
+ * Get the token sent with a request
+ * @param {Object} req - The Express request
+ * @returns {string|null} - The token, or null if none was sent
+ */
+function getRequestToken(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7).trim() || null;
+  }
+
+  if (ALLOW_QUERY_TOKENS && typeof req.query.api_token === 'string') {
+    return req.query.api_token || null;
+  }
+
+  return null;
+}
+
+/**
+ * Check a token against the API_TOKEN environment variable in constant time
+ * @param {string} token - The token sent by the client
+ * @returns {boolean} - True if API_TOKEN is set and matches
+ */
+function matchesEnvToken(token) {
+  if (!API_TOKEN) return false;
+  return crypto.timingSafeEqual(tokenStore.hashToken(token), tokenStore.hashToken(API_TOKEN));
+}
+
+/**
+ * Middleware to verify the request's API token and that the token may use the route.
+ * The token's record is kept on `req.apiToken` so routes can check its departments.
+ * Requests already authenticated by verifyRequestSignature don't need a token.
+ */
+function verifyApiToken(req, res, next) {
+  if (req.signedBy) return next();
+
+  const token = getRequestToken(req);
+
+  // If no token provided
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: ALLOW_QUERY_TOKENS
+        ? 'API token is required. Provide it as a Bearer token in Authorization header or as api_token query parameter.'
+        : 'API token is required. Provide it as a Bearer token in Authorization header.'
+    });
+  }
+
+  if (matchesEnvToken(token)) {
+    req.apiToken = { id: 'env', label: 'API_TOKEN', departments: [], routes: [] };
+    return next();
+  }
+
+  const verification = tokenStore.verify(token);
+  if (verification.status !== 'valid') {
+    return res.status(403).json({
+      success: false,
+      message: REJECTED_MESSAGES[verification.status]
+    });
+  }
+
+  const { record } = verification;
+  if (record.routes.length > 0 &&
+      !record.routes.some(pattern => tokenStore.routeMatches(pattern, req.method, req.path))) {
+    return res.status(403).json({
+      success: false,
+      message: `API token is not allowed to use ${req.method} ${req.path}`
+    });
+  }
+
+  req.apiToken = record;
+  next();
+}
+
+/**
+ * Check whether the request's token may access a department
+ * @param {Object} req - The Express request (after verifyApiToken)
+ * @param {string} code - The department code
+ * @returns {boolean} - True if the token isn't limited to some departments, or includes this one
+ */
+function allowsDepartment(req, code) {
+  const departments = (req.apiToken && req.apiToken.departments) || [];
+  return departments.length === 0 || departments.includes(code);
+}
+
+/**
+ * Check whether the request's token has access to every department
+ * @param {Object} req - The Express request (after verifyApiToken)
+ * @returns {boolean} - True if the token isn't limited to some departments
+ */
+function allowsAllDepartments(req) {
+  return !req.apiToken || req.apiToken.departments.length === 0;
+}
+
+/**
+ * Middleware for routes that affect every department, which tokens limited to some departments can't use
+ */
+function requireAllDepartments(req, res, next) {
+  if (!allowsAllDepartments(req)) {
+    return res.status(403).json({
+      success: false,
+      message: 'API token is limited to some departments and cannot use this route'
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  verifyApiToken,
+  allowsDepartment,
+  allowsAllDepartments,
+  requireAllDepartments
+};
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+
+// Load environment variables
+dotenv.config();
+
+// How long a stored response is replayed for, in hours
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24);
+
+// Expired keys are dropped from the file after this many saves
+const COMPACT_EVERY = 1000;
+
+const store = new AppendOnlyStore('idempotency.jsonl', 'key');
+let loaded = false;
+let savesSinceCompact = 0;
+
+/**
+ * Load stored keys, dropping expired ones and requests that never finished before a restart
+ */
+function loadStore() {
+  store.load();
+  store.compact(record => record.status === 'completed' && Date.parse(record.expiresAt) > Date.now());
+  savesSinceCompact = 0;
+  loaded = true;
+}
+
+/**
+ * Save a key's record, dropping expired keys from the file now and then
+ * (failed requests are saved already expired, so they go too)
+ * @param {Object} record - The record to save
+ */
+function saveRecord(record) {
+  store.save(record);
+
+  if (++savesSinceCompact >= COMPACT_EVERY) {
+    store.compact(stored => Date.parse(stored.expiresAt) > Date.now());
+    savesSinceCompact = 0;
+  }
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads always hash the same
+ * (Roblox's JSONEncode doesn't guarantee key order)
+ * @param {any} value - The value to serialize
+ * @returns {string} - Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a request so a reused key with a different payload can be detected
+ * @param {Object} req - The Express request
+ * @returns {string} - SHA-256 hex digest of the method, path, query and body (minus requestId)
+ */
+function fingerprint(req) {
+  const { requestId, ...body } = req.body || {};
+  const source = canonicalJson({ method: req.method, path: req.path, query: req.query, body });
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+/**
+ * Middleware that makes a route safe to retry.
+ * The key comes from the Idempotency-Key header or a `requestId` body field, and is scoped to the
+ * caller's API token (or signing department), so callers can't replay or block each other's keys.
+ * The first response for a key is stored and replayed for duplicates; reusing a key with a different
+ * payload gets a 409.
+ * Requests without a key, and dry runs (?dryRun=true), are processed normally, so previewing a request
+ * doesn't use up the key the real request will be sent with.
+ */
+function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key') || (req.body && req.body.requestId);
+  if (!key || req.query.dryRun === true) return next();
+
+  if (!loaded) loadStore();
+
+  const storeKey = `${req.apiToken.id}|${key}`;
+  const requestFingerprint = fingerprint(req);
+  const existing = store.get(storeKey);
+
+  if (existing && Date.parse(existing.expiresAt) > Date.now()) {
+    if (existing.fingerprint !== requestFingerprint) {
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency key was already used with a different payload'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this idempotency key is still being processed'
+      });
+    }
+
+    console.log(`Replaying stored response for idempotency key ${key}`);
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.response);
+  }
+
+  const now = Date.now();
+  const record = {
+    key: storeKey,
+    fingerprint: requestFingerprint,
+    status: 'processing',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  };
+  saveRecord(record);
+
+  // Capture the response so duplicates get exactly the same answer
+  const originalJson = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 500 || [401, 403, 429].includes(res.statusCode)) {
+      // Nothing was recorded for certain (or the request was limited or refused), so let the client retry with the same key
+      saveRecord({ ...record, status: 'failed', expiresAt: new Date().toISOString() });
+    } else {
+      saveRecord({ ...record, status: 'completed', statusCode: res.statusCode, response: body });
+    }
+
+    return originalJson(body);
+  };
+
+  next();
+}
+
+module.exports = idempotency;
@@ -0,0 +1,51 @@
+const dotenv = require('dotenv');
+const rateLimiter = require('../limits/rateLimiter');
+
+// Load environment variables
+dotenv.config();
+
+// Length of each rate limit window, in seconds
+const RATE_LIMIT_WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60);
+
+// Requests allowed per window for each invoker and each API token (0 turns the limit off)
+const RATE_LIMIT_PER_INVOKER = Number(process.env.RATE_LIMIT_PER_INVOKER || 30);
+const RATE_LIMIT_PER_TOKEN = Number(process.env.RATE_LIMIT_PER_TOKEN || 300);
+
+/**
+ * Answer a request that hit a limit with a 429
+ * @param {Object} res - The Express response
+ * @param {string} message - What was limited
+ * @param {{retryAfter: number, retryAt: string}} limit - When the request can be retried
+ */
+function sendLimited(res, message, limit) {
+  res.set('Retry-After', String(limit.retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    message: `${message}. Try again in ${limit.retryAfter} second(s).`,
+    retryAfter: limit.retryAfter,
+    retryAt: limit.retryAt
+  });
+}
+
+/**
+ * Middleware that limits how often each API token, and each invoker named in a request body, can call the service
+ */
+function rateLimit(req, res, next) {
+  const tokenId = req.apiToken && req.apiToken.id;
+  if (tokenId) {
+    const limit = rateLimiter.hit(`token|${tokenId}`, RATE_LIMIT_PER_TOKEN, RATE_LIMIT_WINDOW_SECONDS);
+    if (!limit.allowed) return sendLimited(res, 'Too many requests for this API token', limit);
+  }
+
+  const invoker = req.body && req.body.invoker;
+  if (typeof invoker === 'string' && invoker.trim()) {
+    const limit = rateLimiter.hit(`invoker|${invoker.toLowerCase().trim()}`, RATE_LIMIT_PER_INVOKER, RATE_LIMIT_WINDOW_SECONDS);
+    if (!limit.allowed) return sendLimited(res, `Too many requests from ${invoker}`, limit);
+  }
+
+  next();
+}
+
+module.exports = rateLimit;
+module.exports.sendLimited = sendLimited;
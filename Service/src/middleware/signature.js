@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const departmentRegistry = require('../config/departmentRegistry');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+
+// Load environment variables
+dotenv.config();
+
+// How far a request's timestamp may be from the server's clock, in seconds
+const SIGNATURE_TOLERANCE_SECONDS = Number(process.env.SIGNATURE_TOLERANCE_SECONDS || 300);
+
+// Secret for departments that don't set their own signingSecret
+const SIGNING_SECRET = process.env.SIGNING_SECRET || '';
+
+// Expired nonces are dropped from the file after this many saves
+const COMPACT_EVERY = 1000;
+
+// Nonces seen recently, kept until their timestamp is too old to be accepted anyway
+const nonceStore = new AppendOnlyStore('nonces.jsonl', 'key');
+let loaded = false;
+let savesSinceCompact = 0;
+
+/**
+ * Rewrite the nonce file without expired nonces
+ */
+function compactStore() {
+  nonceStore.compact(record => Date.parse(record.expiresAt) > Date.now());
+  savesSinceCompact = 0;
+}
+
+/**
+ * Load stored nonces, dropping the ones that have expired
+ */
+function loadStore() {
+  nonceStore.load();
+  compactStore();
+  loaded = true;
+}
+
+/**
+ * Get the secret a department's requests are signed with
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {string} - The secret, or an empty string if the department has none
+ */
+function getSigningSecret(departmentConfig) {
+  return departmentConfig.signingSecret || SIGNING_SECRET;
+}
+
+/**
+ * Compute a request signature
+ * @param {string} secret - The department's signing secret
+ * @param {string} timestamp - The request's timestamp (Unix seconds)
+ * @param {string} nonce - The request's nonce
+ * @param {string} method - The HTTP method
+ * @param {string} requestPath - The path, including any query string
+ * @param {string|Buffer} body - The raw request body
+ * @returns {string} - Hex HMAC-SHA256 of the timestamp, nonce, method, path and body, joined by newlines
+ */
+function sign(secret, timestamp, nonce, method, requestPath, body) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}\n${nonce}\n${method.toUpperCase()}\n${requestPath}\n`)
+    .update(body || '')
+    .digest('hex');
+}
+
+/**
+ * Reject a request with a signature error
+ * @param {Object} res - The Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Why the signature was rejected
+ */
+function reject(res, status, message) {
+  return res.status(status).json({
+    success: false,
+    message
+  });
+}
+
+/**
+ * Middleware that authenticates requests signed with a department's secret.
+ * Signed requests send X-Signature-Department, X-Signature-Timestamp, X-Signature-Nonce and
+ * X-Signature headers; they are accepted instead of an API token and can only access the signing
+ * department. Requests without an X-Signature header are left for verifyApiToken.
+ */
+function verifyRequestSignature(req, res, next) {
+  const signature = req.get('X-Signature');
+  if (!signature) return next();
+
+  const code = req.get('X-Signature-Department');
+  const timestamp = req.get('X-Signature-Timestamp');
+  const nonce = req.get('X-Signature-Nonce');
+
+  if (!code || !timestamp || !nonce) {
+    return reject(res, 401, 'Signed requests need X-Signature-Department, X-Signature-Timestamp and X-Signature-Nonce headers');
+  }
+
+  const departmentConfig = departmentRegistry.get(code);
+  const secret = departmentConfig && getSigningSecret(departmentConfig);
+  if (!secret) {
+    return reject(res, 403, `Department ${code} does not accept signed requests`);
+  }
+
+  const seconds = Number(timestamp);
+  if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - seconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return reject(res, 401, 'Signature timestamp is missing, malformed or too far from the server time');
+  }
+
+  const expected = Buffer.from(sign(secret, timestamp, nonce, req.method, req.originalUrl, req.rawBody), 'hex');
+  const provided = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return reject(res, 403, 'Invalid request signature');
+  }
+
+  if (!loaded) loadStore();
+
+  const key = `${code}|${nonce}`;
+  const existing = nonceStore.get(key);
+  if (existing && Date.parse(existing.expiresAt) > Date.now()) {
+    return reject(res, 409, 'Signature nonce has already been used');
+  }
+
+  nonceStore.save({
+    key,
+    usedAt: new Date().toISOString(),
+    expiresAt: new Date((seconds + SIGNATURE_TOLERANCE_SECONDS) * 1000).toISOString()
+  });
+  if (++savesSinceCompact >= COMPACT_EVERY) compactStore();
+
+  req.signedBy = code;
+  req.apiToken = { id: `signature:${code}`, label: `${code} signing secret`, departments: [code], routes: [] };
+  next();
+}
+
+/**
+ * Check whether a request may change a department's data: departments with requireSignature
+ * only accept changes from requests signed with their secret
+ * @param {Object} req - The Express request (after authentication)
+ * @param {string} code - The department code
+ * @returns {boolean} - True if the department doesn't require signatures or the request was signed by it
+ */
+function meetsSignatureRequirement(req, code) {
+  const departmentConfig = departmentRegistry.get(code);
+  return !departmentConfig || !departmentConfig.requireSignature || req.signedBy === code;
+}
+
+module.exports = {
+  verifyRequestSignature,
+  meetsSignatureRequirement,
+  sign
+};
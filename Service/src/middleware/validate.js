@@ -0,0 +1,97 @@
+const { validate } = require('../schemas/validator');
+
+/**
+ * Convert a query or path parameter from text to the type its schema expects,
+ * so `?limit=10` checks (and reaches the route) as a number and `?async=true` as a boolean
+ * @param {Object} schema - The parameter's schema
+ * @param {string} value - The value from the URL
+ * @returns {*} - The converted value, or the original text if it doesn't convert cleanly
+ */
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+/**
+ * Build the object schema for a route's path or query parameters
+ * @param {Object} parameters - Parameter schemas keyed by name
+ * @param {Array<string>} required - Names of the required parameters
+ * @returns {Object} - JSON schema for the parameters object
+ */
+function parametersSchema(parameters, required) {
+  return { type: 'object', properties: parameters, required };
+}
+
+/**
+ * Convert a route's parameters and fill in the defaults of any that weren't sent
+ * @param {Object} parameters - Parameter schemas keyed by name
+ * @param {Object} values - The parameters from the request
+ * @returns {Object} - The converted parameters
+ */
+function prepareParameters(parameters, values) {
+  const prepared = { ...values };
+
+  for (const [name, schema] of Object.entries(parameters)) {
+    if (prepared[name] === undefined) {
+      if (schema.default !== undefined) prepared[name] = schema.default;
+    } else {
+      prepared[name] = coerce(schema, prepared[name]);
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Create middleware that checks a request against its route schema (see schemas/routes.js),
+ * answering 400 with every problem found. Query parameters the route doesn't know about are ignored.
+ * @param {Object} route - The route's schema
+ * @returns {Function} - Express middleware
+ */
+function validateRequest(route) {
+  const params = route.params || {};
+  const query = route.query || {};
+
+  return (req, res, next) => {
+    const errors = [];
+
+    if (route.params) {
+      errors.push(...validate(parametersSchema(params, Object.keys(params)), req.params, 'params'));
+    }
+
+    if (route.query) {
+      const prepared = prepareParameters(query, req.query);
+      errors.push(...validate(parametersSchema(query, route.requiredQuery || []), prepared, 'query'));
+
+      // Express 5 parses req.query on every read, so shadow it with the converted values
+      Object.defineProperty(req, 'query', { value: prepared, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (route.body) {
+      errors.push(...validate(route.body, req.body === undefined ? {} : req.body, 'body'));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid request: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`,
+        errors
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = validateRequest;
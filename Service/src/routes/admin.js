@@ -0,0 +1,94 @@
+const express = require('express');
+const departmentRegistry = require('../config/departmentRegistry');
+const rateLimiter = require('../limits/rateLimiter');
+const validateRequest = require('../middleware/validate');
+const routes = require('../schemas/routes');
+
+const router = express.Router();
+
+/**
+ * GET route for inspecting the loaded department config
+ */
+router.get('/departments', validateRequest(routes.listDepartments), (req, res) => {
+  res.json({
+    success: true,
+    departments: departmentRegistry.list()
+  });
+});
+
+/**
+ * PUT route for replacing the department config
+ * Body format:
+ * {
+ *   "departments": {
+ *     "FMB": { "spreadsheetId": "...", "webhookUrl": "...", "nameColumn": "USERNAME", ... },
+ *     ...
+ *   }
+ * }
+ */
+router.put('/departments', validateRequest(routes.replaceDepartments), (req, res) => {
+  try {
+    const result = departmentRegistry.replace(req.body);
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid department config',
+        errors: result.errors
+      });
+    }
+
+    return res.json({
+      success: true,
+      departments: departmentRegistry.list()
+    });
+  } catch (error) {
+    console.error('Error updating department config:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET route for listing active cooldowns
+ * Query parameters (all optional): invoker, department, field
+ */
+router.get('/cooldowns', validateRequest(routes.listCooldowns), (req, res) => {
+  const { invoker, department, field } = req.query;
+  const cooldowns = rateLimiter.listCooldowns({ invoker, department, field });
+
+  res.json({
+    success: true,
+    total: cooldowns.length,
+    cooldowns
+  });
+});
+
+/**
+ * DELETE route for ending cooldowns early
+ * Query parameters (all optional, but at least one is required): invoker, department, field
+ */
+router.delete('/cooldowns', validateRequest(routes.clearCooldowns), (req, res) => {
+  const { invoker, department, field } = req.query;
+
+  if (!invoker && !department && !field) {
+    return res.status(400).json({
+      success: false,
+      message: 'Give at least one of invoker, department or field to choose the cooldowns to clear'
+    });
+  }
+
+  const cleared = rateLimiter.clearCooldowns(rateLimiter.listCooldowns({ invoker, department, field }));
+  console.log(`Cleared ${cleared} cooldown(s)`);
+
+  return res.json({
+    success: true,
+    cleared
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const auditLog = require('../audit/auditLog');
+const { allowsDepartment } = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const routes = require('../schemas/routes');
+
+const router = express.Router();
+
+/**
+ * GET route for searching the audit trail
+ * Query parameters (all optional): department, user, invoker, field, requestId, batchId,
+ * from / to (ISO timestamps), limit, offset
+ */
+router.get('/', validateRequest(routes.searchAudit), (req, res) => {
+  const { department, user, invoker, field, requestId, batchId, from, to, limit, offset } = req.query;
+
+  if (department && !allowsDepartment(req, department)) {
+    return res.status(403).json({
+      success: false,
+      message: `API token is not allowed to access department ${department}`
+    });
+  }
+
+  const { total, entries } = auditLog.query(
+    { department, departments: req.apiToken.departments, user, invoker, field, requestId, batchId, from, to },
+    limit,
+    offset
+  );
+
+  return res.json({
+    success: true,
+    total,
+    limit,
+    offset,
+    entries
+  });
+});
+
+module.exports = router;
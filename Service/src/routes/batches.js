@@ -0,0 +1,87 @@
+const express = require('express');
+const crypto = require('crypto');
+const batchService = require('../services/batchService');
+const auditLog = require('../audit/auditLog');
+const idempotency = require('../middleware/idempotency');
+const { allowsDepartment } = require('../middleware/auth');
+const { meetsSignatureRequirement } = require('../middleware/signature');
+const validateRequest = require('../middleware/validate');
+const routes = require('../schemas/routes');
+
+const router = express.Router();
+
+// HTTP status for each revert outcome that isn't a success
+const REVERT_ERROR_STATUS = {
+  'not-found': 404,
+  'in-progress': 409,
+  'already-reverted': 409
+};
+
+/**
+ * POST route for reverting a previous update batch
+ * Body format (optional):
+ * {
+ *   "invoker": "admin_username"
+ * }
+ */
+router.post('/:id/revert', validateRequest(routes.revertBatch), idempotency, async (req, res) => {
+  try {
+    const entries = auditLog.forBatch(req.params.id);
+
+    if (!entries.every(entry => allowsDepartment(req, entry.department))) {
+      return res.status(403).json({
+        success: false,
+        message: `API token is not allowed to revert batch ${req.params.id}`
+      });
+    }
+
+    const unsigned = entries.find(entry => !meetsSignatureRequirement(req, entry.department));
+    if (unsigned) {
+      return res.status(403).json({
+        success: false,
+        message: `Department ${unsigned.department} only accepts signed changes`
+      });
+    }
+
+    const invoker = (req.body && req.body.invoker) || 'Unknown';
+    const requestId = req.get('Idempotency-Key') || (req.body && req.body.requestId) || crypto.randomUUID();
+
+    const outcome = await batchService.revertBatch(req.params.id, invoker, requestId);
+
+    // Some changes couldn't be undone: report what was, so the revert can be sent again for the rest
+    if (outcome.status === 'failed') {
+      return res.json({
+        success: false,
+        message: outcome.message,
+        batchId: outcome.revert.batchId,
+        revertBatchId: outcome.revert.revertBatchId,
+        results: outcome.revert.results
+      });
+    }
+
+    if (outcome.status !== 'reverted') {
+      return res.status(REVERT_ERROR_STATUS[outcome.status]).json({
+        success: false,
+        message: outcome.message,
+        revert: outcome.revert
+      });
+    }
+
+    return res.json({
+      success: true,
+      batchId: outcome.revert.batchId,
+      revertBatchId: outcome.revert.revertBatchId,
+      results: outcome.revert.results
+    });
+  } catch (error) {
+    console.error('Error reverting batch:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,429 @@
+const express = require('express');
+const crypto = require('crypto');
+const departmentRegistry = require('../config/departmentRegistry');
+const userService = require('../services/userService');
+const leaderboardService = require('../services/leaderboardService');
+const rosterService = require('../services/rosterService');
+const periodService = require('../services/periodService');
+const ruleService = require('../services/ruleService');
+const identityService = require('../services/identityService');
+const idempotency = require('../middleware/idempotency');
+const { allowsDepartment } = require('../middleware/auth');
+const { meetsSignatureRequirement } = require('../middleware/signature');
+const validateRequest = require('../middleware/validate');
+const routes = require('../schemas/routes');
+
+const router = express.Router();
+
+// HTTP status for each roster outcome that isn't a success
+const ROSTER_ERROR_STATUS = {
+  'invalid': 400,
+  'not-found': 404,
+  'exists': 409
+};
+
+/**
+ * Send the result of a roster change
+ * @param {Object} res - The Express response
+ * @param {Object} req - The Express request
+ * @param {Object} outcome - The roster service result ({ status, message, user })
+ * @param {number} successStatus - HTTP status to use when the change was made
+ */
+function sendRosterOutcome(res, req, outcome, successStatus = 200) {
+  if (ROSTER_ERROR_STATUS[outcome.status]) {
+    return res.status(ROSTER_ERROR_STATUS[outcome.status]).json({
+      success: false,
+      message: outcome.message
+    });
+  }
+
+  return res.status(successStatus).json({
+    success: true,
+    department: req.departmentConfig.code,
+    status: outcome.status,
+    user: outcome.user
+  });
+}
+
+/**
+ * Get the request ID a roster change is recorded under
+ * @param {Object} req - The Express request
+ * @returns {string} - The idempotency key or body requestId, or a new ID
+ */
+function getRequestId(req) {
+  return req.get('Idempotency-Key') || (req.body && req.body.requestId) || crypto.randomUUID();
+}
+
+/**
+ * Look up the department named in the route, answering 404 if it isn't configured
+ * and 403 if the request's token can't access it (or it only accepts signed changes)
+ */
+router.param('dept', (req, res, next, dept) => {
+  if (!allowsDepartment(req, dept)) {
+    return res.status(403).json({
+      success: false,
+      message: `API token is not allowed to access department ${dept}`
+    });
+  }
+
+  const departmentConfig = departmentRegistry.get(dept);
+
+  if (!departmentConfig) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown department: ${dept}`
+    });
+  }
+
+  if (req.method !== 'GET' && !meetsSignatureRequirement(req, dept)) {
+    return res.status(403).json({
+      success: false,
+      message: `Department ${dept} only accepts signed changes`
+    });
+  }
+
+  req.departmentConfig = departmentConfig;
+  next();
+});
+
+/**
+ * GET route for listing a department's users
+ * Query parameters (all optional): tab, blank (column that must be empty),
+ * notBlank (column that must have a value), limit, offset
+ */
+router.get('/:dept/users', validateRequest(routes.listUsers), async (req, res) => {
+  try {
+    const { code } = req.departmentConfig;
+    const { limit, offset } = req.query;
+
+    const filters = {
+      tab: req.query.tab,
+      blank: req.query.blank ? departmentRegistry.resolveField(code, req.query.blank) : null,
+      notBlank: req.query.notBlank ? departmentRegistry.resolveField(code, req.query.notBlank) : null
+    };
+
+    const { total, users } = await userService.listUsers(req.departmentConfig, filters, limit, offset);
+
+    return res.json({
+      success: true,
+      department: code,
+      total,
+      limit,
+      offset,
+      users
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET route for ranking a department's users by a numeric column
+ * Query parameters: field (required, column header or alias), limit (default 10),
+ * byTab (true to include a separate ranking for each tab)
+ */
+router.get('/:dept/leaderboard', validateRequest(routes.getLeaderboard), async (req, res) => {
+  try {
+    const { code } = req.departmentConfig;
+    const field = departmentRegistry.resolveField(code, req.query.field);
+    const { limit, byTab } = req.query;
+
+    const result = await leaderboardService.getLeaderboard(req.departmentConfig, field, { limit, byTab });
+
+    if (!result.found) {
+      return res.status(404).json({
+        success: false,
+        message: `Column "${field}" not found in any tab of department ${code}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      department: code,
+      field,
+      limit,
+      leaderboard: result.leaderboard,
+      ...(byTab && { tabs: result.tabs })
+    });
+  } catch (error) {
+    console.error('Error building leaderboard:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST route for adding a user to one of a department's tabs
+ * Body format:
+ * {
+ *   "name": "username",
+ *   "tab": "Sheet1",
+ *   "fields": { "ft": 0 },     // Optional starting values (on top of the department's defaultValues)
+ *   "invoker": "admin_username"
+ * }
+ */
+router.post('/:dept/users', validateRequest(routes.addUser), idempotency, async (req, res) => {
+  try {
+    const { name, tab, fields, invoker } = req.body;
+
+    const outcome = await rosterService.addUser(
+      req.departmentConfig, name.trim(), tab, fields, invoker || 'Unknown', getRequestId(req)
+    );
+
+    return sendRosterOutcome(res, req, outcome, 201);
+  } catch (error) {
+    console.error('Error adding user:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST route for moving a user's row to another tab (e.g. on promotion), keeping its values
+ * Body format:
+ * {
+ *   "tab": "Sheet2",
+ *   "fields": { "ft": 0 },     // Optional values to change on the way
+ *   "invoker": "admin_username"
+ * }
+ */
+router.post('/:dept/users/:name/move', validateRequest(routes.moveUser), idempotency, async (req, res) => {
+  try {
+    const { tab, fields, invoker } = req.body;
+
+    const outcome = await rosterService.moveUser(
+      req.departmentConfig, req.params.name, tab, fields, invoker || 'Unknown', getRequestId(req)
+    );
+
+    return sendRosterOutcome(res, req, outcome);
+  } catch (error) {
+    console.error('Error moving user:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE route for removing a user from a department
+ * Query parameters: archive (true to copy the row to the department's archiveTab first)
+ */
+router.delete('/:dept/users/:name', validateRequest(routes.removeUser), idempotency, async (req, res) => {
+  try {
+    const invoker = (req.body && req.body.invoker) || 'Unknown';
+    const { archive } = req.query;
+
+    const outcome = await rosterService.removeUser(
+      req.departmentConfig, req.params.name, archive, invoker, getRequestId(req)
+    );
+
+    return sendRosterOutcome(res, req, outcome);
+  } catch (error) {
+    console.error('Error removing user:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET route for checking which users currently meet the department's rules
+ * Query parameters (optional): rule (only check this rule)
+ */
+router.get('/:dept/eligibility', validateRequest(routes.getEligibility), async (req, res) => {
+  try {
+    const rules = await ruleService.getEligibility(req.departmentConfig, req.query.rule);
+
+    if (!rules) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown rule "${req.query.rule}" for department ${req.departmentConfig.code}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      department: req.departmentConfig.code,
+      rules
+    });
+  } catch (error) {
+    console.error('Error checking eligibility:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET route for listing usernames that appear in more than one row (in one tab or across tabs),
+ * with the department's policy for which of them updates change
+ */
+router.get('/:dept/duplicates', validateRequest(routes.getDuplicates), async (req, res) => {
+  try {
+    const duplicates = await userService.findDuplicates(req.departmentConfig);
+
+    return res.json({
+      success: true,
+      department: req.departmentConfig.code,
+      policy: req.departmentConfig.duplicates.policy,
+      ...(req.departmentConfig.duplicates.policy === 'preferred' && { tabOrder: req.departmentConfig.duplicates.tabOrder }),
+      total: duplicates.length,
+      duplicates
+    });
+  } catch (error) {
+    console.error('Error finding duplicate users:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+// HTTP status for each period close outcome that isn't a success
+const PERIOD_ERROR_STATUS = {
+  'invalid': 400,
+  'not-found': 404,
+  'in-progress': 409
+};
+
+/**
+ * POST route for closing a quota period now (snapshot, archive and reset its columns)
+ * Body format (optional):
+ * {
+ *   "period": "weekly",        // May be left out if the department has only one period
+ *   "invoker": "admin_username"
+ * }
+ * Add ?dryRun=true to preview the snapshot and resets without changing anything
+ */
+router.post('/:dept/periods/close', validateRequest(routes.closePeriod), idempotency, async (req, res) => {
+  try {
+    const { period, invoker } = req.body || {};
+    const { dryRun } = req.query;
+
+    const outcome = await periodService.closePeriod(req.departmentConfig, period, {
+      dryRun,
+      invoker: invoker || 'Unknown',
+      requestId: getRequestId(req)
+    });
+
+    if (PERIOD_ERROR_STATUS[outcome.status]) {
+      return res.status(PERIOD_ERROR_STATUS[outcome.status]).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      dryRun,
+      close: outcome.close
+    });
+  } catch (error) {
+    console.error('Error closing period:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST route for filling in the Roblox UserId of every user row that doesn't have one yet
+ * Body format (optional):
+ * {
+ *   "invoker": "admin_username"
+ * }
+ * Add ?dryRun=true to look the usernames up without writing anything
+ */
+router.post('/:dept/user-ids/backfill', validateRequest(routes.backfillUserIds), idempotency, async (req, res) => {
+  try {
+    const { invoker } = req.body || {};
+    const { dryRun } = req.query;
+
+    const outcome = await identityService.backfillUserIds(req.departmentConfig, {
+      dryRun,
+      invoker: invoker || 'Unknown',
+      requestId: getRequestId(req)
+    });
+
+    if (outcome.status === 'invalid') {
+      return res.status(400).json({
+        success: false,
+        message: outcome.message
+      });
+    }
+
+    return res.json({
+      success: true,
+      dryRun,
+      backfill: outcome.backfill
+    });
+  } catch (error) {
+    console.error('Error backfilling UserIds:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET route for reading a single user's row
+ */
+router.get('/:dept/users/:name', validateRequest(routes.getUser), async (req, res) => {
+  try {
+    const user = await userService.findUser(req.departmentConfig, req.params.name);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: `User "${req.params.name}" not found in department ${req.departmentConfig.code}`
+      });
+    }
+
+    return res.json({
+      success: true,
+      department: req.departmentConfig.code,
+      user
+    });
+  } catch (error) {
+    console.error('Error reading user:', error);
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
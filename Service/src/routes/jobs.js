@@ -0,0 +1,35 @@
+const express = require('express');
+const jobQueue = require('../jobs/jobQueue');
+const { allowsDepartment } = require('../middleware/auth');
+const validateRequest = require('../middleware/validate');
+const routes = require('../schemas/routes');
+
+const router = express.Router();
+
+/**
+ * GET route for checking the status of a queued update job
+ */
+router.get('/:id', validateRequest(routes.getJob), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job not found: ${req.params.id}`
+    });
+  }
+
+  if (!job.payloads.every(entry => allowsDepartment(req, entry.payload.department))) {
+    return res.status(403).json({
+      success: false,
+      message: `API token is not allowed to view job ${req.params.id}`
+    });
+  }
+
+  return res.json({
+    success: true,
+    job: jobQueue.describe(job)
+  });
+});
+
+module.exports = router;
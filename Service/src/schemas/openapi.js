@@ -0,0 +1,145 @@
+const routes = require('./routes');
+const { version } = require('../../package.json');
+
+// Responses every authenticated route can give, on top of the ones listed in its schema
+const COMMON_RESPONSES = {
+  400: 'The request failed validation (see errors for each problem)',
+  401: 'No API token was sent',
+  403: 'The API token or signature is unknown, expired, revoked or out of scope'
+};
+
+const errorSchema = {
+  type: 'object',
+  required: ['success', 'message'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    message: { type: 'string' },
+    errors: {
+      type: 'array',
+      description: 'Each problem found when the request failed validation',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Where the problem is (e.g. body.payloads[0].increment)' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Build the OpenAPI parameter list for a route
+ * @param {Object} route - The route's schema
+ * @returns {Array<Object>} - OpenAPI parameter objects
+ */
+function buildParameters(route) {
+  const requiredQuery = route.requiredQuery || [];
+
+  const pathParameters = Object.entries(route.params || {}).map(([name, schema]) => ({
+    name,
+    in: 'path',
+    required: true,
+    description: schema.description,
+    schema
+  }));
+
+  const queryParameters = Object.entries(route.query || {}).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: requiredQuery.includes(name),
+    description: schema.description,
+    schema
+  }));
+
+  return [...pathParameters, ...queryParameters];
+}
+
+/**
+ * Build the OpenAPI responses for a route
+ * @param {Object} route - The route's schema
+ * @returns {Object} - OpenAPI responses keyed by status code
+ */
+function buildResponses(route) {
+  const responses = {};
+
+  if (!route.public) {
+    for (const [code, description] of Object.entries(COMMON_RESPONSES)) {
+      responses[code] = { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } };
+    }
+  }
+
+  for (const [code, response] of Object.entries(route.responses)) {
+    responses[code] = {
+      description: response.description,
+      content: { 'application/json': { schema: response.schema } }
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Build the OpenAPI 3.1 document describing every route, from the same schemas used to validate requests
+ * @returns {Object} - The OpenAPI document
+ */
+function buildOpenApi() {
+  const paths = {};
+
+  for (const [operationId, route] of Object.entries(routes)) {
+    const operation = {
+      operationId,
+      summary: route.summary,
+      ...(route.description && { description: route.description }),
+      tags: route.tags,
+      ...(route.public && { security: [] })
+    };
+
+    const parameters = buildParameters(route);
+    if (parameters.length > 0) operation.parameters = parameters;
+
+    if (route.body) {
+      operation.requestBody = {
+        required: (route.body.required || []).length > 0,
+        content: { 'application/json': { schema: route.body } }
+      };
+    }
+
+    operation.responses = buildResponses(route);
+
+    paths[route.path] = { ...paths[route.path], [route.method]: operation };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'SpreadsheetRanker API',
+      version,
+      description: 'Updates Google Spreadsheets of department members for Roblox activity tracking.'
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'An API token created with generate-token.js'
+        },
+        signature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Signature',
+          description: 'An HMAC-SHA256 request signature, sent with X-Signature-Department, X-Signature-Timestamp and X-Signature-Nonce'
+        }
+      },
+      schemas: {
+        Error: errorSchema
+      }
+    },
+    security: [{ bearerAuth: [] }, { signature: [] }],
+    paths
+  };
+}
+
+module.exports = {
+  buildOpenApi
+};
@@ -0,0 +1,742 @@
+const bureauRegistry = require('../bureaus');
+
+/**
+ * Schemas for every API route.
+ *
+ * Each route lists its method and path (in OpenAPI form), the JSON schemas of its path
+ * parameters and query parameters (keyed by name; path parameters are always required and
+ * query parameters only if listed in `requiredQuery`), the JSON schema of its body, and its responses. The same definitions are used
+ * to validate requests (see middleware/validate.js) and to build the OpenAPI document served
+ * at /openapi.json (see schemas/openapi.js), so the two can't disagree.
+ */
+
+// Largest page size the list routes accept
+const MAX_LIMIT = 500;
+
+// ---- Shared schemas ----
+
+const nonBlank = description => ({
+  type: 'string',
+  pattern: '\\S',
+  'x-patternMessage': 'must not be blank',
+  description
+});
+
+const invoker = {
+  type: 'string',
+  description: 'Who made the request, for the audit trail and Discord (defaults to "Unknown")'
+};
+
+const requestId = {
+  type: 'string',
+  minLength: 1,
+  description: 'Idempotency key for safe retries (the Idempotency-Key header takes precedence)'
+};
+
+const limit = defaultLimit => ({
+  type: 'integer',
+  minimum: 1,
+  maximum: MAX_LIMIT,
+  default: defaultLimit,
+  description: 'Most entries to return'
+});
+
+const offset = {
+  type: 'integer',
+  minimum: 0,
+  default: 0,
+  description: 'Number of matching entries to skip'
+};
+
+const flag = description => ({ type: 'boolean', default: false, description });
+
+const fieldValues = description => ({
+  type: 'object',
+  additionalProperties: { type: ['string', 'number', 'boolean'] },
+  description
+});
+
+const department = { dept: nonBlank('Department code') };
+const departmentUser = { ...department, name: nonBlank('Username') };
+
+const error = { $ref: '#/components/schemas/Error' };
+
+const success = properties => ({
+  type: 'object',
+  properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+});
+
+const userRecord = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    sheetName: { type: 'string' },
+    row: { type: 'integer' },
+    fields: { type: 'object', additionalProperties: { type: 'string' }, description: 'Cell values keyed by column header' }
+  }
+};
+
+const location = {
+  type: 'object',
+  properties: {
+    sheetName: { type: 'string' },
+    row: { type: 'integer' }
+  }
+};
+
+const identityChange = {
+  type: 'object',
+  properties: {
+    operation: { type: 'string', enum: ['rename', 'link-user-id'] },
+    field: { type: 'string', description: 'The username or UserId column header' },
+    sheetName: { type: 'string' },
+    row: { type: 'integer' },
+    column: { type: 'integer' },
+    columnLetter: { type: 'string' },
+    previousValue: { type: 'string' },
+    newValue: { type: 'string' }
+  }
+};
+
+const updateResult = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    name: { type: 'string' },
+    department: { type: 'string' },
+    field: { type: 'string', description: 'The resolved column header' },
+    op: { type: 'string', enum: bureauRegistry.OPERATIONS },
+    value: { type: ['number', 'string'] },
+    increment: { type: 'number', description: 'Signed amount of an increment or decrement' },
+    previousValue: { type: ['number', 'string'] },
+    newValue: { type: ['number', 'string'] },
+    clamped: { type: 'boolean', description: 'True if the result was limited by the field\'s minValue or maxValue' },
+    sheetName: { type: 'string' },
+    row: { type: 'integer' },
+    column: { type: 'integer' },
+    columnLetter: { type: 'string' },
+    forbidden: { type: 'boolean', description: 'True if the invoker roster doesn\'t allow the update' },
+    conflict: { type: 'boolean', description: 'True if the cell kept changing while it was being updated, so it was left alone' },
+    duplicate: { type: 'boolean', description: 'True if the user appears more than once and the department\'s duplicate policy is "error"' },
+    duplicates: { type: 'array', items: location, description: 'Every row holding the user, when there\'s more than one' },
+    matches: { type: 'array', items: { type: 'object' }, description: 'Each row changed, when the "all" duplicate policy changed more than one' },
+    matchedBy: { type: 'string', enum: ['userId', 'name'], description: 'How the row was found, for payloads with a userId' },
+    renamedFrom: { type: 'string', description: 'The username the row held before it was updated to the payload\'s' },
+    identityChanges: { type: 'array', items: identityChange, description: 'Usernames updated and UserIds filled in along with the change' },
+    message: { type: 'string', description: 'Why the update failed' }
+  }
+};
+
+const updatePayload = {
+  type: 'object',
+  required: ['name', 'department', 'field'],
+  additionalProperties: false,
+  properties: {
+    name: nonBlank('Username to update'),
+    userId: {
+      type: ['integer', 'string'],
+      minimum: 1,
+      pattern: '^\\d+$',
+      'x-patternMessage': 'must be a Roblox UserId (digits only)',
+      description: 'The player\'s Roblox UserId, matched before the username when the department has a UserId column'
+    },
+    department: nonBlank('Department code'),
+    field: nonBlank('Column header or alias'),
+    op: { type: 'string', enum: bureauRegistry.OPERATIONS, default: 'increment', description: 'Operation to apply' },
+    value: { type: ['number', 'string'], description: 'The operation\'s value: a number, or text when setting a text or date column' },
+    increment: { type: 'number', description: 'Amount to increment or decrement by when value isn\'t given' }
+  },
+  // Every operation but clear needs an amount, so a forgotten one isn't silently treated as 1
+  anyOf: [
+    { required: ['value'] },
+    { required: ['increment'] },
+    { required: ['op'], properties: { op: { enum: ['clear'] } } }
+  ],
+  'x-anyOfMessage': 'must include value or increment unless op is clear'
+};
+
+const plannedChange = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    department: { type: 'string' },
+    field: { type: 'string' },
+    sheetName: { type: 'string' },
+    cell: { type: 'string', description: 'The cell that would change (e.g. E3)' },
+    previousValue: { type: ['number', 'string'] },
+    newValue: { type: ['number', 'string'] },
+    clamped: { type: 'boolean' },
+    duplicates: { type: 'array', items: location, description: 'Every row holding the user, when there\'s more than one' },
+    renamedFrom: { type: 'string', description: 'The username the row holds now, which would be updated to the payload\'s' }
+  }
+};
+
+const plannedFailure = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    department: { type: 'string' },
+    field: { type: 'string' },
+    message: { type: 'string', description: 'Why the update would fail' },
+    forbidden: { type: 'boolean' },
+    duplicates: { type: 'array', items: location }
+  }
+};
+
+const auditEntry = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    timestamp: { type: 'string', format: 'date-time' },
+    requestId: { type: ['string', 'null'] },
+    batchId: { type: ['string', 'null'] },
+    invoker: { type: 'string' },
+    department: { type: 'string' },
+    user: { type: 'string' },
+    field: { type: 'string' },
+    sheetName: { type: 'string' },
+    cell: { type: 'string' },
+    previousValue: {},
+    newValue: {},
+    operation: { type: 'string' }
+  }
+};
+
+const rosterOutcome = success({
+  department: { type: 'string' },
+  status: { type: 'string', enum: ['added', 'moved', 'removed', 'archived'] },
+  user: userRecord
+});
+
+// ---- Routes ----
+
+const routes = {
+  root: {
+    method: 'get',
+    path: '/',
+    summary: 'Check that the API is running',
+    tags: ['Service'],
+    public: true,
+    responses: {
+      200: { description: 'The API is running', schema: { type: 'object', properties: { message: { type: 'string' } } } }
+    }
+  },
+
+  openApi: {
+    method: 'get',
+    path: '/openapi.json',
+    summary: 'Get this OpenAPI document',
+    tags: ['Service'],
+    public: true,
+    responses: {
+      200: { description: 'The OpenAPI document', schema: { type: 'object' } }
+    }
+  },
+
+  updateFields: {
+    method: 'post',
+    path: '/update-fields',
+    summary: 'Update fields for a batch of users',
+    description: 'Applies each payload\'s operation to the user\'s row, searching every tab of the department\'s spreadsheet.',
+    tags: ['Updates'],
+    query: {
+      async: flag('Queue the update and return a job ID instead of waiting for the results'),
+      dryRun: flag('Preview the changes without writing them, announcing them or starting cooldowns')
+    },
+    body: {
+      type: 'object',
+      required: ['payloads'],
+      additionalProperties: false,
+      properties: {
+        invoker,
+        invokerId: { type: ['integer', 'string'], description: 'The invoker\'s Roblox UserId, for the invoker roster' },
+        requestId,
+        payloads: { type: 'array', minItems: 1, items: updatePayload }
+      }
+    },
+    responses: {
+      200: {
+        description: 'The batch was applied (check each result\'s success), or previewed with ?dryRun=true',
+        schema: {
+          anyOf: [
+            success({
+              requestId: { type: 'string' },
+              batchId: { type: 'string' },
+              results: { type: 'array', items: updateResult }
+            }),
+            success({
+              dryRun: { type: 'boolean', enum: [true] },
+              requestId: { type: 'string' },
+              changes: { type: 'array', items: plannedChange },
+              failures: { type: 'array', items: plannedFailure }
+            })
+          ]
+        }
+      },
+      202: {
+        description: 'The batch was queued (with ?async=true)',
+        schema: success({
+          requestId: { type: 'string' },
+          batchId: { type: 'string' },
+          jobId: { type: 'string' },
+          status: { type: 'string' }
+        })
+      },
+      403: { description: 'The token or signature can\'t update one of the departments', schema: error },
+      429: { description: 'Rate limited, or the invoker is on cooldown', schema: error }
+    }
+  },
+
+  getJob: {
+    method: 'get',
+    path: '/jobs/{id}',
+    summary: 'Get the status of a queued update',
+    tags: ['Updates'],
+    params: { id: nonBlank('Job ID') },
+    responses: {
+      200: { description: 'The job', schema: success({ job: { type: 'object' } }) },
+      404: { description: 'No such job', schema: error }
+    }
+  },
+
+  searchAudit: {
+    method: 'get',
+    path: '/audit',
+    summary: 'Search the audit trail, newest first',
+    tags: ['Audit'],
+    query: {
+      department: { type: 'string' },
+      user: { type: 'string' },
+      invoker: { type: 'string' },
+      field: { type: 'string' },
+      requestId: { type: 'string' },
+      batchId: { type: 'string' },
+      from: { type: 'string', format: 'date-time', description: 'Only entries at or after this time' },
+      to: { type: 'string', format: 'date-time', description: 'Only entries at or before this time' },
+      limit: limit(50),
+      offset
+    },
+    responses: {
+      200: {
+        description: 'Matching entries',
+        schema: success({
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          entries: { type: 'array', items: auditEntry }
+        })
+      }
+    }
+  },
+
+  revertBatch: {
+    method: 'post',
+    path: '/batches/{id}/revert',
+    summary: 'Undo the changes made by a batch',
+    tags: ['Audit'],
+    params: { id: nonBlank('Batch ID') },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { invoker, requestId }
+    },
+    responses: {
+      200: {
+        description: 'The batch was reverted, or some of its changes couldn\'t be (success is false, and sending the revert again retries them)',
+        schema: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            message: { type: 'string', description: 'How many changes couldn\'t be reverted' },
+            batchId: { type: 'string' },
+            revertBatchId: { type: 'string' },
+            results: { type: 'array', items: updateResult }
+          }
+        }
+      },
+      404: { description: 'No changes were recorded for the batch', schema: error },
+      409: { description: 'The batch is still being applied, or was already reverted', schema: error }
+    }
+  },
+
+  listDepartments: {
+    method: 'get',
+    path: '/admin/departments',
+    summary: 'Get the loaded department config',
+    tags: ['Admin'],
+    responses: {
+      200: { description: 'Departments keyed by code', schema: success({ departments: { type: 'object' } }) }
+    }
+  },
+
+  replaceDepartments: {
+    method: 'put',
+    path: '/admin/departments',
+    summary: 'Replace the department config',
+    description: 'The body uses the same format as config/departments.json and is checked in full before it is saved.',
+    tags: ['Admin'],
+    body: {
+      type: 'object',
+      required: ['departments'],
+      properties: {
+        departments: { type: 'object', additionalProperties: { type: 'object' } }
+      }
+    },
+    responses: {
+      200: { description: 'The config was saved', schema: success({ departments: { type: 'object' } }) }
+    }
+  },
+
+  listCooldowns: {
+    method: 'get',
+    path: '/admin/cooldowns',
+    summary: 'List active cooldowns',
+    tags: ['Admin'],
+    query: {
+      invoker: { type: 'string' },
+      department: { type: 'string' },
+      field: { type: 'string' }
+    },
+    responses: {
+      200: {
+        description: 'Active cooldowns, soonest to end first',
+        schema: success({ total: { type: 'integer' }, cooldowns: { type: 'array', items: { type: 'object' } } })
+      }
+    }
+  },
+
+  clearCooldowns: {
+    method: 'delete',
+    path: '/admin/cooldowns',
+    summary: 'End cooldowns early',
+    description: 'At least one of invoker, department and field is required.',
+    tags: ['Admin'],
+    query: {
+      invoker: { type: 'string' },
+      department: { type: 'string' },
+      field: { type: 'string' }
+    },
+    responses: {
+      200: { description: 'The cooldowns were cleared', schema: success({ cleared: { type: 'integer' } }) }
+    }
+  },
+
+  listUsers: {
+    method: 'get',
+    path: '/departments/{dept}/users',
+    summary: 'List a department\'s users',
+    tags: ['Users'],
+    params: department,
+    query: {
+      tab: { type: 'string', description: 'Only users in this tab' },
+      blank: { type: 'string', description: 'Only users with this column empty' },
+      notBlank: { type: 'string', description: 'Only users with a value in this column' },
+      limit: limit(50),
+      offset
+    },
+    responses: {
+      200: {
+        description: 'Matching users',
+        schema: success({
+          department: { type: 'string' },
+          total: { type: 'integer' },
+          limit: { type: 'integer' },
+          offset: { type: 'integer' },
+          users: { type: 'array', items: userRecord }
+        })
+      },
+      404: { description: 'No such department', schema: error }
+    }
+  },
+
+  getLeaderboard: {
+    method: 'get',
+    path: '/departments/{dept}/leaderboard',
+    summary: 'Rank a department\'s users by a numeric column',
+    tags: ['Users'],
+    params: department,
+    query: {
+      field: nonBlank('Column header or alias to rank by'),
+      limit: limit(10),
+      byTab: flag('Also rank the users of each tab separately')
+    },
+    requiredQuery: ['field'],
+    responses: {
+      200: {
+        description: 'The leaderboard',
+        schema: success({
+          department: { type: 'string' },
+          field: { type: 'string' },
+          limit: { type: 'integer' },
+          leaderboard: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                rank: { type: 'integer' },
+                name: { type: 'string' },
+                value: { type: 'number' },
+                sheetName: { type: 'string' }
+              }
+            }
+          },
+          tabs: { type: 'object', description: 'Each tab\'s leaderboard (with byTab=true)' }
+        })
+      },
+      404: { description: 'No such department, or no tab has the column', schema: error }
+    }
+  },
+
+  addUser: {
+    method: 'post',
+    path: '/departments/{dept}/users',
+    summary: 'Add a user to one of a department\'s tabs',
+    tags: ['Roster'],
+    params: department,
+    body: {
+      type: 'object',
+      required: ['name', 'tab'],
+      additionalProperties: false,
+      properties: {
+        name: nonBlank('Username to add'),
+        tab: nonBlank('Tab to add the user to'),
+        fields: fieldValues('Starting values, on top of the department\'s defaultValues'),
+        invoker,
+        requestId
+      }
+    },
+    responses: {
+      201: { description: 'The user was added', schema: rosterOutcome },
+      400: { description: 'The tab isn\'t a roster tab, or the row couldn\'t be built', schema: error },
+      409: { description: 'The user is already in the department', schema: error }
+    }
+  },
+
+  moveUser: {
+    method: 'post',
+    path: '/departments/{dept}/users/{name}/move',
+    summary: 'Move a user\'s row to another tab',
+    tags: ['Roster'],
+    params: departmentUser,
+    body: {
+      type: 'object',
+      required: ['tab'],
+      additionalProperties: false,
+      properties: {
+        tab: nonBlank('Tab to move the user to'),
+        fields: fieldValues('Values to change on the way'),
+        invoker,
+        requestId
+      }
+    },
+    responses: {
+      200: { description: 'The user was moved', schema: rosterOutcome },
+      400: { description: 'The tab isn\'t a roster tab, or the user is already in it', schema: error },
+      404: { description: 'No such department or user', schema: error }
+    }
+  },
+
+  removeUser: {
+    method: 'delete',
+    path: '/departments/{dept}/users/{name}',
+    summary: 'Remove a user from a department',
+    tags: ['Roster'],
+    params: departmentUser,
+    query: {
+      archive: flag('Copy the row to the department\'s archiveTab first')
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { invoker, requestId }
+    },
+    responses: {
+      200: { description: 'The user was removed (or archived)', schema: rosterOutcome },
+      400: { description: 'archive=true but the department has no archiveTab', schema: error },
+      404: { description: 'No such department or user', schema: error }
+    }
+  },
+
+  getEligibility: {
+    method: 'get',
+    path: '/departments/{dept}/eligibility',
+    summary: 'List the users that currently match each of a department\'s rules',
+    tags: ['Rules'],
+    params: department,
+    query: {
+      rule: { type: 'string', description: 'Only check this rule' }
+    },
+    responses: {
+      200: {
+        description: 'Each rule with its matching users',
+        schema: success({
+          department: { type: 'string' },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                on: { type: 'string', enum: ['update', 'period-close'] },
+                total: { type: 'integer' },
+                users: { type: 'array', items: { type: 'object' } }
+              }
+            }
+          }
+        })
+      },
+      404: { description: 'No such department or rule', schema: error }
+    }
+  },
+
+  getDuplicates: {
+    method: 'get',
+    path: '/departments/{dept}/duplicates',
+    summary: 'List usernames that appear in more than one row',
+    description: 'Scans every tab (or named range) the department\'s layout allows. The policy says which row updates change.',
+    tags: ['Users'],
+    params: department,
+    responses: {
+      200: {
+        description: 'Each duplicated username with every row it\'s in',
+        schema: success({
+          department: { type: 'string' },
+          policy: { type: 'string', enum: ['first', 'preferred', 'all', 'error'] },
+          tabOrder: { type: 'array', items: { type: 'string' }, description: 'Tabs preferred by the "preferred" policy, in order' },
+          total: { type: 'integer' },
+          duplicates: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                count: { type: 'integer' },
+                locations: { type: 'array', items: location }
+              }
+            }
+          }
+        })
+      },
+      404: { description: 'No such department', schema: error }
+    }
+  },
+
+  closePeriod: {
+    method: 'post',
+    path: '/departments/{dept}/periods/close',
+    summary: 'Close a quota period now',
+    description: 'Snapshots the period\'s columns, archives them and resets them to 0.',
+    tags: ['Periods'],
+    params: department,
+    query: {
+      dryRun: flag('Preview the close without changing anything')
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        period: { type: 'string', description: 'The period to close (optional if the department has only one)' },
+        invoker,
+        requestId
+      }
+    },
+    responses: {
+      200: {
+        description: 'The period was closed (or previewed)',
+        schema: success({ dryRun: { type: 'boolean' }, close: { type: 'object' } })
+      },
+      400: { description: 'None of the period\'s columns are in the spreadsheet', schema: error },
+      404: { description: 'No such department or period', schema: error },
+      409: { description: 'The period is already being closed', schema: error }
+    }
+  },
+
+  backfillUserIds: {
+    method: 'post',
+    path: '/departments/{dept}/user-ids/backfill',
+    summary: 'Fill in missing Roblox UserIds',
+    description: 'Looks up the username of every row with a blank UserId cell and writes the UserId. Usernames Roblox doesn\'t know are left blank.',
+    tags: ['Users'],
+    params: department,
+    query: {
+      dryRun: flag('Look the usernames up without writing anything')
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        invoker,
+        requestId
+      }
+    },
+    responses: {
+      200: {
+        description: 'The UserIds were filled in (or previewed)',
+        schema: success({
+          dryRun: { type: 'boolean' },
+          backfill: {
+            type: 'object',
+            properties: {
+              id: { type: ['string', 'null'], description: 'Batch ID of the audit entries (null for previews)' },
+              department: { type: 'string' },
+              checked: { type: 'integer', description: 'User rows in tabs with a UserId column' },
+              resolved: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    sheetName: { type: 'string' },
+                    row: { type: 'integer' },
+                    userId: { type: 'string' }
+                  }
+                }
+              },
+              unresolved: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    sheetName: { type: 'string' },
+                    row: { type: 'integer' }
+                  }
+                }
+              },
+              skipped: {
+                type: 'array',
+                description: 'Rows that changed while the usernames were looked up, so were left alone',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: { type: 'string' },
+                    sheetName: { type: 'string' },
+                    row: { type: 'integer' },
+                    userId: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        })
+      },
+      400: { description: 'The department has no UserId column', schema: error },
+      404: { description: 'No such department', schema: error }
+    }
+  },
+
+  getUser: {
+    method: 'get',
+    path: '/departments/{dept}/users/{name}',
+    summary: 'Read a user\'s row',
+    tags: ['Users'],
+    params: departmentUser,
+    responses: {
+      200: { description: 'The user', schema: success({ department: { type: 'string' }, user: userRecord }) },
+      404: { description: 'No such department or user', schema: error }
+    }
+  }
+};
+
+module.exports = routes;
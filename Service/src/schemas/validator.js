@@ -0,0 +1,158 @@
+/**
+ * Minimal JSON Schema validator for request validation.
+ *
+ * Supports the subset of JSON Schema the route schemas use: type (including `integer` and
+ * lists of types), enum, properties, required, additionalProperties, items, minItems/maxItems,
+ * minLength/maxLength, pattern, minimum/maximum, exclusiveMinimum, format (`date-time`) and anyOf.
+ * Keywords only used for documentation (description, default, example) are ignored.
+ * Two extensions give friendlier errors: `x-patternMessage` replaces the message for a failed
+ * pattern, and `x-anyOfMessage` replaces the errors of a failed anyOf.
+ */
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {*} value - The value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check a value against a schema's type
+ * @param {Object} schema - The schema
+ * @param {*} value - The value
+ * @returns {boolean} - True if the schema has no type or the value matches one of its types
+ */
+function matchesType(schema, value) {
+  if (!schema.type) return true;
+
+  const actual = typeOf(value);
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.some(type => type === actual || (type === 'number' && actual === 'integer' && Number.isFinite(value)));
+}
+
+/**
+ * Describe a schema's type for error messages
+ * @param {Object} schema - The schema
+ * @returns {string} - e.g. 'a string' or 'a string, a number or true or false'
+ */
+function describeType(schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const names = {
+    null: 'null', array: 'an array', integer: 'a whole number', number: 'a number',
+    string: 'a string', boolean: 'true or false', object: 'an object'
+  };
+  const described = types.map(type => names[type]);
+  return described.length > 1 ? `${described.slice(0, -1).join(', ')} or ${described[described.length - 1]}` : described[0];
+}
+
+/**
+ * Join a property name onto a path
+ * @param {string} path - The parent path
+ * @param {string|number} key - The property name or array index
+ * @returns {string} - The child path (e.g. 'payloads[0].field')
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - The JSON schema
+ * @param {*} value - The value to check
+ * @param {string} path - Where the value is in the request (used in error messages)
+ * @returns {Array<{path: string, message: string}>} - Validation errors (empty if the value is valid)
+ */
+function validate(schema, value, path = '') {
+  if (schema.anyOf) {
+    const { anyOf, ...rest } = schema;
+    const errors = validate(rest, value, path);
+    if (errors.length > 0) return errors;
+
+    const options = anyOf.map(option => validate(option, value, path));
+    if (options.some(optionErrors => optionErrors.length === 0)) return [];
+
+    if (schema['x-anyOfMessage']) return [{ path, message: schema['x-anyOfMessage'] }];
+
+    // Report the option that got furthest, so the error is about the shape the client meant
+    return options.reduce((best, optionErrors) => (optionErrors[0].path.length > best[0].path.length ? optionErrors : best));
+  }
+
+  if (!matchesType(schema, value)) {
+    return [{ path, message: `must be ${describeType(schema)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors = [];
+  const type = typeOf(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: schema['x-patternMessage'] || `must match ${schema.pattern}` });
+    } else if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      errors.push({ path, message: 'must be a date and time (e.g. 2026-10-19T18:00:00Z)' });
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    } else if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be greater than ${schema.exclusiveMinimum}` });
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, childPath(path, index))));
+    }
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: childPath(path, name), message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+
+      if (properties[name]) {
+        errors.push(...validate(properties[name], propertyValue, childPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, name), message: 'is not a recognised property' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, propertyValue, childPath(path, name)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
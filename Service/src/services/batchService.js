@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const auditLog = require('../audit/auditLog');
+const jobQueue = require('../jobs/jobQueue');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+const { sendToDiscord } = require('../utils/discord');
+
+// Username changes and linked UserIds follow the player's Roblox account, so reverts leave them alone
+const IDENTITY_OPERATIONS = ['rename', 'link-user-id'];
+
+// Record of reverted batches, keyed by the ID of the batch that was reverted
+const revertStore = new AppendOnlyStore('reverts.jsonl', 'batchId');
+
+/**
+ * Work out the change that undoes an audit entry.
+ * Numeric changes are undone with the inverse delta (rather than restoring the old value),
+ * so increments made after the batch are kept. Text changes and clears restore the old value.
+ * @param {Object} entry - The audit entry
+ * @returns {{op: string, value: number|string}} - The operation to apply
+ */
+function inverseChange(entry) {
+  if (typeof entry.previousValue === 'number' && typeof entry.newValue === 'number') {
+    return { op: 'increment', value: entry.previousValue - entry.newValue };
+  }
+
+  if (entry.previousValue === '' || entry.previousValue === null || entry.previousValue === undefined) {
+    return { op: 'clear' };
+  }
+
+  return { op: 'set', value: entry.previousValue };
+}
+
+/**
+ * Revert a previous update batch.
+ * Each change is undone as described in inverseChange, except username changes and linked UserIds,
+ * in the cell it was recorded in (following any later username change of the user in that row).
+ * A batch can only be reverted once. If some changes couldn't be undone, the revert is marked 'failed'
+ * and can be sent again, which only retries the changes that weren't undone yet.
+ * @param {string} batchId - The ID of the batch to revert
+ * @param {string} invoker - The user who requested the revert
+ * @param {string} requestId - ID of the revert request (recorded in the audit trail)
+ * @returns {Promise<{status: string, message?: string, revert?: Object}>} - 'reverted', 'failed', 'not-found', 'in-progress' or 'already-reverted'
+ */
+async function revertBatch(batchId, invoker, requestId = null) {
+  const existing = revertStore.get(batchId);
+  if (existing && existing.status !== 'failed') {
+    return {
+      status: 'already-reverted',
+      message: `Batch ${batchId} was already reverted`,
+      revert: existing
+    };
+  }
+
+  // Queued batches must finish before they can be reverted
+  const job = jobQueue.get(batchId);
+  if (job && job.status !== 'completed') {
+    return {
+      status: 'in-progress',
+      message: `Batch ${batchId} is still being applied`
+    };
+  }
+
+  const entries = auditLog.forBatch(batchId).filter(entry => !IDENTITY_OPERATIONS.includes(entry.operation));
+  if (entries.length === 0) {
+    return {
+      status: 'not-found',
+      message: `No revertible changes recorded for batch ${batchId}`
+    };
+  }
+
+  // A retry only undoes the changes earlier attempts couldn't
+  const revertedEntries = existing ? existing.revertedEntries || [] : [];
+  const pending = entries.filter(entry => !revertedEntries.includes(entry.id));
+
+  // Claim the batch before writing anything so it can't be reverted twice
+  const revert = {
+    batchId,
+    revertBatchId: crypto.randomUUID(),
+    status: 'reverting',
+    invoker,
+    requestId,
+    startedAt: new Date().toISOString(),
+    revertedEntries
+  };
+  revertStore.save(revert);
+
+  const results = new Array(pending.length);
+  const byDepartment = new Map();
+  pending.forEach((entry, index) => {
+    if (!byDepartment.has(entry.department)) byDepartment.set(entry.department, []);
+    byDepartment.get(entry.department).push({ entry, index });
+  });
+
+  for (const [department, group] of byDepartment) {
+    const departmentConfig = departmentRegistry.get(department);
+
+    if (!departmentConfig) {
+      group.forEach(({ entry, index }) => {
+        results[index] = {
+          success: false,
+          name: entry.user,
+          department,
+          field: entry.field,
+          message: `Unknown department: ${department}`
+        };
+      });
+      continue;
+    }
+
+    // Undo each change in the row it was made in (bureau rules don't apply to reverts)
+    const updates = group.map(({ entry }) => ({
+      name: auditLog.currentName(entry),
+      columnName: entry.field,
+      sheetName: entry.sheetName,
+      row: Number(String(entry.cell).replace(/^[A-Za-z]+/, '')) || null,
+      type: typeof entry.previousValue === 'number' ? 'number' : 'text',
+      ...inverseChange(entry)
+    }));
+
+    const batchResults = await backends.forDepartment(departmentConfig).applyChanges(
+      departmentConfig.spreadsheetId,
+      updates,
+      departmentConfig.nameColumn,
+      departmentConfig.layout,
+      { duplicates: departmentConfig.duplicates }
+    );
+
+    const auditChanges = [];
+    group.forEach(({ entry, index }, j) => {
+      const result = batchResults[j];
+
+      results[index] = {
+        ...result,
+        name: updates[j].name,
+        department,
+        field: entry.field,
+        op: updates[j].op,
+        ...(updates[j].op !== 'clear' && { value: updates[j].value })
+      };
+
+      if (result.success) {
+        revertedEntries.push(entry.id);
+
+        for (const match of result.matches || [result]) {
+          auditChanges.push({
+            requestId,
+            batchId: revert.revertBatchId,
+            revertOf: batchId,
+            invoker,
+            department,
+            user: updates[j].name,
+            field: entry.field,
+            sheetName: match.sheetName,
+            cell: `${match.columnLetter}${match.row}`,
+            previousValue: match.previousValue,
+            newValue: match.newValue,
+            operation: 'revert'
+          });
+        }
+      }
+    });
+
+    try {
+      await auditLog.record(auditChanges);
+    } catch (error) {
+      console.error(`Failed to record audit entries for revert of ${batchId}:`, error);
+    }
+
+    const revertedCount = group.filter(({ index }) => results[index].success).length;
+    await sendToDiscord(
+      'Activity Batch Reverted',
+      `A previous activity batch was reverted.`,
+      [
+        { name: 'Reverted By', value: invoker, inline: true },
+        { name: 'Department', value: department, inline: true },
+        { name: 'Batch', value: batchId, inline: false },
+        { name: 'Result', value: `${revertedCount} of ${group.length} change(s) reverted`, inline: false }
+      ],
+      department
+    );
+  }
+
+  const failed = results.filter(result => !result.success).length;
+  const completed = {
+    ...revert,
+    status: failed > 0 ? 'failed' : 'reverted',
+    completedAt: new Date().toISOString(),
+    results
+  };
+  revertStore.save(completed);
+
+  if (failed > 0) {
+    console.log(`Reverted batch ${batchId} as batch ${revert.revertBatchId}, but ${failed} change(s) couldn't be undone`);
+    return {
+      status: 'failed',
+      message: `${failed} of ${pending.length} change(s) in batch ${batchId} couldn't be reverted; send the revert again to retry them`,
+      revert: completed
+    };
+  }
+
+  console.log(`Reverted batch ${batchId} as batch ${revert.revertBatchId}`);
+  return { status: 'reverted', revert: completed };
+}
+
+module.exports = {
+  revertBatch
+};
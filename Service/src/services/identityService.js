@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const backends = require('../api');
+const auditLog = require('../audit/auditLog');
+const a1 = require('../utils/a1Notation');
+const { lookupUserIds } = require('../utils/robloxUsers');
+
+/**
+ * Find every user row whose UserId cell is blank, in the tabs that have a UserId column
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {Promise<{checked: number, missing: Array<Object>}>} - How many user rows were looked at, and the rows missing a UserId
+ */
+async function findMissingUserIds(departmentConfig) {
+  const { spreadsheetId, nameColumn, userIdColumn, layout } = departmentConfig;
+
+  // Fills address cells by row, so never work from cached values
+  const backend = backends.forDepartment(departmentConfig);
+  backend.invalidate(spreadsheetId);
+  const tables = await backend.readTables(spreadsheetId, layout);
+
+  let checked = 0;
+  const missing = [];
+
+  for (const { sheetName, values, headerRow, dataStartRow } of tables) {
+    const headers = values[headerRow - 1] || [];
+    const nameColumnIndex = backend.findNameColumnIndex(headers, nameColumn);
+    const userIdColumnIndex = backend.findNameColumnIndex(headers, userIdColumn);
+    if (nameColumnIndex === -1 || userIdColumnIndex === -1) continue;
+
+    for (let i = dataStartRow - 1; i < values.length; i++) {
+      const row = values[i] || [];
+      const name = row[nameColumnIndex];
+      if (!name || !name.trim()) continue;
+
+      checked++;
+      if (String(row[userIdColumnIndex] || '').trim() !== '') continue;
+
+      missing.push({
+        name: name.trim(),
+        field: headers[userIdColumnIndex],
+        sheetName,
+        row: i + 1,
+        column: userIdColumnIndex + 1,
+        columnLetter: a1.columnLetter(userIdColumnIndex),
+        nameColumnNumber: nameColumnIndex + 1
+      });
+    }
+  }
+
+  return { checked, missing };
+}
+
+/**
+ * Fill in the UserId of every user row that doesn't have one yet, looking the usernames up in one go.
+ * Usernames are resolved with the Roblox users API, or from a local list of players when
+ * ROBLOX_USERS_FILE is set (see utils/robloxUsers), unless the caller passes its own lookup.
+ * Usernames the lookup doesn't know are reported back and left blank. A cell is only filled while
+ * it is still blank and its row still holds the same user; the others are reported as skipped.
+ * Fills are recorded in the audit trail under one batch ID.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} options - Optional settings ({ lookup, dryRun, invoker, requestId }), where
+ *   lookup(names) resolves to a Map of UserIds keyed by lowercase username
+ * @returns {Promise<{status: string, message?: string, backfill?: Object}>} - 'backfilled', 'preview' or 'invalid'
+ * @throws {Error} - If the spreadsheet can't be read or written, or the lookup fails
+ */
+async function backfillUserIds(departmentConfig, options = {}) {
+  const { code, spreadsheetId, userIdColumn } = departmentConfig;
+  const lookup = options.lookup || lookupUserIds;
+  const invoker = options.invoker || 'Unknown';
+
+  if (!userIdColumn) {
+    return { status: 'invalid', message: `Department ${code} has no userIdColumn configured` };
+  }
+
+  const { checked, missing } = await findMissingUserIds(departmentConfig);
+
+  // Look each username up once, however many rows it's in
+  const names = Array.from(new Map(missing.map(user => [user.name.toLowerCase(), user.name])).values());
+  const userIds = names.length > 0 ? await lookup(names) : new Map();
+
+  const resolved = [];
+  const unresolved = [];
+  for (const user of missing) {
+    const userId = userIds.get(user.name.toLowerCase());
+    if (userId === undefined || userId === null || String(userId).trim() === '') {
+      unresolved.push({ name: user.name, sheetName: user.sheetName, row: user.row });
+    } else {
+      resolved.push({ ...user, userId: String(userId).trim() });
+    }
+  }
+
+  const backfill = {
+    id: options.dryRun ? null : crypto.randomUUID(),
+    department: code,
+    invoker,
+    requestId: options.requestId || null,
+    checked,
+    resolved: resolved.map(({ name, sheetName, row, userId }) => ({ name, sheetName, row, userId })),
+    unresolved,
+    skipped: []
+  };
+
+  if (options.dryRun) {
+    return { status: 'preview', backfill };
+  }
+
+  let filled = resolved;
+  if (resolved.length > 0) {
+    console.log(`Filling in ${resolved.length} UserId(s) for ${code}`);
+
+    // RAW so long UserIds are never reformatted as numbers
+    const cells = resolved.map(user => ({
+      sheetName: user.sheetName,
+      row: user.row,
+      column: user.column,
+      value: user.userId,
+      original: '',
+      user: { column: user.nameColumnNumber, name: user.name }
+    }));
+    const conflicts = await backends.forDepartment(departmentConfig).writeCells(spreadsheetId, cells, 'RAW');
+
+    // Cells that were filled in, or whose row changed hands, since they were read are left alone
+    const changed = user => conflicts.some(cell => cell.sheetName === user.sheetName && cell.row === user.row);
+    filled = resolved.filter(user => !changed(user));
+    backfill.resolved = filled.map(({ name, sheetName, row, userId }) => ({ name, sheetName, row, userId }));
+    backfill.skipped = resolved.filter(changed).map(({ name, sheetName, row, userId }) => ({ name, sheetName, row, userId }));
+  }
+
+  try {
+    await auditLog.record(filled.map(user => ({
+      requestId: backfill.requestId,
+      batchId: backfill.id,
+      invoker,
+      department: code,
+      user: user.name,
+      field: user.field,
+      sheetName: user.sheetName,
+      cell: `${user.columnLetter}${user.row}`,
+      previousValue: '',
+      newValue: user.userId,
+      operation: 'link-user-id'
+    })));
+  } catch (error) {
+    console.error(`Failed to record audit entries for UserId backfill ${backfill.id}:`, error);
+  }
+
+  console.log(`Backfilled UserIds for ${code}: ${filled.length} filled, ${unresolved.length} not found, ${backfill.skipped.length} changed meanwhile`);
+  return { status: 'backfilled', backfill };
+}
+
+module.exports = {
+  findMissingUserIds,
+  backfillUserIds
+};
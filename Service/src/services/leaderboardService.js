@@ -0,0 +1,79 @@
+const userService = require('./userService');
+
+/**
+ * Rank entries by value, highest first. Ties share a rank (1, 2, 2, 4).
+ * @param {Array<{name: string, value: number}>} entries - The entries to rank
+ * @param {number} limit - Maximum number of entries to return
+ * @returns {Array<Object>} - The top entries with a `rank` added
+ */
+function rank(entries, limit) {
+  const sorted = entries.slice().sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+
+  let previousValue = null;
+  let previousRank = 0;
+  return sorted.slice(0, limit).map((entry, index) => {
+    const entryRank = entry.value === previousValue ? previousRank : index + 1;
+    previousValue = entry.value;
+    previousRank = entryRank;
+    return { rank: entryRank, ...entry };
+  });
+}
+
+/**
+ * Build a leaderboard of a numeric column across all of a department's tabs.
+ * Cells are read the same way increments read them: blank counts as 0, and
+ * non-numeric values are skipped. Users listed in several tabs are ranked on their
+ * first row (in tab order), which is the row increments update.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} field - The resolved column header to rank by
+ * @param {Object} options - Optional settings ({ limit, byTab })
+ * @returns {Promise<{found: boolean, leaderboard?: Array<Object>, tabs?: Object}>} - found is false if no tab has the column
+ */
+async function getLeaderboard(departmentConfig, field, options = {}) {
+  const limit = options.limit || 10;
+  const users = await userService.readUsers(departmentConfig);
+
+  const seen = new Set();
+  const overall = [];
+  const byTab = {};
+  let found = false;
+
+  for (const user of users) {
+    const value = userService.getField(user.fields, field);
+    if (value === undefined) continue; // This tab doesn't have the column
+    found = true;
+
+    const key = user.name.toLowerCase();
+    const isFirstRow = !seen.has(key);
+    seen.add(key);
+
+    const number = Number(value || 0);
+    if (isNaN(number)) continue;
+
+    const entry = { name: user.name, value: number, sheetName: user.sheetName };
+
+    if (!byTab[user.sheetName]) byTab[user.sheetName] = [];
+    byTab[user.sheetName].push(entry);
+
+    if (isFirstRow) overall.push(entry);
+  }
+
+  if (!found) {
+    return { found: false };
+  }
+
+  const result = { found: true, leaderboard: rank(overall, limit) };
+
+  if (options.byTab) {
+    result.tabs = {};
+    for (const [sheetName, entries] of Object.entries(byTab)) {
+      result.tabs[sheetName] = rank(entries, limit);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getLeaderboard
+};
@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const auditLog = require('../audit/auditLog');
+const userService = require('./userService');
+const ruleService = require('./ruleService');
+const AppendOnlyStore = require('../storage/appendOnlyStore');
+const { sendToDiscord } = require('../utils/discord');
+const a1 = require('../utils/a1Notation');
+
+// Local archive of every closed period, including a snapshot of the values that were reset
+const closeStore = new AppendOnlyStore('periods.jsonl');
+let storeLoaded = false;
+
+// Periods currently being closed, keyed by `${department}|${period}`
+const closing = new Set();
+
+// How many times to re-read cells that change while they are being reset
+const RESET_RETRIES = Number(process.env.WRITE_CONFLICT_RETRIES || 3);
+
+/**
+ * Get the period close archive, loading it from disk on first use
+ * @returns {AppendOnlyStore} - The store
+ */
+function getStore() {
+  if (!storeLoaded) {
+    closeStore.load();
+    storeLoaded = true;
+  }
+  return closeStore;
+}
+
+/**
+ * Find a department's period by name (case-insensitive)
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} name - The period name, or empty to pick the department's only period
+ * @returns {Object|null} - The period settings, or null if there is no such period
+ */
+function findPeriod(departmentConfig, name) {
+  const { periods } = departmentConfig;
+  if (!name) return periods.length === 1 ? periods[0] : null;
+
+  const searchName = name.toLowerCase().trim();
+  return periods.find(period => period.name.toLowerCase() === searchName) || null;
+}
+
+/**
+ * Read every user's values for the period's columns and work out which cells to reset
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Array<string>} columns - The resolved column headers
+ * @returns {Promise<{snapshot: Array<Object>, resets: Array<Object>, foundColumns: Set<string>}>} - Users' values and the cells that aren't 0 yet
+ */
+async function readPeriodValues(departmentConfig, columns) {
+  const { spreadsheetId, nameColumn, layout } = departmentConfig;
+
+  // Resets address cells by row, so never work from cached values
+  const backend = backends.forDepartment(departmentConfig);
+  backend.invalidate(spreadsheetId);
+  const tables = await backend.readTables(spreadsheetId, layout);
+
+  const snapshot = [];
+  const resets = [];
+  const foundColumns = new Set();
+
+  for (const { sheetName, values, headerRow, dataStartRow } of tables) {
+    const headers = values[headerRow - 1] || [];
+    const nameColumnIndex = backend.findNameColumnIndex(headers, nameColumn);
+    if (nameColumnIndex === -1) continue;
+
+    const columnIndexes = columns
+      .map(column => ({
+        column,
+        index: headers.findIndex(header => header && header.toLowerCase().trim() === column.toLowerCase().trim())
+      }))
+      .filter(({ index }) => index !== -1);
+
+    if (columnIndexes.length === 0) continue;
+
+    for (let i = dataStartRow - 1; i < values.length; i++) {
+      const row = values[i] || [];
+      const name = row[nameColumnIndex];
+      if (!name || !name.trim()) continue;
+
+      const userValues = {};
+      for (const { column, index } of columnIndexes) {
+        foundColumns.add(column);
+
+        const value = index < row.length ? row[index] : '';
+        userValues[column] = value;
+
+        if (String(value).trim() !== '0') {
+          const number = Number(value || 0);
+          resets.push({
+            user: name.trim(),
+            field: column,
+            sheetName,
+            row: i + 1,
+            column: index + 1,
+            columnLetter: a1.columnLetter(index),
+            previousValue: isNaN(number) ? value : number,
+            original: value === undefined || value === null ? '' : String(value),
+            nameColumnNumber: nameColumnIndex + 1
+          });
+        }
+      }
+
+      snapshot.push({ name: name.trim(), sheetName, row: i + 1, values: userValues });
+    }
+  }
+
+  return { snapshot, resets, foundColumns };
+}
+
+/**
+ * Reset cells to 0, only while they still hold the value that was read and their row still holds the user.
+ * Cells that change in between (e.g. points awarded just as the period closes) are read again, and the
+ * snapshot is updated with their new values before they are reset.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Array<string>} columns - The resolved column headers
+ * @param {Array<Object>} snapshot - Users' values from readPeriodValues (updated in place)
+ * @param {Array<Object>} resets - The cells to reset, from readPeriodValues
+ * @returns {Promise<{reset: Array<Object>, conflicts: Array<Object>}>} - The cells that were reset (with the values
+ *   they held), and the ones that kept changing and were left alone
+ */
+async function resetCells(departmentConfig, columns, snapshot, resets) {
+  const backend = backends.forDepartment(departmentConfig);
+  const key = item => `${item.user.toLowerCase()}|${item.sheetName}|${item.field}`;
+
+  const reset = [];
+  let pending = resets;
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    const conflicts = await backend.writeCells(departmentConfig.spreadsheetId, pending.map(cell => ({
+      sheetName: cell.sheetName,
+      row: cell.row,
+      column: cell.column,
+      value: 0,
+      original: cell.original,
+      user: { column: cell.nameColumnNumber, name: cell.user }
+    })));
+
+    const changed = pending.filter(cell => conflicts.some(conflict => conflict.sheetName === cell.sheetName && conflict.row === cell.row && conflict.column === cell.column));
+    reset.push(...pending.filter(cell => !changed.includes(cell)));
+
+    if (changed.length === 0 || attempt > RESET_RETRIES) {
+      return { reset, conflicts: changed };
+    }
+
+    console.log(`${changed.length} cell(s) changed while period values were being reset, reading them again (attempt ${attempt + 1})`);
+
+    // Pick the changed users up wherever their rows are now, and archive the values they have now
+    const changedKeys = new Set(changed.map(key));
+    const fresh = await readPeriodValues(departmentConfig, columns);
+    pending = fresh.resets.filter(cell => changedKeys.has(key(cell)));
+
+    for (const user of fresh.snapshot) {
+      const entry = snapshot.find(item => item.name.toLowerCase() === user.name.toLowerCase() && item.sheetName === user.sheetName);
+      if (!entry) continue;
+
+      for (const column of Object.keys(user.values)) {
+        if (changedKeys.has(key({ user: user.name, sheetName: user.sheetName, field: column }))) {
+          entry.values[column] = user.values[column];
+          entry.row = user.row;
+        }
+      }
+    }
+  }
+
+  return { reset, conflicts: [] };
+}
+
+/**
+ * Append a closed period's values to its history tab, one row per user and tab.
+ * A header row is written first if the tab is empty (or doesn't exist yet, on backends that create it).
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} period - The period settings
+ * @param {Array<string>} columns - The resolved column headers that were found
+ * @param {Array<Object>} snapshot - Users' values from readPeriodValues
+ * @param {string} closedAt - ISO timestamp of the close
+ * @returns {Promise<void>}
+ * @throws {Error} - If the tab can't be read or written
+ */
+async function appendHistory(departmentConfig, period, columns, snapshot, closedAt) {
+  const { spreadsheetId } = departmentConfig;
+  const backend = backends.forDepartment(departmentConfig);
+
+  const rows = snapshot.map(user => [
+    closedAt,
+    period.name,
+    user.name,
+    user.sheetName,
+    ...columns.map(column => (user.values[column] === undefined ? '' : String(user.values[column])))
+  ]);
+
+  // A tab that can't be read doesn't exist yet, so appending either creates it or fails below
+  let empty;
+  try {
+    backend.invalidate(spreadsheetId);
+    const [{ values }] = await backend.readTabs(spreadsheetId, [period.historyTab]);
+    empty = values.every(row => (row || []).every(cell => String(cell === null || cell === undefined ? '' : cell).trim() === ''));
+  } catch (error) {
+    empty = true;
+  }
+
+  if (empty) {
+    rows.unshift(['Closed At', 'Period', 'User', 'Sheet', ...columns]);
+  }
+
+  // RAW so usernames and values are never interpreted as formulas
+  await backend.appendRows(spreadsheetId, period.historyTab, rows, 'RAW');
+}
+
+/**
+ * Summarise a period's results for each column (total and top user)
+ * @param {Array<Object>} snapshot - Users' values from readPeriodValues
+ * @param {Array<string>} columns - The resolved column headers
+ * @returns {Array<{column: string, total: number, top: Object|null}>} - One summary per column
+ */
+function summarize(snapshot, columns) {
+  return columns.map(column => {
+    let total = 0;
+    let top = null;
+
+    for (const user of snapshot) {
+      if (user.values[column] === undefined) continue;
+
+      const value = Number(user.values[column] || 0);
+      if (isNaN(value)) continue;
+
+      total += value;
+      if (!top || value > top.value) top = { name: user.name, value };
+    }
+
+    return { column, total, top };
+  });
+}
+
+/**
+ * Close a department's quota period: snapshot the period's columns, archive them and reset them to 0
+ * in every tab. The snapshot is archived locally before anything is reset, and again (and to the period's
+ * history tab, if it has one) with the values the cells actually held when they were reset. The resets are
+ * recorded in the audit trail under the close's ID before anything else can fail, so a close can be undone
+ * with POST /batches/:id/revert.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} periodName - The period to close (may be empty if the department has only one)
+ * @param {Object} options - Optional settings ({ dryRun, invoker, requestId, trigger })
+ * @returns {Promise<{status: string, message?: string, close?: Object}>} - 'closed', 'preview', 'not-found', 'invalid' or 'in-progress'
+ */
+async function closePeriod(departmentConfig, periodName, options = {}) {
+  const { code } = departmentConfig;
+  const invoker = options.invoker || 'Unknown';
+  const trigger = options.trigger || 'manual';
+
+  const period = findPeriod(departmentConfig, periodName);
+  if (!period) {
+    return {
+      status: 'not-found',
+      message: periodName
+        ? `Unknown period "${periodName}" for department ${code}`
+        : `Department ${code} has ${departmentConfig.periods.length} periods, so the period must be named`
+    };
+  }
+
+  const key = `${code}|${period.name}`;
+  if (closing.has(key)) {
+    return { status: 'in-progress', message: `Period ${period.name} of ${code} is already being closed` };
+  }
+
+  closing.add(key);
+  try {
+    const columns = period.columns.map(column => departmentRegistry.resolveField(code, column));
+    const { snapshot, resets, foundColumns } = await readPeriodValues(departmentConfig, columns);
+
+    if (foundColumns.size === 0) {
+      return { status: 'invalid', message: `None of the columns ${columns.join(', ')} were found in department ${code}` };
+    }
+
+    const close = {
+      id: crypto.randomUUID(),
+      department: code,
+      period: period.name,
+      trigger,
+      invoker,
+      requestId: options.requestId || null,
+      columns: columns.filter(column => foundColumns.has(column)),
+      users: snapshot.length,
+      resetCells: resets.length,
+      summary: summarize(snapshot, columns.filter(column => foundColumns.has(column)))
+    };
+
+    // Rows as they stand at the end of the period, for the department's period-close rules (already cached)
+    const users = await userService.readUsers(departmentConfig);
+
+    if (options.dryRun) {
+      const flagged = await ruleService.checkAtPeriodClose(departmentConfig, period.name, users, { dryRun: true });
+      const cells = resets.map(({ original, nameColumnNumber, ...reset }) => reset);
+      return { status: 'preview', close: { ...close, id: null, flagged, snapshot, resets: cells } };
+    }
+
+    // Archive the snapshot before touching the sheet, so a failed reset never loses the period's values
+    const closedAt = new Date().toISOString();
+    getStore().save({ ...close, status: 'closing', closedAt, snapshot });
+
+    let reset = [];
+    let conflicts = [];
+    if (resets.length > 0) {
+      console.log(`Resetting ${resets.length} cell(s) for period ${period.name} of ${code}`);
+      ({ reset, conflicts } = await resetCells(departmentConfig, close.columns, snapshot, resets));
+    }
+
+    close.resetCells = reset.length;
+    close.summary = summarize(snapshot, close.columns);
+    if (conflicts.length > 0) {
+      console.log(`${conflicts.length} cell(s) kept changing while period ${period.name} of ${code} was closed, so they weren't reset`);
+      close.conflicts = conflicts.map(({ user, field, sheetName, row }) => ({ user, field, sheetName, row }));
+    }
+
+    try {
+      await auditLog.record(reset.map(reset => ({
+        requestId: close.requestId,
+        batchId: close.id,
+        invoker,
+        department: code,
+        user: reset.user,
+        field: reset.field,
+        sheetName: reset.sheetName,
+        cell: `${reset.columnLetter}${reset.row}`,
+        previousValue: reset.previousValue,
+        newValue: 0,
+        operation: 'reset'
+      })));
+    } catch (error) {
+      console.error(`Failed to record audit entries for period close ${close.id}:`, error);
+    }
+
+    // The cells are already reset and archived locally, so a missing history tab mustn't fail the close
+    if (period.historyTab) {
+      try {
+        await appendHistory(departmentConfig, period, close.columns, snapshot, closedAt);
+      } catch (error) {
+        console.error(`Failed to append period close ${close.id} to history tab ${period.historyTab}:`, error.message);
+      }
+    }
+
+    let flagged = [];
+    try {
+      flagged = await ruleService.checkAtPeriodClose(departmentConfig, period.name, users, {
+        invoker,
+        requestId: close.requestId,
+        batchId: close.id
+      });
+    } catch (error) {
+      console.error(`Failed to check period-close rules for ${code}:`, error);
+    }
+
+    const closed = { ...close, status: 'closed', closedAt, flagged };
+    getStore().save({ ...closed, snapshot });
+    console.log(`Closed period ${period.name} of ${code} (${trigger}) as ${close.id}`);
+
+    await sendToDiscord(
+      'Quota Period Closed',
+      `The ${period.name} period has ended and its columns were reset to 0.`,
+      [
+        { name: 'Department', value: code, inline: true },
+        { name: 'Closed By', value: invoker, inline: true },
+        { name: 'Users', value: String(close.users), inline: true },
+        ...close.summary.map(({ column, total, top }) => ({
+          name: column,
+          value: `Total: ${total}${top ? `\nTop: ${top.name} (${top.value})` : ''}`,
+          inline: true
+        }))
+      ],
+      code
+    );
+
+    return { status: 'closed', close: closed };
+  } finally {
+    closing.delete(key);
+  }
+}
+
+/**
+ * Get the time a period was last closed by the scheduler
+ * @param {string} code - The department code
+ * @param {string} periodName - The period name
+ * @returns {string|null} - ISO timestamp of the last scheduled close, or null if there was none
+ */
+function lastScheduledClose(code, periodName) {
+  const closes = getStore().values()
+    .filter(close => close.department === code && close.period === periodName && close.trigger === 'schedule');
+
+  return closes.length > 0 ? closes[closes.length - 1].closedAt : null;
+}
+
+module.exports = {
+  closePeriod,
+  lastScheduledClose
+};
@@ -0,0 +1,430 @@
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const bureauRegistry = require('../bureaus');
+const auditLog = require('../audit/auditLog');
+const userService = require('./userService');
+const { sendToDiscord } = require('../utils/discord');
+
+// How many times to look a user's row up again when it moves before it can be deleted
+const DELETE_RETRIES = 3;
+
+/**
+ * Find a tab by name (case-insensitive)
+ * @param {Array<string>} sheetNames - The tabs to choose from
+ * @param {string} tab - The requested tab name
+ * @returns {string|null} - The tab's real name, or null if it isn't in the list
+ */
+function matchTab(sheetNames, tab) {
+  const searchTab = String(tab || '').toLowerCase().trim();
+  return sheetNames.find(sheetName => sheetName.toLowerCase().trim() === searchTab) || null;
+}
+
+/**
+ * Read a department's users straight from the spreadsheet.
+ * Roster changes address rows by number, so they must never work from cached values.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {Promise<{sheetNames: Array<string>, tables: Array<Object>, users: Array<Object>}>} - Every tab in the spreadsheet, the tables the department keeps users in and its users
+ */
+async function readRoster(departmentConfig) {
+  const backend = backends.forDepartment(departmentConfig);
+  backend.invalidate(departmentConfig.spreadsheetId);
+
+  const sheetNames = await backend.listTabs(departmentConfig.spreadsheetId);
+  const tables = await backend.listTables(departmentConfig.spreadsheetId, departmentConfig.layout);
+  const users = await userService.readUsers(departmentConfig);
+  return { sheetNames, tables, users };
+}
+
+/**
+ * Find the table a user can be added to by its tab name (case-insensitive)
+ * @param {Array<Object>} tables - The tables the department keeps users in
+ * @param {string} tab - The requested tab name
+ * @returns {Object|null} - The table, or null if the tab isn't one of the department's
+ */
+function matchTable(tables, tab) {
+  const sheetName = matchTab(tables.map(table => table.sheetName), tab);
+  return tables.find(table => table.sheetName === sheetName) || null;
+}
+
+/**
+ * Build a row for a tab from header-keyed values (headers match case-insensitively)
+ * @param {Array<string>} headers - The tab's header row
+ * @param {number} nameColumnIndex - The 0-indexed position of the name column
+ * @param {string} name - The username
+ * @param {Object} values - Cell values keyed by column header
+ * @returns {Array} - The row, one cell per header
+ */
+function buildRow(headers, nameColumnIndex, name, values) {
+  const row = headers.map(header => {
+    const value = header ? userService.getField(values, header) : undefined;
+    return value === undefined ? '' : value;
+  });
+
+  while (row.length <= nameColumnIndex) row.push('');
+  row[nameColumnIndex] = name;
+  return row;
+}
+
+/**
+ * Check values given for a new or moved user against the department's field rules
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} fields - The values keyed by column header or alias
+ * @returns {string|null} - Why a value isn't allowed, or null if they all are
+ */
+function checkFields(departmentConfig, fields) {
+  for (const [field, value] of Object.entries(fields)) {
+    const column = departmentRegistry.resolveField(departmentConfig.code, field);
+    const error = bureauRegistry.checkFieldValue(departmentConfig.bureau, column, value);
+    if (error) return error;
+  }
+
+  return null;
+}
+
+/**
+ * Turn a row value into what a RAW write should store: numeric text becomes a number, so the
+ * sheet can still add it up, and everything else is kept as plain text
+ * @param {*} value - The value
+ * @returns {number|string|boolean} - The value to write
+ */
+function toCellValue(value) {
+  if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Apply values given by column header or alias on top of existing header-keyed values
+ * @param {Object} values - The values to update (modified in place)
+ * @param {string} code - The department code (for resolving aliases)
+ * @param {Object} fields - The new values keyed by column header or alias
+ * @returns {Array<string>} - The resolved columns that were set
+ */
+function applyFields(values, code, fields) {
+  return Object.entries(fields).map(([field, value]) => {
+    const column = departmentRegistry.resolveField(code, field);
+    const existingKey = Object.keys(values).find(header => header.toLowerCase().trim() === column.toLowerCase().trim());
+    values[existingKey || column] = value;
+    return column;
+  });
+}
+
+/**
+ * Append a user's row to a table, mapping values onto the table's own columns.
+ * Values for columns the table doesn't have are dropped, unless they are listed in `requiredColumns`.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} table - The table to append to ({ sheetName, headerRow, startColumn, endColumn }, see GoogleSheetsApi.listTables)
+ * @param {string} name - The username
+ * @param {Object} values - Cell values keyed by column header
+ * @param {Array<string>} requiredColumns - Columns the table must have (e.g. ones the caller asked to set)
+ * @returns {Promise<{error?: string, row?: number, fields?: Object}>} - The new row, or an error if the table is missing a column
+ */
+async function appendUserRow(departmentConfig, table, name, values, requiredColumns = []) {
+  const { spreadsheetId, nameColumn } = departmentConfig;
+  const { sheetName } = table;
+
+  const backend = backends.forDepartment(departmentConfig);
+  const [{ values: tabValues }] = await backend.readTabs(spreadsheetId, [sheetName]);
+  const headers = backend.clipRow(tabValues[table.headerRow - 1] || [], table);
+  const nameColumnIndex = backend.findNameColumnIndex(headers, nameColumn);
+
+  if (nameColumnIndex === -1) {
+    return { error: `Tab "${sheetName}" has no ${nameColumn} column` };
+  }
+
+  const headerNames = headers.map(header => (header || '').toLowerCase().trim());
+  const missing = requiredColumns.filter(column => !headerNames.includes(column.toLowerCase().trim()));
+  if (missing.length > 0) {
+    return { error: `Tab "${sheetName}" has no column(s): ${missing.join(', ')}` };
+  }
+
+  // The row lines up with the tab's columns, but is written from the table's first column.
+  // RAW so the username and values are never interpreted as formulas
+  const row = buildRow(headers, nameColumnIndex, name, values);
+  const cells = row.slice(table.startColumn).map((value, index) =>
+    (index === nameColumnIndex - table.startColumn ? String(value) : toCellValue(value)));
+  const rowNumber = await backend.appendRows(spreadsheetId, sheetName, [cells], 'RAW', table);
+
+  return { row: rowNumber, fields: userService.rowToFields(headers, row) };
+}
+
+/**
+ * Find the row a user is in within one tab, straight from the spreadsheet
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} sheetName - The tab to look in
+ * @param {string} name - The username (case-insensitive)
+ * @returns {Promise<{row: number, column: number}|null>} - The 1-indexed row and username column, or null if the user isn't in the tab
+ */
+async function locateUserRow(departmentConfig, sheetName, name) {
+  const { spreadsheetId, nameColumn, layout } = departmentConfig;
+  const backend = backends.forDepartment(departmentConfig);
+  backend.invalidate(spreadsheetId);
+
+  const searchName = name.toLowerCase().trim();
+  const tables = await backend.readTables(spreadsheetId, layout);
+  for (const { values, headerRow, dataStartRow } of tables.filter(table => table.sheetName === sheetName)) {
+    const nameColumnIndex = backend.findNameColumnIndex(values[headerRow - 1] || [], nameColumn);
+    if (nameColumnIndex === -1) continue;
+
+    for (let i = dataStartRow - 1; i < values.length; i++) {
+      if (String((values[i] || [])[nameColumnIndex] || '').toLowerCase().trim() === searchName) {
+        return { row: i + 1, column: nameColumnIndex + 1 };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Delete a user's row from a tab. The row is only deleted while it still holds the user, and is
+ * looked up again if it has moved (e.g. a row above it was deleted in the meantime).
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} user - The user ({ name, sheetName })
+ * @returns {Promise<number|null>} - The row that was deleted, or null if the user is no longer in the tab
+ * @throws {Error} - If the row keeps moving, or the spreadsheet can't be read or written
+ */
+async function deleteUserRow(departmentConfig, user) {
+  const backend = backends.forDepartment(departmentConfig);
+
+  for (let attempt = 1; attempt <= DELETE_RETRIES; attempt++) {
+    const found = await locateUserRow(departmentConfig, user.sheetName, user.name);
+    if (!found) return null;
+
+    const expected = { column: found.column, name: user.name };
+    if (await backend.deleteRow(departmentConfig.spreadsheetId, user.sheetName, found.row, expected)) {
+      return found.row;
+    }
+  }
+
+  throw new Error(`The row of ${user.name} in tab ${user.sheetName} kept moving, so it wasn't deleted`);
+}
+
+/**
+ * Record a roster change in the audit trail and announce it on Discord
+ * @param {Object} change - The audit entry ({ operation, user, sheetName, row, ... })
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} invoker - The user who made the change
+ * @param {string} requestId - ID of the request that made the change
+ * @param {string} description - Text for the Discord message
+ */
+async function announce(change, departmentConfig, invoker, requestId, description) {
+  const { row, ...entry } = change;
+
+  try {
+    await auditLog.record([{
+      requestId,
+      invoker,
+      department: departmentConfig.code,
+      field: null,
+      cell: row ? `${row}:${row}` : null,
+      previousValue: null,
+      newValue: null,
+      ...entry
+    }]);
+  } catch (error) {
+    console.error(`Failed to record audit entry for ${entry.operation} of ${entry.user}:`, error);
+  }
+
+  await sendToDiscord(
+    'Roster Updated',
+    description,
+    [
+      { name: 'Changed By', value: invoker, inline: true },
+      { name: 'Department', value: departmentConfig.code, inline: true },
+      { name: 'User', value: entry.user, inline: true }
+    ],
+    departmentConfig.code
+  );
+}
+
+/**
+ * Add a user to one of a department's tabs.
+ * The department's `defaultValues` are filled in first, then any values given for the new user.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} name - The username to add
+ * @param {string} tab - The tab to add the user to
+ * @param {Object} fields - Optional starting values keyed by column header or alias
+ * @param {string} invoker - The user making the change
+ * @param {string} requestId - ID of the request (recorded in the audit trail)
+ * @returns {Promise<{status: string, message?: string, user?: Object}>} - 'added', 'exists' or 'invalid'
+ */
+async function addUser(departmentConfig, name, tab, fields = {}, invoker = 'Unknown', requestId = null) {
+  const { tables, users } = await readRoster(departmentConfig);
+
+  const table = matchTable(tables, tab);
+  if (!table) {
+    return { status: 'invalid', message: `"${tab}" is not one of the ${departmentConfig.code} roster tabs` };
+  }
+
+  const { sheetName } = table;
+
+  const searchName = name.toLowerCase().trim();
+  const existing = users.find(user => user.name.toLowerCase() === searchName);
+  if (existing) {
+    return { status: 'exists', message: `User "${existing.name}" is already in tab ${existing.sheetName}` };
+  }
+
+  const fieldError = checkFields(departmentConfig, fields);
+  if (fieldError) {
+    return { status: 'invalid', message: fieldError };
+  }
+
+  const values = { ...departmentConfig.defaultValues };
+  const columns = applyFields(values, departmentConfig.code, fields);
+
+  const added = await appendUserRow(departmentConfig, table, name, values, columns);
+  if (added.error) {
+    return { status: 'invalid', message: added.error };
+  }
+
+  console.log(`Added ${name} to ${departmentConfig.code} tab ${sheetName}`);
+  await announce(
+    { operation: 'add-user', user: name, sheetName, row: added.row },
+    departmentConfig, invoker, requestId,
+    `${name} was added to the roster in tab ${sheetName}.`
+  );
+
+  return { status: 'added', user: { name, sheetName, row: added.row, fields: added.fields } };
+}
+
+/**
+ * Move a user's row to another of the department's tabs, keeping its values.
+ * The row is copied before the original is deleted, so a failure can't lose it.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} name - The username to move
+ * @param {string} tab - The tab to move the user to
+ * @param {Object} fields - Optional values to change on the way, keyed by column header or alias
+ * @param {string} invoker - The user making the change
+ * @param {string} requestId - ID of the request (recorded in the audit trail)
+ * @returns {Promise<{status: string, message?: string, user?: Object}>} - 'moved', 'not-found' or 'invalid'
+ */
+async function moveUser(departmentConfig, name, tab, fields = {}, invoker = 'Unknown', requestId = null) {
+  const { tables, users } = await readRoster(departmentConfig);
+
+  const table = matchTable(tables, tab);
+  if (!table) {
+    return { status: 'invalid', message: `"${tab}" is not one of the ${departmentConfig.code} roster tabs` };
+  }
+
+  const { sheetName } = table;
+
+  const searchName = name.toLowerCase().trim();
+  const user = users.find(item => item.name.toLowerCase() === searchName);
+  if (!user) {
+    return { status: 'not-found', message: `User "${name}" not found in department ${departmentConfig.code}` };
+  }
+
+  if (user.sheetName === sheetName) {
+    return { status: 'invalid', message: `User "${user.name}" is already in tab ${sheetName}` };
+  }
+
+  const fieldError = checkFields(departmentConfig, fields);
+  if (fieldError) {
+    return { status: 'invalid', message: fieldError };
+  }
+
+  const values = { ...user.fields };
+  const columns = applyFields(values, departmentConfig.code, fields);
+
+  const moved = await appendUserRow(departmentConfig, table, user.name, values, columns);
+  if (moved.error) {
+    return { status: 'invalid', message: moved.error };
+  }
+
+  // The copy is kept even if another request removed the original in the meantime
+  const fromRow = await deleteUserRow(departmentConfig, user);
+  if (fromRow === null) {
+    console.log(`${user.name} had already left tab ${user.sheetName} of ${departmentConfig.code}, so only the copy was made`);
+  }
+
+  console.log(`Moved ${user.name} in ${departmentConfig.code} from tab ${user.sheetName} to ${sheetName}`);
+  await announce(
+    { operation: 'move-user', user: user.name, sheetName, row: moved.row, fromSheetName: user.sheetName, fromRow: fromRow || user.row },
+    departmentConfig, invoker, requestId,
+    `${user.name} was moved from tab ${user.sheetName} to ${sheetName}.`
+  );
+
+  return { status: 'moved', user: { name: user.name, sheetName, row: moved.row, fields: moved.fields } };
+}
+
+/**
+ * Remove a user from a department, optionally keeping their row in the department's archive tab
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} name - The username to remove
+ * @param {boolean} archive - True to copy the row to the archive tab before deleting it
+ * @param {string} invoker - The user making the change
+ * @param {string} requestId - ID of the request (recorded in the audit trail)
+ * @returns {Promise<{status: string, message?: string, user?: Object}>} - 'removed', 'archived', 'not-found' or 'invalid'
+ */
+async function removeUser(departmentConfig, name, archive = false, invoker = 'Unknown', requestId = null) {
+  let archiveTab = null;
+  const { sheetNames, users } = await readRoster(departmentConfig);
+
+  if (archive) {
+    archiveTab = matchTab(sheetNames, departmentConfig.archiveTab);
+    if (!archiveTab) {
+      return {
+        status: 'invalid',
+        message: departmentConfig.archiveTab
+          ? `Archive tab "${departmentConfig.archiveTab}" not found in the ${departmentConfig.code} spreadsheet`
+          : `Department ${departmentConfig.code} has no archiveTab configured`
+      };
+    }
+  }
+
+  const searchName = name.toLowerCase().trim();
+  const user = users.find(item => item.name.toLowerCase() === searchName);
+  if (!user) {
+    return { status: 'not-found', message: `User "${name}" not found in department ${departmentConfig.code}` };
+  }
+
+  let archived = null;
+  if (archiveTab) {
+    // The archive tab isn't searched for users, so it only follows the layout's header row
+    const archiveTable = { sheetName: archiveTab, headerRow: departmentConfig.layout.headerRow, startColumn: 0, endColumn: Infinity };
+    archived = await appendUserRow(departmentConfig, archiveTable, user.name, user.fields);
+    if (archived.error) {
+      return { status: 'invalid', message: archived.error };
+    }
+  }
+
+  const row = await deleteUserRow(departmentConfig, user);
+  if (row === null) {
+    return {
+      status: 'not-found',
+      message: `User "${user.name}" was removed from tab ${user.sheetName} by another request`
+        + (archiveTab ? ` (their row was still copied to ${archiveTab})` : '')
+    };
+  }
+
+  user.row = row;
+
+  if (archiveTab) {
+    console.log(`Archived ${user.name} in ${departmentConfig.code} from tab ${user.sheetName} to ${archiveTab}`);
+    await announce(
+      { operation: 'archive-user', user: user.name, sheetName: archiveTab, row: archived.row, fromSheetName: user.sheetName, fromRow: row, values: user.fields },
+      departmentConfig, invoker, requestId,
+      `${user.name} was removed from tab ${user.sheetName} and archived.`
+    );
+
+    return { status: 'archived', user: { name: user.name, sheetName: archiveTab, row: archived.row, fields: archived.fields } };
+  }
+
+  console.log(`Removed ${user.name} from ${departmentConfig.code} tab ${user.sheetName}`);
+  await announce(
+    { operation: 'remove-user', user: user.name, sheetName: user.sheetName, row: user.row, values: user.fields },
+    departmentConfig, invoker, requestId,
+    `${user.name} was removed from the roster (tab ${user.sheetName}).`
+  );
+
+  return { status: 'removed', user };
+}
+
+module.exports = {
+  addUser,
+  moveUser,
+  removeUser
+};
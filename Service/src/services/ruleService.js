@@ -0,0 +1,252 @@
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const auditLog = require('../audit/auditLog');
+const userService = require('./userService');
+const { sendToDiscord } = require('../utils/discord');
+
+// Discord embed fields are limited to 1024 characters
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Check a single rule condition against a user's row
+ * @param {Object} condition - The condition ({ field, op, value })
+ * @param {Object} fields - The user's header-keyed values
+ * @param {string} code - The department code (for resolving aliases)
+ * @returns {boolean} - True if the condition holds
+ */
+function checkCondition(condition, fields, code) {
+  const cell = userService.getField(fields, departmentRegistry.resolveField(code, condition.field));
+  if (cell === undefined) return false; // The user's tab doesn't have the column
+
+  if (typeof condition.value === 'string') {
+    const equal = String(cell).toLowerCase().trim() === condition.value.toLowerCase().trim();
+    return condition.op === '==' ? equal : !equal;
+  }
+
+  // Blank cells count as 0, like they do for increments
+  const number = Number(cell || 0);
+  if (isNaN(number)) return false;
+
+  switch (condition.op) {
+    case '>=': return number >= condition.value;
+    case '>': return number > condition.value;
+    case '<=': return number <= condition.value;
+    case '<': return number < condition.value;
+    case '==': return number === condition.value;
+    default: return number !== condition.value;
+  }
+}
+
+/**
+ * Check whether a user's row matches a rule
+ * @param {Object} rule - The rule from the department config
+ * @param {{sheetName: string, fields: Object}} user - The user's record
+ * @param {string} code - The department code
+ * @returns {boolean} - True if the rule applies to the user's tab and its conditions hold
+ */
+function matchesRule(rule, user, code) {
+  if (rule.tabs.length > 0 &&
+      !rule.tabs.some(tab => tab.toLowerCase().trim() === user.sheetName.toLowerCase().trim())) {
+    return false;
+  }
+
+  const check = condition => checkCondition(condition, user.fields, code);
+  return rule.match === 'any' ? rule.conditions.some(check) : rule.conditions.every(check);
+}
+
+/**
+ * Find every user that currently matches each of a department's rules
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} ruleName - Optional rule to check (case-insensitive); all rules if empty
+ * @returns {Promise<Array<Object>|null>} - Each rule with its matching users, or null if the named rule doesn't exist
+ */
+async function getEligibility(departmentConfig, ruleName = '') {
+  const rules = ruleName
+    ? departmentConfig.rules.filter(rule => rule.name.toLowerCase() === ruleName.toLowerCase().trim())
+    : departmentConfig.rules;
+
+  if (ruleName && rules.length === 0) return null;
+
+  const users = await userService.readUsers(departmentConfig);
+
+  return rules.map(rule => {
+    const matches = users
+      .filter(user => matchesRule(rule, user, departmentConfig.code))
+      .map(({ name, sheetName, row }) => ({ name, sheetName, row }));
+
+    return {
+      name: rule.name,
+      description: rule.description,
+      on: rule.on,
+      total: matches.length,
+      users: matches
+    };
+  });
+}
+
+/**
+ * Act on the users a rule fired for: write the rule's status column (if it has one)
+ * and announce them on Discord
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} rule - The rule that fired
+ * @param {Array<{name: string, sheetName: string}>} users - The users it fired for
+ * @param {Object} context - Details of what triggered the rule ({ invoker, requestId, batchId, reason })
+ * @returns {Promise<void>}
+ */
+async function applyRule(departmentConfig, rule, users, context = {}) {
+  const { code, spreadsheetId, nameColumn, layout } = departmentConfig;
+  console.log(`Rule ${rule.name} of ${code} fired for ${users.length} user(s)`);
+
+  if (rule.statusColumn) {
+    const statusColumn = departmentRegistry.resolveField(code, rule.statusColumn);
+    const results = await backends.forDepartment(departmentConfig).applyChanges(
+      spreadsheetId,
+      users.map(user => ({
+        name: user.name,
+        columnName: statusColumn,
+        op: 'set',
+        value: rule.statusValue,
+        type: 'text',
+        sheetName: user.sheetName
+      })),
+      nameColumn,
+      layout,
+      { duplicates: departmentConfig.duplicates }
+    );
+
+    const auditChanges = [];
+    results.forEach((result, index) => {
+      if (!result.success) {
+        console.error(`Failed to write ${statusColumn} for ${users[index].name} (rule ${rule.name}): ${result.message}`);
+        return;
+      }
+
+      auditChanges.push({
+        requestId: context.requestId || null,
+        batchId: context.batchId || null,
+        invoker: context.invoker || 'Unknown',
+        department: code,
+        user: users[index].name,
+        field: statusColumn,
+        sheetName: result.sheetName,
+        cell: `${result.columnLetter}${result.row}`,
+        previousValue: result.previousValue,
+        newValue: result.newValue,
+        operation: 'set',
+        rule: rule.name
+      });
+    });
+
+    try {
+      await auditLog.record(auditChanges);
+    } catch (error) {
+      console.error(`Failed to record audit entries for rule ${rule.name}:`, error);
+    }
+  }
+
+  let names = users.map(user => user.name).join(', ');
+  if (names.length > MAX_FIELD_LENGTH) {
+    names = `${names.slice(0, MAX_FIELD_LENGTH - 1)}…`;
+  }
+
+  await sendToDiscord(
+    'Rule Triggered',
+    `${rule.description}${context.reason ? ` (${context.reason})` : ''}`,
+    [
+      { name: 'Department', value: code, inline: true },
+      { name: 'Rule', value: rule.name, inline: true },
+      { name: 'Users', value: names, inline: false }
+    ],
+    code
+  );
+}
+
+/**
+ * Check a department's update rules after a batch of updates.
+ * A rule only fires for users whose row didn't match it before the batch but does now,
+ * so users aren't announced again every time they gain more points.
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Array<Object>} changes - The batch's successful changes ({ user, field, sheetName, previousValue })
+ * @param {Object} context - Details of the batch ({ invoker, requestId, batchId })
+ * @returns {Promise<Array<{rule: string, users: Array<string>}>>} - The rules that fired and who for
+ */
+async function checkAfterUpdate(departmentConfig, changes, context = {}) {
+  const rules = departmentConfig.rules.filter(rule => rule.on === 'update');
+  if (rules.length === 0 || changes.length === 0) return [];
+
+  // Work out each changed row's values before the batch (the earliest previous value of each cell)
+  const rowsBefore = new Map();
+  for (const change of changes) {
+    const key = `${change.sheetName}|${change.user.toLowerCase()}`;
+    if (!rowsBefore.has(key)) rowsBefore.set(key, {});
+
+    const previous = rowsBefore.get(key);
+    if (!(change.field in previous)) previous[change.field] = change.previousValue;
+  }
+
+  const users = await userService.readUsers(departmentConfig);
+  const fired = [];
+
+  for (const rule of rules) {
+    const crossed = [];
+
+    for (const user of users) {
+      const previous = rowsBefore.get(`${user.sheetName}|${user.name.toLowerCase()}`);
+      if (!previous) continue;
+
+      // Put the old values back over the current row, matching the headers case-insensitively
+      const fieldsBefore = { ...user.fields };
+      for (const [field, value] of Object.entries(previous)) {
+        const key = Object.keys(fieldsBefore).find(header => header.toLowerCase() === field.toLowerCase().trim());
+        fieldsBefore[key || field] = value === null || value === undefined ? '' : String(value);
+      }
+
+      const wasMatching = matchesRule(rule, { ...user, fields: fieldsBefore }, departmentConfig.code);
+      if (!wasMatching && matchesRule(rule, user, departmentConfig.code)) {
+        crossed.push(user);
+      }
+    }
+
+    if (crossed.length > 0) {
+      await applyRule(departmentConfig, rule, crossed, context);
+      fired.push({ rule: rule.name, users: crossed.map(user => user.name) });
+    }
+  }
+
+  return fired;
+}
+
+/**
+ * Check a department's period-close rules against users' values at the end of a period
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} periodName - The period being closed
+ * @param {Array<Object>} users - Every user's record, read before the period's columns are reset
+ * @param {Object} context - Details of the close ({ invoker, requestId, batchId, dryRun })
+ * @returns {Promise<Array<{rule: string, users: Array<string>}>>} - The rules that matched and who for
+ */
+async function checkAtPeriodClose(departmentConfig, periodName, users, context = {}) {
+  const rules = departmentConfig.rules.filter(rule =>
+    rule.on === 'period-close' && (!rule.period || rule.period.toLowerCase() === periodName.toLowerCase())
+  );
+
+  const fired = [];
+
+  for (const rule of rules) {
+    const matching = users.filter(user => matchesRule(rule, user, departmentConfig.code));
+    if (matching.length === 0) continue;
+
+    if (!context.dryRun) {
+      await applyRule(departmentConfig, rule, matching, { ...context, reason: `end of the ${periodName} period` });
+    }
+
+    fired.push({ rule: rule.name, users: matching.map(user => user.name) });
+  }
+
+  return fired;
+}
+
+module.exports = {
+  getEligibility,
+  checkAfterUpdate,
+  checkAtPeriodClose
+};
@@ -0,0 +1,438 @@
+const backends = require('../api');
+const departmentRegistry = require('../config/departmentRegistry');
+const invokerRegistry = require('../config/invokerRegistry');
+const bureauRegistry = require('../bureaus');
+const auditLog = require('../audit/auditLog');
+const ruleService = require('./ruleService');
+const { sendToDiscord } = require('../utils/discord');
+
+// Discord embed fields are limited to 1024 characters
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Validate a single payload and run its bureau's beforeUpdate hook
+ * @param {Object} update - The payload from the request body
+ * @param {string} invoker - The user who initiated the update
+ * @param {Object|null} permissions - The invoker's roster entry, or null if permissions aren't enforced
+ * @param {boolean} dryRun - True if the update is only being previewed (passed on to the hook)
+ * @returns {Promise<{result?: Object, planned?: Object}>} - A failure result, or the planned update
+ */
+async function planUpdate(update, invoker, permissions, dryRun = false) {
+  // Validate required fields
+  if (!update.name || !update.department || !update.field) {
+    return {
+      result: {
+        success: false,
+        name: update.name || 'unknown',
+        department: update.department || 'unknown',
+        field: update.field || 'unknown',
+        message: 'Missing required fields (name, department, or field)'
+      }
+    };
+  }
+
+  // Get the config for the department
+  const departmentConfig = departmentRegistry.get(update.department);
+  if (!departmentConfig) {
+    return {
+      result: {
+        success: false,
+        name: update.name,
+        department: update.department,
+        field: update.field,
+        message: `Unknown department: ${update.department}`
+      }
+    };
+  }
+
+  // Default to incrementing, by `increment` (or `value`) or 1 if neither is given
+  const op = update.op || 'increment';
+  let value = update.value;
+  if (value === undefined && (op === 'increment' || op === 'decrement')) {
+    value = update.increment !== undefined ? update.increment : 1;
+  }
+
+  // Get the mapped field name or use the original
+  const mappedFieldName = departmentRegistry.resolveField(update.department, update.field);
+  const bureau = departmentConfig.bureau;
+
+  const fail = message => ({
+    result: {
+      success: false,
+      name: update.name,
+      department: update.department,
+      field: mappedFieldName,
+      message
+    }
+  });
+
+  const forbid = message => ({ result: { ...fail(message).result, forbidden: true } });
+
+  // Only allow fields on the department's allow list (if it has one)
+  if (!departmentRegistry.isFieldAllowed(update.department, mappedFieldName)) {
+    return fail(`Field "${mappedFieldName}" is not allowed for department ${update.department}`);
+  }
+
+  // Only allow departments and fields the invoker has been given
+  const permissionError = permissions && invokerRegistry.checkField(permissions, update.department, mappedFieldName);
+  if (permissionError) {
+    return forbid(`${invoker}: ${permissionError}`);
+  }
+
+  if (!bureauRegistry.OPERATIONS.includes(op)) {
+    return fail(`Unknown operation "${op}" (expected one of: ${bureauRegistry.OPERATIONS.join(', ')})`);
+  }
+
+  if (op !== 'clear' && value === undefined) {
+    return fail(`Operation "${op}" needs a value`);
+  }
+
+  // Check the bureau's per-field rules (e.g. column type, maximum increment)
+  const ruleError = bureauRegistry.checkFieldRules(bureau, mappedFieldName, op, value);
+  if (ruleError) {
+    return fail(ruleError);
+  }
+
+  // Let the bureau veto or adjust the update before anything is written.
+  // `increment` is the signed amount for increment/decrement, so hooks written for increments keep working.
+  const hookContext = {
+    name: update.name,
+    department: update.department,
+    field: mappedFieldName,
+    op: op,
+    value: value,
+    increment: signedIncrement(op, value),
+    invoker: invoker,
+    ...(dryRun && { dryRun })
+  };
+
+  if (bureau.beforeUpdate) {
+    try {
+      const adjusted = await bureau.beforeUpdate(hookContext);
+      if (adjusted && adjusted.value !== undefined) {
+        value = adjusted.value;
+      } else if (adjusted && adjusted.increment !== undefined && hookContext.increment !== undefined) {
+        value = op === 'decrement' ? -adjusted.increment : adjusted.increment;
+      }
+      hookContext.value = value;
+      hookContext.increment = signedIncrement(op, value);
+    } catch (error) {
+      return fail(error.message);
+    }
+  }
+
+  // Check the invoker's maximum increment against the final amount (after the hook's adjustments)
+  if (permissions && permissions.maxIncrement !== null && hookContext.increment !== undefined &&
+      Math.abs(hookContext.increment) > permissions.maxIncrement) {
+    return forbid(`${invoker}: Not allowed to change a value by more than ${permissions.maxIncrement} at a time`);
+  }
+
+  const rules = bureauRegistry.getFieldRules(bureau, mappedFieldName);
+
+  return {
+    planned: {
+      update,
+      departmentConfig,
+      field: mappedFieldName,
+      op,
+      value,
+      rules,
+      hookContext
+    }
+  };
+}
+
+/**
+ * Get the signed amount an increment or decrement changes a cell by
+ * @param {string} op - The operation
+ * @param {number} value - The operation's value
+ * @returns {number|undefined} - The amount (negative for decrements), or undefined for other operations
+ */
+function signedIncrement(op, value) {
+  if (op === 'increment') return value;
+  if (op === 'decrement') return -value;
+  return undefined;
+}
+
+/**
+ * Combine a planned update with the spreadsheet's result for it
+ * @param {Object} planned - The planned update from planUpdate
+ * @param {Object} updateResult - The result from findAndUpdateColumnValuesAcrossSheets
+ * @returns {Object} - The result returned to the client
+ */
+function describeResult(planned, updateResult) {
+  return {
+    ...updateResult,
+    name: planned.update.name,
+    department: planned.departmentConfig.code,
+    field: planned.field,
+    op: planned.op,
+    ...(planned.op !== 'clear' && { value: planned.value }),
+    ...(planned.hookContext.increment !== undefined && { increment: planned.hookContext.increment })
+  };
+}
+
+/**
+ * Check a batch against the invoker roster before anything is planned
+ * @param {Array<Object>} payloads - Update objects from the request body
+ * @param {string} invoker - The user who initiated the update
+ * @param {string|number} invokerId - The invoker's Roblox UserId (optional)
+ * @returns {{permissions: Object|null, error?: string}} - The invoker's permissions, or why the whole batch is forbidden
+ */
+function checkInvoker(payloads, invoker, invokerId) {
+  if (!invokerRegistry.isEnforced()) return { permissions: null };
+
+  const permissions = invokerRegistry.find(invoker, invokerId);
+  if (!permissions) {
+    return { permissions: null, error: `${invoker} is not allowed to update spreadsheets` };
+  }
+
+  const targets = new Set(payloads.map(update => String((update && update.name) || '').toLowerCase().trim()));
+  if (permissions.maxTargets !== null && targets.size > permissions.maxTargets) {
+    return {
+      permissions,
+      error: `${invoker} may update at most ${permissions.maxTargets} user(s) at a time, but this batch has ${targets.size}`
+    };
+  }
+
+  return { permissions };
+}
+
+/**
+ * Send forbidden updates to each department's Discord webhook
+ * @param {Array<Object>} results - The forbidden results
+ * @param {string} invoker - The user who initiated the update
+ * @returns {Promise<void>}
+ */
+async function notifyDenied(results, invoker) {
+  const byDepartment = new Map();
+  for (const result of results) {
+    if (!byDepartment.has(result.department)) byDepartment.set(result.department, []);
+    byDepartment.get(result.department).push(result);
+  }
+
+  for (const [department, denied] of byDepartment) {
+    let reasons = [...new Set(denied.map(result => result.message))].join('\n');
+    if (reasons.length > MAX_FIELD_LENGTH) {
+      reasons = `${reasons.slice(0, MAX_FIELD_LENGTH - 1)}…`;
+    }
+
+    console.log(`Denied ${denied.length} update(s) by ${invoker} in department ${department}`);
+
+    await sendToDiscord(
+      'Update Denied',
+      `${invoker} tried to make updates they aren't allowed to.`,
+      [
+        { name: 'Command Issuer', value: invoker, inline: true },
+        { name: 'Department', value: department, inline: true },
+        { name: 'Denied Updates', value: String(denied.length), inline: true },
+        { name: 'Reasons', value: reasons, inline: false }
+      ],
+      department
+    );
+  }
+}
+
+/**
+ * Apply a list of field updates.
+ * Payloads are grouped by department so each spreadsheet is read once and written once.
+ * When the invoker roster is in use, updates the invoker isn't allowed to make get `forbidden` results
+ * (and are reported to the department's webhook) before anything is written.
+ * With `dryRun`, every check and lookup still runs but nothing is written, recorded or announced,
+ * and each successful result gets the `cell` it would change.
+ * @param {Array<Object>} payloads - Update objects ({ name, userId, department, field, op, value, increment })
+ * @param {string} invoker - The user who initiated the update
+ * @param {Object} context - Optional request details ({ requestId, batchId, invokerId, dryRun }); the IDs are recorded in the audit trail
+ * @returns {Promise<Array<Object>>} - One result per payload, in the same order
+ */
+async function processUpdates(payloads, invoker, context = {}) {
+  const results = new Array(payloads.length);
+  const groups = new Map();
+  const { permissions, error: invokerError } = checkInvoker(payloads, invoker, context.invokerId);
+
+  // Validate every payload first, grouping the valid ones by department
+  for (let i = 0; i < payloads.length; i++) {
+    if (invokerError) {
+      results[i] = {
+        success: false,
+        forbidden: true,
+        name: payloads[i].name || 'unknown',
+        department: payloads[i].department || 'unknown',
+        field: departmentRegistry.resolveField(payloads[i].department, payloads[i].field) || 'unknown',
+        message: invokerError
+      };
+      continue;
+    }
+
+    const { result, planned } = await planUpdate(payloads[i], invoker, permissions, context.dryRun);
+
+    if (result) {
+      results[i] = result;
+      continue;
+    }
+
+    const department = planned.departmentConfig.code;
+    if (!groups.has(department)) groups.set(department, []);
+    groups.get(department).push({ ...planned, index: i });
+  }
+
+  const denied = results.filter(result => result && result.forbidden);
+  if (denied.length > 0 && !context.dryRun) {
+    try {
+      await notifyDenied(denied, invoker);
+    } catch (error) {
+      console.error('Failed to report denied updates:', error);
+    }
+  }
+
+  // Apply each department's updates as one batch against its spreadsheet
+  for (const [department, group] of groups) {
+    const { spreadsheetId, nameColumn, userIdColumn, layout, duplicates, bureau } = group[0].departmentConfig;
+
+    const batchResults = await backends.forDepartment(group[0].departmentConfig).applyChanges(
+      spreadsheetId,
+      group.map(planned => ({
+        name: planned.update.name,
+        userId: planned.update.userId,
+        columnName: planned.field,
+        op: planned.op,
+        value: planned.value,
+        type: planned.rules.type,
+        minValue: planned.rules.minValue,
+        maxValue: planned.rules.maxValue
+      })),
+      nameColumn,
+      layout,
+      { dryRun: context.dryRun, duplicates, userIdColumn }
+    );
+
+    // Previews stop here, before anything is recorded or announced
+    if (context.dryRun) {
+      group.forEach((planned, j) => {
+        results[planned.index] = {
+          ...describeResult(planned, batchResults[j]),
+          ...(batchResults[j].success && { cell: `${batchResults[j].columnLetter}${batchResults[j].row}` })
+        };
+      });
+      continue;
+    }
+
+    const auditChanges = [];
+
+    for (let j = 0; j < group.length; j++) {
+      const planned = group[j];
+      const updateResult = batchResults[j];
+
+      // With the "all" duplicate policy one update can change several rows, each recorded on its own
+      if (updateResult.success) {
+        for (const match of updateResult.matches || [updateResult]) {
+          auditChanges.push({
+            requestId: context.requestId || null,
+            batchId: context.batchId || null,
+            invoker: invoker,
+            department: department,
+            user: planned.update.name,
+            field: planned.field,
+            sheetName: match.sheetName,
+            cell: `${match.columnLetter}${match.row}`,
+            previousValue: match.previousValue,
+            newValue: match.newValue,
+            operation: planned.op
+          });
+        }
+
+        // Username changes and newly linked UserIds are recorded too
+        for (const change of updateResult.identityChanges || []) {
+          auditChanges.push({
+            requestId: context.requestId || null,
+            batchId: context.batchId || null,
+            invoker: invoker,
+            department: department,
+            user: planned.update.name,
+            field: change.field,
+            sheetName: change.sheetName,
+            cell: `${change.columnLetter}${change.row}`,
+            previousValue: change.previousValue,
+            newValue: change.newValue,
+            operation: change.operation
+          });
+        }
+
+        if (updateResult.renamedFrom) {
+          console.log(`User ${updateResult.renamedFrom} in department ${department} is now ${planned.update.name} (UserId ${planned.update.userId})`);
+        }
+      }
+
+      // Add the result to the results array
+      results[planned.index] = describeResult(planned, updateResult);
+
+      if (bureau.afterUpdate) {
+        try {
+          await bureau.afterUpdate(planned.hookContext, updateResult);
+        } catch (error) {
+          console.error(`afterUpdate hook for ${department} failed:`, error.message);
+        }
+      }
+
+      let logMessage = '';
+      if (updateResult.success) {
+        logMessage = `Successfully applied ${planned.op} to ${planned.field} for user ${planned.update.name} in department ${department}, sheet ${updateResult.sheetName}`;
+      } else {
+        logMessage = `Failed to apply ${planned.op} to ${planned.field} for user ${planned.update.name} in department ${department}: ${updateResult.message}`;
+      }
+      console.log(logMessage);
+    }
+
+    // Record every cell change in the audit trail (never fails the update itself)
+    try {
+      await auditLog.record(auditChanges);
+    } catch (error) {
+      console.error(`Failed to record audit entries for ${department}:`, error);
+    }
+
+    // Announce users who now meet one of the department's rules (never fails the update itself)
+    try {
+      await ruleService.checkAfterUpdate(group[0].departmentConfig, auditChanges, {
+        invoker,
+        requestId: context.requestId || null,
+        batchId: context.batchId || null
+      });
+    } catch (error) {
+      console.error(`Failed to check rules for ${department}:`, error);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Tell the department's Discord webhook when none of a batch's updates were recorded.
+ * Batches with any success aren't reported here; the "Activity Command Used" message already covers them.
+ * @param {Array<Object>} results - The results from processUpdates
+ * @param {string} invoker - The user who initiated the update
+ * @param {string} departmentName - The department to notify
+ * @returns {Promise<void>}
+ */
+async function notifyResults(results, invoker, departmentName) {
+  if (results.some(result => result.success)) return;
+
+  const errorMessages = results
+    .map(result => `${result.name}: ${result.message}`)
+    .join('\n');
+
+  await sendToDiscord(
+    'Activity Command Failed',
+    `Failed to record activity in the spreadsheet.`,
+    [
+      { name: 'Command Issuer', value: invoker, inline: true },
+      { name: 'Department', value: departmentName, inline: true },
+      { name: 'Errors', value: errorMessages || 'Unknown error', inline: false }
+    ],
+    departmentName
+  );
+}
+
+module.exports = {
+  processUpdates,
+  notifyResults
+};
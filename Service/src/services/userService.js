@@ -0,0 +1,154 @@
+const backends = require('../api');
+
+/**
+ * Turn a sheet row into an object keyed by the tab's headers
+ * @param {Array<string>} headers - The header row
+ * @param {Array<string>} row - The data row
+ * @returns {Object} - Cell values keyed by header (columns without a header are skipped)
+ */
+function rowToFields(headers, row) {
+  const fields = {};
+
+  headers.forEach((header, index) => {
+    if (!header || !header.trim()) return;
+    fields[header.trim()] = index < row.length ? row[index] : '';
+  });
+
+  return fields;
+}
+
+/**
+ * Read every user row of a department, across all tabs (or named ranges) its layout allows
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {Promise<Array<{name: string, sheetName: string, row: number, fields: Object}>>} - User records in tab and row order
+ * @throws {Error} - If the spreadsheet can't be read
+ */
+async function readUsers(departmentConfig) {
+  const { spreadsheetId, nameColumn, layout } = departmentConfig;
+
+  const backend = backends.forDepartment(departmentConfig);
+  const tables = await backend.readTables(spreadsheetId, layout);
+
+  const users = [];
+  for (const { sheetName, values, headerRow, dataStartRow } of tables) {
+    const headers = values[headerRow - 1] || [];
+    const nameColumnIndex = backend.findNameColumnIndex(headers, nameColumn);
+    if (nameColumnIndex === -1) continue;
+
+    for (let i = dataStartRow - 1; i < values.length; i++) {
+      const row = values[i] || [];
+      const name = row[nameColumnIndex];
+      if (!name || !name.trim()) continue;
+
+      users.push({
+        name: name.trim(),
+        sheetName,
+        row: i + 1, // 1-indexed row number as used in Sheets
+        fields: rowToFields(headers, row)
+      });
+    }
+  }
+
+  return users;
+}
+
+/**
+ * Find a single user's record
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {string} name - The username to look up (case-insensitive)
+ * @returns {Promise<Object|null>} - The first matching record (in tab order), or null if not found
+ */
+async function findUser(departmentConfig, name) {
+  const { spreadsheetId, nameColumn, layout } = departmentConfig;
+  const backend = backends.forDepartment(departmentConfig);
+
+  const user = await backend.findUser(spreadsheetId, name, nameColumn, layout);
+  if (!user) return null;
+
+  const nameColumnIndex = backend.findNameColumnIndex(user.headers, nameColumn);
+  return {
+    name: user.rowData[nameColumnIndex].trim(),
+    sheetName: user.sheetName,
+    row: user.row,
+    fields: rowToFields(user.headers, user.rowData)
+  };
+}
+
+/**
+ * Get the value of a column from a record, matching the header case-insensitively
+ * @param {Object} fields - The record's header-keyed values
+ * @param {string} column - The column header
+ * @returns {string|undefined} - The cell value, or undefined if the record has no such column
+ */
+function getField(fields, column) {
+  const searchColumn = column.toLowerCase().trim();
+  const key = Object.keys(fields).find(header => header.toLowerCase() === searchColumn);
+  return key === undefined ? undefined : fields[key];
+}
+
+/**
+ * List a department's users with optional filters and paging
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @param {Object} filters - Optional filters ({ tab, blank, notBlank }) - blank/notBlank are resolved column headers
+ * @param {number} limit - Maximum number of users to return
+ * @param {number} offset - Number of matching users to skip
+ * @returns {Promise<{total: number, users: Array<Object>}>} - Matching users and the total number of matches
+ */
+async function listUsers(departmentConfig, filters = {}, limit = 50, offset = 0) {
+  const tab = filters.tab ? filters.tab.toLowerCase().trim() : null;
+  const isBlank = value => value === undefined || String(value).trim() === '';
+
+  const users = (await readUsers(departmentConfig)).filter(user => {
+    if (tab && user.sheetName.toLowerCase().trim() !== tab) return false;
+
+    // A tab without the column can't tell us anything, so it never matches a column filter
+    if (filters.blank) {
+      const value = getField(user.fields, filters.blank);
+      if (value === undefined || !isBlank(value)) return false;
+    }
+
+    if (filters.notBlank) {
+      const value = getField(user.fields, filters.notBlank);
+      if (isBlank(value)) return false;
+    }
+
+    return true;
+  });
+
+  return {
+    total: users.length,
+    users: users.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Find usernames that appear in more than one row of a department (in one tab or across tabs)
+ * @param {Object} departmentConfig - The department settings from the registry
+ * @returns {Promise<Array<{name: string, count: number, locations: Array<{sheetName: string, row: number}>}>>} - Each duplicated username with every row it's in, in tab and row order
+ */
+async function findDuplicates(departmentConfig) {
+  const usersByName = new Map();
+
+  for (const user of await readUsers(departmentConfig)) {
+    const key = user.name.toLowerCase();
+    if (!usersByName.has(key)) usersByName.set(key, []);
+    usersByName.get(key).push(user);
+  }
+
+  return Array.from(usersByName.values())
+    .filter(users => users.length > 1)
+    .map(users => ({
+      name: users[0].name,
+      count: users.length,
+      locations: users.map(user => ({ sheetName: user.sheetName, row: user.row }))
+    }));
+}
+
+module.exports = {
+  rowToFields,
+  readUsers,
+  findUser,
+  listUsers,
+  findDuplicates,
+  getField
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Folder for the service's local data files (relative to the Service folder by default)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+/**
+ * A small persistent key/value store backed by an append-only JSON lines file.
+ * Every save appends the full record; on load the last line for each ID wins.
+ * compact() rewrites the file with only the current records.
+ */
+class AppendOnlyStore {
+  /**
+   * @param {string} fileName - Name of the file inside the data folder (e.g. 'jobs.jsonl')
+   * @param {string} idField - Record property holding the record's ID (default: 'id')
+   */
+  constructor(fileName, idField = 'id') {
+    this.filePath = path.join(DATA_DIR, fileName);
+    this.idField = idField;
+    this.records = new Map();
+    this.loaded = false;
+  }
+
+  /**
+   * Load all records from disk (a missing file is treated as empty)
+   * @returns {boolean} - Success status
+   */
+  load() {
+    this.records = new Map();
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+
+        try {
+          const record = JSON.parse(line);
+          this.records.set(record[this.idField], record);
+        } catch (error) {
+          // A crash mid-write can leave a partial last line; skip it
+          console.warn(`Skipping unreadable line in ${this.filePath}`);
+        }
+      }
+    }
+
+    this.loaded = true;
+    return true;
+  }
+
+  /**
+   * Save a record, appending it to the file
+   * @param {Object} record - The record to save (must have the ID field set)
+   * @returns {Object} - The saved record
+   */
+  save(record) {
+    if (!this.loaded) this.load();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+
+    this.records.set(record[this.idField], record);
+    return record;
+  }
+
+  /**
+   * Get a record by ID
+   * @param {string} id - The record ID
+   * @returns {Object|null} - The record or null if not found
+   */
+  get(id) {
+    if (!this.loaded) this.load();
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Get all records, in the order they were first saved
+   * @returns {Array<Object>} - All records
+   */
+  values() {
+    if (!this.loaded) this.load();
+    return Array.from(this.records.values());
+  }
+
+  /**
+   * Rewrite the file with only the current records, dropping the ones `keep` rejects
+   * @param {function(Object): boolean} keep - Optional filter for records to keep (default: keep all)
+   * @returns {number} - Number of records kept
+   */
+  compact(keep = () => true) {
+    if (!this.loaded) this.load();
+
+    for (const [id, record] of this.records) {
+      if (!keep(record)) this.records.delete(id);
+    }
+
+    // Write to a temporary file first so a crash can't lose the existing data
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = Array.from(this.records.values()).map(record => JSON.stringify(record) + '\n');
+    fs.writeFileSync(tempPath, lines.join(''));
+    fs.renameSync(tempPath, this.filePath);
+
+    return this.records.size;
+  }
+}
+
+module.exports = AppendOnlyStore;
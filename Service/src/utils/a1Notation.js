@@ -0,0 +1,159 @@
+/**
+ * A1 notation helpers
+ *
+ * Rows are 1-indexed, as they are shown in a spreadsheet, and columns are 0-indexed, as they are
+ * in the rows the API returns (column 0 is A, 26 is AA). Sheet names are quoted whenever A1
+ * notation needs it (spaces, punctuation, or names that look like a cell such as 'Q1').
+ */
+
+// Sheet names that can appear in a range without quotes
+const PLAIN_SHEET_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Plain names that would still be read as a cell reference (A1 or R1C1 style)
+const CELL_LIKE_NAME = /^([A-Za-z]{1,3}\d+|R\d*C\d*)$/i;
+
+// The part of a range after the sheet name: 'A:Z', '5:5', 'A5:Z5', 'C5' or 'B3:F' (open-ended)
+const CELLS_PATTERN = /^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/i;
+
+/**
+ * Convert a 0-indexed column number to its letters (0 -> A, 25 -> Z, 26 -> AA)
+ * @param {number} index - The column index
+ * @returns {string} - The column letters
+ */
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Convert column letters to a 0-indexed column number (A -> 0, Z -> 25, AA -> 26)
+ * @param {string} letters - The column letters (case-insensitive)
+ * @returns {number} - The column index
+ */
+function columnIndex(letters) {
+  let index = 0;
+  for (const letter of letters.toUpperCase()) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Quote a sheet name for use in a range, if it needs it
+ * @param {string} sheetName - The sheet name
+ * @returns {string} - The name as it must appear before the '!'
+ */
+function quoteSheetName(sheetName) {
+  if (PLAIN_SHEET_NAME.test(sheetName) && !CELL_LIKE_NAME.test(sheetName)) {
+    return sheetName;
+  }
+
+  return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a range on a sheet
+ * @param {string} sheetName - The sheet name
+ * @param {string} cells - Optional cells in A1 notation (e.g. 'A5:Z5'); the whole sheet if not given
+ * @returns {string} - The range (e.g. "'Sheet 1'!A5:Z5")
+ */
+function range(sheetName, cells) {
+  return cells ? `${quoteSheetName(sheetName)}!${cells}` : quoteSheetName(sheetName);
+}
+
+/**
+ * Build the address of a single cell
+ * @param {string} sheetName - The sheet name
+ * @param {number} row - The 1-indexed row
+ * @param {number} column - The 0-indexed column
+ * @returns {string} - The cell's range (e.g. 'Sheet1!AB5')
+ */
+function cellRange(sheetName, row, column) {
+  return range(sheetName, `${columnLetter(column)}${row}`);
+}
+
+/**
+ * Build the range of a whole row, however many columns it has
+ * @param {string} sheetName - The sheet name
+ * @param {number} row - The 1-indexed row
+ * @returns {string} - The row's range (e.g. 'Sheet1!5:5')
+ */
+function rowRange(sheetName, row) {
+  return range(sheetName, `${row}:${row}`);
+}
+
+/**
+ * Split a range into its sheet name (without quotes) and the cells after the '!'
+ * @param {string} rangeText - The range (e.g. "'Sheet 1'!A1:D10" or 'Sheet1')
+ * @returns {{sheetName: string, cells: string|null}} - The parts (cells is null for a bare sheet name)
+ */
+function splitRange(rangeText) {
+  // Quoted names may hold '!' themselves, so find the closing quote (a doubled quote is a literal one)
+  const quoted = rangeText.match(/^'((?:[^']|'')*)'(?:!(.*))?$/);
+  if (quoted) {
+    return { sheetName: quoted[1].replace(/''/g, "'"), cells: quoted[2] === undefined ? null : quoted[2] };
+  }
+
+  const separator = rangeText.lastIndexOf('!');
+  return separator === -1
+    ? { sheetName: rangeText, cells: null }
+    : { sheetName: rangeText.slice(0, separator), cells: rangeText.slice(separator + 1) };
+}
+
+/**
+ * Get the sheet name part of a range, without quotes
+ * @param {string} rangeText - The range (e.g. "'Sheet 1'!A1:D10" or 'Sheet1')
+ * @returns {string} - The sheet name
+ */
+function sheetNameFromRange(rangeText) {
+  return splitRange(rangeText).sheetName;
+}
+
+/**
+ * Split a range into its sheet name and 0-indexed bounds
+ * @param {string} rangeText - The range (e.g. 'Sheet1!A5:Z5', 'Sheet1!B3:F' or just 'Sheet1')
+ * @returns {{sheetName: string, startRow: number, endRow: number, startColumn: number, endColumn: number}} - The bounds (inclusive, Infinity when open-ended)
+ * @throws {Error} - If the cells part isn't valid A1 notation
+ */
+function parseRange(rangeText) {
+  const { sheetName, cells } = splitRange(rangeText);
+
+  // A bare sheet name covers the whole sheet
+  if (cells === null) {
+    return { sheetName, startRow: 0, endRow: Infinity, startColumn: 0, endColumn: Infinity };
+  }
+
+  const match = cells.match(CELLS_PATTERN);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid range: ${rangeText}`);
+  }
+
+  const [, startLetters, startRow, endLetters, endRow] = match;
+  const single = endLetters === undefined;
+
+  return {
+    sheetName,
+    startRow: startRow ? Number(startRow) - 1 : 0,
+    endRow: single
+      ? (startRow ? Number(startRow) - 1 : Infinity)
+      : (endRow ? Number(endRow) - 1 : Infinity),
+    startColumn: startLetters ? columnIndex(startLetters) : 0,
+    endColumn: single
+      ? (startLetters ? columnIndex(startLetters) : Infinity)
+      : (endLetters ? columnIndex(endLetters) : Infinity)
+  };
+}
+
+module.exports = {
+  columnLetter,
+  columnIndex,
+  quoteSheetName,
+  range,
+  cellRange,
+  rowRange,
+  sheetNameFromRange,
+  parseRange
+};
@@ -0,0 +1,47 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const departmentRegistry = require('../config/departmentRegistry');
+
+// Load environment variables
+dotenv.config();
+
+// Fallback webhook for departments without their own
+const DISCORD_WEBHOOK_URL = process.env.DISCORD_WEBHOOK_URL;
+
+// Function to send messages to Discord webhook
+async function sendToDiscord(title, description, fields, department) {
+  const departmentConfig = departmentRegistry.get(department);
+  const webhookUrl = (departmentConfig && departmentConfig.webhookUrl) || DISCORD_WEBHOOK_URL;
+  if (!webhookUrl) {
+    console.warn('Discord webhook URL not configured. Skipping webhook notification.');
+    return;
+  }
+
+  try {
+    const embed = {
+      title: title,
+      description: description,
+      color: 3447003, // Blue color
+      fields: fields,
+      timestamp: new Date().toISOString()
+    };
+    
+    const data = {
+      embeds: [embed]
+    };
+    
+    await axios.post(webhookUrl, data, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    console.log('Discord webhook notification sent successfully');
+  } catch (error) {
+    console.error('Failed to send Discord webhook notification:', error.message);
+  }
+}
+
+module.exports = {
+  sendToDiscord
+};
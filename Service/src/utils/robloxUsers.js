@@ -0,0 +1,96 @@
+const fs = require('fs');
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { parseCsv } = require('../api/localSheetsApi');
+
+// Load environment variables
+dotenv.config();
+
+// Roblox endpoint that resolves usernames to UserIds
+const ROBLOX_USERS_URL = process.env.ROBLOX_USERS_URL || 'https://users.roblox.com/v1/usernames/users';
+
+// Local list of usernames and UserIds to look usernames up in instead of the Roblox API (.json or .csv)
+const ROBLOX_USERS_FILE = process.env.ROBLOX_USERS_FILE || '';
+
+// Most usernames Roblox resolves in one request
+const MAX_USERNAMES_PER_REQUEST = 100;
+
+/**
+ * Read a local list of usernames and UserIds: a JSON object of UserIds keyed by username, or
+ * CSV rows of a username and its UserId. Rows without a numeric UserId (such as a header row) are skipped.
+ * @param {string} filePath - The file to read
+ * @returns {Map<string, string>} - UserIds keyed by lowercase username
+ * @throws {Error} - If the file can't be read or parsed
+ */
+function readUserIdFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const entries = filePath.toLowerCase().endsWith('.json')
+    ? Object.entries(JSON.parse(text))
+    : parseCsv(text).map(row => [row[0], row[1]]);
+
+  const userIds = new Map();
+  for (const [name, userId] of entries) {
+    const id = userId === undefined || userId === null ? '' : String(userId).trim();
+    if (!name || !/^\d+$/.test(id)) continue;
+
+    userIds.set(String(name).toLowerCase().trim(), id);
+  }
+
+  return userIds;
+}
+
+/**
+ * Look up the Roblox UserIds of a list of usernames in a local list (see readUserIdFile)
+ * @param {Array<string>} names - The usernames to look up
+ * @param {string} filePath - The file to look them up in (defaults to ROBLOX_USERS_FILE)
+ * @returns {Promise<Map<string, string>>} - UserIds keyed by lowercase username (names the file doesn't list are left out)
+ * @throws {Error} - If the file can't be read or parsed
+ */
+async function lookupUserIdsInFile(names, filePath = ROBLOX_USERS_FILE) {
+  const known = readUserIdFile(filePath);
+
+  const userIds = new Map();
+  for (const name of names) {
+    const searchName = name.toLowerCase().trim();
+    if (known.has(searchName)) userIds.set(searchName, known.get(searchName));
+  }
+
+  return userIds;
+}
+
+/**
+ * Look up the Roblox UserIds of a list of usernames, in ROBLOX_USERS_FILE if it is set and
+ * with the Roblox users API otherwise
+ * @param {Array<string>} names - The usernames to look up
+ * @returns {Promise<Map<string, string>>} - UserIds keyed by lowercase username (names that aren't known are left out)
+ * @throws {Error} - If the Roblox API request fails, or the file can't be read
+ */
+async function lookupUserIds(names) {
+  if (ROBLOX_USERS_FILE) {
+    return lookupUserIdsInFile(names);
+  }
+
+  const userIds = new Map();
+
+  for (let i = 0; i < names.length; i += MAX_USERNAMES_PER_REQUEST) {
+    const usernames = names.slice(i, i + MAX_USERNAMES_PER_REQUEST);
+
+    const response = await axios.post(ROBLOX_USERS_URL, { usernames, excludeBannedUsers: false }, {
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    for (const user of response.data.data || []) {
+      userIds.set(String(user.requestedUsername).toLowerCase().trim(), String(user.id));
+    }
+  }
+
+  return userIds;
+}
+
+module.exports = {
+  MAX_USERNAMES_PER_REQUEST,
+  lookupUserIds,
+  lookupUserIdsInFile
+};
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the department config, spreadsheet files and audit trail out of the real data folder
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-test-'));
+const sheetsDir = path.join(dataDir, 'sheets');
+const playersFile = path.join(dataDir, 'players.csv');
+process.env.DATA_DIR = dataDir;
+process.env.LOCAL_SHEETS_DIR = sheetsDir;
+process.env.DEPARTMENTS_CONFIG = path.join(dataDir, 'departments.json');
+process.env.ROBLOX_USERS_FILE = playersFile;
+
+fs.writeFileSync(process.env.DEPARTMENTS_CONFIG, JSON.stringify({
+  departments: { TST: { backend: 'local', spreadsheetId: 'roster', userIdColumn: 'UserId' } }
+}));
+
+const departmentRegistry = require('../src/config/departmentRegistry');
+const backends = require('../src/api');
+const auditLog = require('../src/audit/auditLog');
+const identityService = require('../src/services/identityService');
+
+/**
+ * Replace the test spreadsheet's tabs
+ * @param {Object} tabs - CSV text keyed by tab name
+ */
+function writeTabs(tabs) {
+  const dir = path.join(sheetsDir, 'roster');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const [sheetName, text] of Object.entries(tabs)) {
+    fs.writeFileSync(path.join(dir, `${sheetName}.csv`), text);
+  }
+
+  backends.forDepartment(departmentRegistry.get('TST')).invalidate('roster');
+}
+
+/**
+ * Read a tab of the test spreadsheet
+ * @param {string} sheetName - The tab
+ * @returns {Array<string>} - Its lines
+ */
+function readTab(sheetName) {
+  return fs.readFileSync(path.join(sheetsDir, 'roster', `${sheetName}.csv`), 'utf8').trim().split('\n');
+}
+
+before(() => {
+  fs.mkdirSync(sheetsDir, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('backfills blank UserIds from a lookup and records them', async () => {
+  writeTabs({
+    Members: 'USERNAME,UserId,EVENTS\nalice,,3\nbob,42,1\nCarol,,0\n',
+    Notes: 'USERNAME,COMMENT\nalice,no UserId column here\n'
+  });
+
+  const lookup = async names => {
+    assert.deepStrictEqual(names.sort(), ['Carol', 'alice']);
+    return new Map([['alice', '1001']]);
+  };
+
+  const outcome = await identityService.backfillUserIds(departmentRegistry.get('TST'), { lookup, invoker: 'admin' });
+
+  assert.strictEqual(outcome.status, 'backfilled');
+  assert.strictEqual(outcome.backfill.checked, 3);
+  assert.deepStrictEqual(outcome.backfill.resolved, [{ name: 'alice', sheetName: 'Members', row: 2, userId: '1001' }]);
+  assert.deepStrictEqual(outcome.backfill.unresolved, [{ name: 'Carol', sheetName: 'Members', row: 4 }]);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,UserId,EVENTS', 'alice,1001,3', 'bob,42,1', 'Carol,,0']);
+
+  const entries = auditLog.forBatch(outcome.backfill.id);
+  assert.deepStrictEqual(entries.map(entry => [entry.operation, entry.user, entry.cell, entry.newValue]), [
+    ['link-user-id', 'alice', 'B2', '1001']
+  ]);
+});
+
+test('previews a backfill without writing anything', async () => {
+  writeTabs({ Members: 'USERNAME,UserId\nalice,\n' });
+
+  const lookup = async () => new Map([['alice', '1001']]);
+  const outcome = await identityService.backfillUserIds(departmentRegistry.get('TST'), { lookup, dryRun: true });
+
+  assert.strictEqual(outcome.status, 'preview');
+  assert.strictEqual(outcome.backfill.id, null);
+  assert.strictEqual(outcome.backfill.resolved.length, 1);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,UserId', 'alice,']);
+});
+
+test('skips rows that change while the usernames are looked up', async () => {
+  writeTabs({ Members: 'USERNAME,UserId\nalice,\nbob,\n' });
+
+  // Someone removes alice's row mid-lookup, so bob moves up into row 2
+  const lookup = async () => {
+    writeTabs({ Members: 'USERNAME,UserId\nbob,\n' });
+    return new Map([['alice', '1001'], ['bob', '1002']]);
+  };
+
+  const outcome = await identityService.backfillUserIds(departmentRegistry.get('TST'), { lookup });
+
+  assert.deepStrictEqual(outcome.backfill.resolved, []);
+  assert.deepStrictEqual(outcome.backfill.skipped.map(user => user.name), ['alice', 'bob']);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,UserId', 'bob,']);
+});
+
+test('looks usernames up in ROBLOX_USERS_FILE by default', async () => {
+  writeTabs({ Members: 'USERNAME,UserId\nAlice,\ndave,\n' });
+  fs.writeFileSync(playersFile, 'username,userId\nalice,1001\nbob,1002\n');
+
+  const outcome = await identityService.backfillUserIds(departmentRegistry.get('TST'));
+
+  assert.strictEqual(outcome.status, 'backfilled');
+  assert.deepStrictEqual(outcome.backfill.resolved, [{ name: 'Alice', sheetName: 'Members', row: 2, userId: '1001' }]);
+  assert.deepStrictEqual(outcome.backfill.unresolved, [{ name: 'dave', sheetName: 'Members', row: 3 }]);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,UserId', 'Alice,1001', 'dave']);
+});
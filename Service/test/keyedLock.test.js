@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const KeyedLock = require('../src/api/keyedLock');
+
+/**
+ * Wait for pending promise callbacks to run
+ * @returns {Promise<void>}
+ */
+function settle() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test('hands a key to waiters in the order they asked for it', async () => {
+  const locks = new KeyedLock();
+  const order = [];
+
+  const release = await locks.acquireOne('Members!B2');
+  const waiters = ['second', 'third'].map(async name => {
+    const releaseWaiter = await locks.acquireOne('Members!B2');
+    order.push(name);
+    await settle();
+    releaseWaiter();
+  });
+
+  await settle();
+  assert.deepStrictEqual(order, []);
+
+  release();
+  await Promise.all(waiters);
+  assert.deepStrictEqual(order, ['second', 'third']);
+  assert.strictEqual(locks.tails.size, 0);
+});
+
+test('doesn\'t make callers locking overlapping keys in opposite orders wait for each other', async () => {
+  const locks = new KeyedLock();
+
+  const held = await locks.acquire(['b', 'a']);
+  const first = locks.acquire(['a', 'b', 'c']).then(release => { release(); return 'first'; });
+  const second = locks.acquire(['c', 'b', 'a']).then(release => { release(); return 'second'; });
+
+  // Keys are taken in sorted order, so neither can hold c while waiting for a
+  await settle();
+  held();
+
+  const timeout = new Promise((resolve, reject) => setTimeout(() => reject(new Error('deadlocked')), 1000).unref());
+  assert.deepStrictEqual(await Promise.race([Promise.all([first, second]), timeout]), ['first', 'second']);
+  assert.strictEqual(locks.tails.size, 0);
+});
+
+test('only lets other callers in once every key is released', async () => {
+  const locks = new KeyedLock();
+  let acquired = false;
+
+  const release = await locks.acquire(['a', 'a', 'b']);
+  const waiter = locks.acquire(['b']).then(releaseWaiter => { acquired = true; releaseWaiter(); });
+
+  await settle();
+  assert.strictEqual(acquired, false);
+
+  release();
+  await waiter;
+  assert.strictEqual(acquired, true);
+});
@@ -0,0 +1,232 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the spreadsheet files out of the real data folder
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sheets-test-'));
+const sheetsDir = path.join(dataDir, 'sheets');
+process.env.DATA_DIR = dataDir;
+process.env.LOCAL_SHEETS_DIR = sheetsDir;
+
+const localSheetsApi = require('../src/api/localSheetsApi');
+
+/**
+ * Replace the test spreadsheet's tabs
+ * @param {Object} tabs - CSV text keyed by tab name
+ */
+function writeTabs(tabs) {
+  const dir = path.join(sheetsDir, 'roster');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const [sheetName, text] of Object.entries(tabs)) {
+    fs.writeFileSync(path.join(dir, `${sheetName}.csv`), text);
+  }
+
+  localSheetsApi.invalidate('roster');
+}
+
+/**
+ * Read a tab of the test spreadsheet
+ * @param {string} sheetName - The tab
+ * @returns {Array<string>} - Its lines
+ */
+function readTab(sheetName) {
+  return fs.readFileSync(path.join(sheetsDir, 'roster', `${sheetName}.csv`), 'utf8').trim().split('\n');
+}
+
+/**
+ * Change a tab behind the service's back, as someone editing the sheet would
+ * @param {string} sheetName - The tab
+ * @param {function(Array<string>): Array<string>} edit - Gets the tab's lines and returns the new ones
+ */
+function editTab(sheetName, edit) {
+  fs.writeFileSync(path.join(sheetsDir, 'roster', `${sheetName}.csv`), edit(readTab(sheetName)).join('\n') + '\n');
+}
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('plans later updates to a cell on top of earlier ones, comparing with what the sheet held', () => {
+  const sheets = [{
+    sheetName: 'Members',
+    headerRow: 1,
+    dataStartRow: 2,
+    values: [['USERNAME', 'EVENTS'], ['alice', '3']]
+  }];
+  const changes = new Map();
+
+  const first = localSheetsApi.planChange(sheets, { name: 'alice', columnName: 'EVENTS', value: 2 }, 'USERNAME', changes);
+  const second = localSheetsApi.planChange(sheets, { name: 'Alice', columnName: 'EVENTS', op: 'decrement' }, 'USERNAME', changes);
+
+  assert.deepStrictEqual([first.previousValue, first.newValue, second.previousValue, second.newValue], [3, 5, 5, 4]);
+  assert.deepStrictEqual(changes.get('Members!B2'), {
+    value: 4,
+    original: '3',
+    guard: { address: 'Members!A2', name: 'alice' }
+  });
+});
+
+test('lands both of two concurrent increments to the same cell', async () => {
+  writeTabs({ Members: 'USERNAME,EVENTS\nalice,3\nbob,1\n' });
+
+  // Both batches plan from the same read; the second finds the cell changed under it and re-plans
+  const [first, second] = await Promise.all([
+    localSheetsApi.applyChanges('roster', [{ name: 'alice', columnName: 'EVENTS', value: 1 }]),
+    localSheetsApi.applyChanges('roster', [{ name: 'alice', columnName: 'EVENTS', value: 10 }, { name: 'bob', columnName: 'EVENTS' }])
+  ]);
+
+  assert.deepStrictEqual([first[0].success, second[0].success, second[1].success], [true, true, true]);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS', 'alice,14', 'bob,2']);
+});
+
+test('re-plans when a row above is deleted between planning and writing', async () => {
+  // carol's count matches bob's, so only the username check can tell the rows apart
+  writeTabs({ Members: 'USERNAME,EVENTS\nalice,3\nbob,1\ncarol,1\n' });
+
+  // Hold the delete until the update has planned bob's change for row 3 and is waiting for the tab
+  let letDelete;
+  const gate = new Promise(resolve => { letDelete = resolve; });
+  const requestDeleteRow = localSheetsApi.requestDeleteRow;
+  localSheetsApi.requestDeleteRow = async (...args) => {
+    await gate;
+    return requestDeleteRow.apply(localSheetsApi, args);
+  };
+
+  const writeChanges = localSheetsApi.writeChanges;
+  const planned = [];
+  localSheetsApi.writeChanges = function (spreadsheetId, changes, ...rest) {
+    planned.push(Array.from(changes.keys()));
+    if (planned.length === 1) setImmediate(letDelete);
+    return writeChanges.call(this, spreadsheetId, changes, ...rest);
+  };
+
+  let deleted;
+  let results;
+  try {
+    [deleted, results] = await Promise.all([
+      localSheetsApi.deleteRow('roster', 'Members', 2, { column: 1, name: 'alice' }),
+      localSheetsApi.applyChanges('roster', [{ name: 'bob', columnName: 'EVENTS', value: 5 }])
+    ]);
+  } finally {
+    localSheetsApi.requestDeleteRow = requestDeleteRow;
+    localSheetsApi.writeChanges = writeChanges;
+  }
+
+  assert.strictEqual(deleted, true);
+  assert.deepStrictEqual(planned, [['Members!B3'], ['Members!B2']]);
+  assert.strictEqual(results[0].success, true);
+  assert.strictEqual(results[0].row, 2);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS', 'bob,6', 'carol,1']);
+});
+
+test('gives up on a cell that keeps changing and still writes the rest of the batch', async () => {
+  writeTabs({ Members: 'USERNAME,EVENTS\nalice,3\nbob,1\n' });
+
+  // Someone keeps changing alice's cell after every read
+  const writeChanges = localSheetsApi.writeChanges;
+  let attempts = 0;
+  localSheetsApi.writeChanges = function (...args) {
+    attempts++;
+    editTab('Members', lines => lines.map(line => (line.startsWith('alice,') ? `alice,${100 + attempts}` : line)));
+    return writeChanges.apply(this, args);
+  };
+
+  let results;
+  try {
+    results = await localSheetsApi.applyChanges('roster', [
+      { name: 'alice', columnName: 'EVENTS' },
+      { name: 'bob', columnName: 'EVENTS' }
+    ]);
+  } finally {
+    localSheetsApi.writeChanges = writeChanges;
+  }
+
+  assert.strictEqual(attempts, 4);
+  assert.strictEqual(results[0].success, false);
+  assert.strictEqual(results[0].conflict, true);
+  assert.strictEqual(results[0].retryable, true);
+  assert.strictEqual(results[1].success, true);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS', 'alice,104', 'bob,2']);
+});
+
+test('skips overwriting cells that changed or whose row moved to another user', async () => {
+  writeTabs({ Members: 'USERNAME,EVENTS,RANK\nalice,3,Cadet\nbob,1,Cadet\n' });
+
+  const conflicts = await localSheetsApi.writeCells('roster', [
+    { sheetName: 'Members', row: 2, column: 3, value: 'Sergeant', original: 'Cadet', user: { column: 1, name: 'alice' } },
+    { sheetName: 'Members', row: 3, column: 2, value: 9, original: '0' },
+    { sheetName: 'Members', row: 3, column: 3, value: 'Major', user: { column: 1, name: 'carol' } }
+  ], 'RAW');
+
+  assert.deepStrictEqual(conflicts.map(cell => `${cell.row}:${cell.column}`), ['3:2', '3:3']);
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS,RANK', 'alice,3,Sergeant', 'bob,1,Cadet']);
+});
+
+test('changes the rows each duplicate policy picks and reports every row holding the user', async () => {
+  const tabs = { Alpha: 'USERNAME,EVENTS\nalice,1\n', Beta: 'USERNAME,EVENTS\nbob,0\nAlice,5\n' };
+  const update = { name: 'alice', columnName: 'EVENTS' };
+  const duplicateRows = [{ sheetName: 'Alpha', row: 2 }, { sheetName: 'Beta', row: 3 }];
+
+  const cases = [
+    { duplicates: undefined, alpha: 'alice,2', beta: 'Alice,5' },
+    { duplicates: { policy: 'first' }, alpha: 'alice,2', beta: 'Alice,5' },
+    { duplicates: { policy: 'preferred', tabOrder: ['beta', 'Alpha'] }, alpha: 'alice,1', beta: 'Alice,6' },
+    { duplicates: { policy: 'all' }, alpha: 'alice,2', beta: 'Alice,6' }
+  ];
+
+  for (const { duplicates, alpha, beta } of cases) {
+    writeTabs(tabs);
+    const [result] = await localSheetsApi.applyChanges('roster', [update], 'USERNAME', {}, { duplicates });
+
+    assert.strictEqual(result.success, true, JSON.stringify(duplicates));
+    assert.deepStrictEqual(result.duplicates, duplicateRows);
+    assert.deepStrictEqual([readTab('Alpha')[1], readTab('Beta')[2]], [alpha, beta], JSON.stringify(duplicates));
+  }
+
+  writeTabs(tabs);
+  const [all] = await localSheetsApi.applyChanges('roster', [update], 'USERNAME', {}, { duplicates: { policy: 'all' } });
+  assert.deepStrictEqual(all.matches.map(match => [match.sheetName, match.row, match.newValue]), [['Alpha', 2, 2], ['Beta', 3, 6]]);
+});
+
+test('refuses to pick a row under the error policy, unless the update is tied to a tab', async () => {
+  writeTabs({ Alpha: 'USERNAME,EVENTS\nalice,1\n', Beta: 'USERNAME,EVENTS\nbob,0\nAlice,5\n' });
+  const options = { duplicates: { policy: 'error' } };
+
+  const [refused, pinned] = await localSheetsApi.applyChanges('roster', [
+    { name: 'alice', columnName: 'EVENTS' },
+    { name: 'alice', columnName: 'EVENTS', sheetName: 'Beta' }
+  ], 'USERNAME', {}, options);
+
+  assert.strictEqual(refused.success, false);
+  assert.strictEqual(refused.duplicate, true);
+  assert.deepStrictEqual(refused.duplicates, [{ sheetName: 'Alpha', row: 2 }, { sheetName: 'Beta', row: 3 }]);
+  assert.match(refused.message, /Alpha row 2, Beta row 3/);
+
+  assert.strictEqual(pinned.success, true);
+  assert.deepStrictEqual([pinned.sheetName, pinned.row], ['Beta', 3]);
+  assert.deepStrictEqual(readTab('Alpha'), ['USERNAME,EVENTS', 'alice,1']);
+  assert.deepStrictEqual(readTab('Beta'), ['USERNAME,EVENTS', 'bob,0', 'Alice,6']);
+});
+
+test('matches a UserId before the username, leaving rows held by another UserId alone', () => {
+  const sheets = [{
+    sheetName: 'Members',
+    headerRow: 1,
+    dataStartRow: 2,
+    values: [['USERNAME', 'UserId'], ['alice', '99'], ['alice', ''], ['oldname', '42']]
+  }];
+
+  const byId = localSheetsApi.findUserMatches(sheets, { name: 'alice', userId: 42 }, 'USERNAME', 'UserId');
+  assert.strictEqual(byId.matchedBy, 'userId');
+  assert.deepStrictEqual(byId.matches.map(match => match.row), [4]);
+  assert.deepStrictEqual(byId.mismatched.map(match => match.row), [2]);
+
+  const byName = localSheetsApi.findUserMatches(sheets, { name: 'alice', userId: 7 }, 'USERNAME', 'UserId');
+  assert.strictEqual(byName.matchedBy, 'name');
+  assert.deepStrictEqual(byName.matches.map(match => match.row), [3]);
+  assert.deepStrictEqual(localSheetsApi.pickMatches(byName.matches, null, { policy: 'error' }).map(match => match.row), [3]);
+});
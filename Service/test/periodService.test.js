@@ -0,0 +1,109 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the department config, spreadsheet files and archives out of the real data folder
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'period-test-'));
+const sheetsDir = path.join(dataDir, 'sheets');
+process.env.DATA_DIR = dataDir;
+process.env.LOCAL_SHEETS_DIR = sheetsDir;
+process.env.DEPARTMENTS_CONFIG = path.join(dataDir, 'departments.json');
+process.env.DISCORD_WEBHOOK_URL = '';
+
+fs.writeFileSync(process.env.DEPARTMENTS_CONFIG, JSON.stringify({
+  departments: {
+    TST: {
+      backend: 'local',
+      spreadsheetId: 'roster',
+      periods: [{ name: 'weekly', columns: ['EVENTS'], historyTab: 'History' }]
+    }
+  }
+}));
+
+const departmentRegistry = require('../src/config/departmentRegistry');
+const backends = require('../src/api');
+const auditLog = require('../src/audit/auditLog');
+const periodService = require('../src/services/periodService');
+
+/**
+ * Replace the test spreadsheet's tabs
+ * @param {Object} tabs - CSV text keyed by tab name
+ */
+function writeTabs(tabs) {
+  const dir = path.join(sheetsDir, 'roster');
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const [sheetName, text] of Object.entries(tabs)) {
+    fs.writeFileSync(path.join(dir, `${sheetName}.csv`), text);
+  }
+
+  backends.forDepartment(departmentRegistry.get('TST')).invalidate('roster');
+}
+
+/**
+ * Read a tab of the test spreadsheet, without the Closed At column (it changes every run)
+ * @param {string} sheetName - The tab
+ * @returns {Array<string>} - Its lines
+ */
+function readTab(sheetName) {
+  return fs.readFileSync(path.join(sheetsDir, 'roster', `${sheetName}.csv`), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => (sheetName === 'History' ? line.split(',').slice(1).join(',') : line));
+}
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('writes the history header row once, when the tab is created', async () => {
+  writeTabs({ Members: 'USERNAME,EVENTS\nalice,3\nbob,0\n' });
+
+  const first = await periodService.closePeriod(departmentRegistry.get('TST'), 'weekly', { invoker: 'admin' });
+  assert.strictEqual(first.status, 'closed');
+  assert.strictEqual(first.close.resetCells, 1);
+
+  fs.writeFileSync(path.join(sheetsDir, 'roster', 'Members.csv'), 'USERNAME,EVENTS\nalice,5\nbob,0\n');
+  const second = await periodService.closePeriod(departmentRegistry.get('TST'), 'weekly', { invoker: 'admin' });
+  assert.strictEqual(second.status, 'closed');
+
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS', 'alice,0', 'bob,0']);
+  assert.deepStrictEqual(readTab('History'), [
+    'Period,User,Sheet,EVENTS',
+    'weekly,alice,Members,3',
+    'weekly,bob,Members,0',
+    'weekly,alice,Members,5',
+    'weekly,bob,Members,0'
+  ]);
+});
+
+test('finishes the close and records the resets when the history tab can\'t be written', async () => {
+  writeTabs({ Members: 'USERNAME,EVENTS\nalice,3\nbob,2\n' });
+
+  const backend = backends.forDepartment(departmentRegistry.get('TST'));
+  const appendRows = backend.appendRows;
+  backend.appendRows = async (spreadsheetId, sheetName, ...rest) => {
+    if (sheetName === 'History') throw new Error('Unable to parse range: History!A1');
+    return appendRows.call(backend, spreadsheetId, sheetName, ...rest);
+  };
+
+  let outcome;
+  try {
+    outcome = await periodService.closePeriod(departmentRegistry.get('TST'), 'weekly', { invoker: 'admin' });
+  } finally {
+    backend.appendRows = appendRows;
+  }
+
+  assert.strictEqual(outcome.status, 'closed');
+  assert.strictEqual(outcome.close.status, 'closed');
+  assert.deepStrictEqual(readTab('Members'), ['USERNAME,EVENTS', 'alice,0', 'bob,0']);
+
+  const entries = auditLog.forBatch(outcome.close.id);
+  assert.deepStrictEqual(entries.map(entry => [entry.operation, entry.user, entry.previousValue, entry.newValue]), [
+    ['reset', 'alice', 3, 0],
+    ['reset', 'bob', 2, 0]
+  ]);
+});